@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Build the search indexes for embeddings.db (HNSW graph, FTS5 full-text, precomputed
+ * compatibility table and the deprecation replacement graph)
+ * Usage: node build-index.js [--m 16] [--ef-construction 100]
+ * The HNSW index is written beside the database (or to HNSW_INDEX_PATH), the others to
+ * embeddings.index.db (or INDEX_DB_PATH); embeddings.db itself is only read
+ */
+
+import dotenv from 'dotenv';
+import { AppleSearchEngine } from './search.js';
+import { HnswIndex } from './hnsw-index.js';
+
+dotenv.config({ override: false });
+
+function readOption(name, fallback) {
+  const position = process.argv.indexOf(`--${name}`);
+  if (position === -1 || position + 1 >= process.argv.length) {
+    return fallback;
+  }
+  const value = parseInt(process.argv[position + 1]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Recall@10 of the index against exact search, over a sample of stored vectors
+function measureRecall(index, store, samples = 50) {
+  let hits = 0;
+  let total = 0;
+  const step = Math.max(1, Math.floor(store.size / samples));
+
+  for (let row = 0; row < store.size && total < samples * 10; row += step) {
+    const query = store.rowVector(row);
+    const exact = new Set(store.rank(query, { limit: 10 }).map(r => r.id));
+    for (const result of index.search(query, { limit: 10 })) {
+      if (exact.has(result.id)) hits++;
+    }
+    total += exact.size;
+  }
+
+  return total === 0 ? 1 : hits / total;
+}
+
+async function main() {
+  const engine = new AppleSearchEngine();
+  await engine.init(false);
+
+  // Derived indexes live in the index database: the full-text index is created now instead of
+  // on first use, the replacement graph and compatibility analyses only ever here
+  engine.getLexicalIndex();
+  engine.buildReplacementGraph();
+  engine.buildCompatibilityTable();
+
+  const store = engine.getVectorStore();
+  const indexPath = engine.getIndexPath();
+  const M = readOption('m', 16);
+  const efConstruction = readOption('ef-construction', 100);
+
+  console.error(`🏗  Building HNSW index (M=${M}, efConstruction=${efConstruction}) for ${store.size} vectors...`);
+  const startTime = Date.now();
+
+  const index = new HnswIndex(store, { M, efConstruction, corpusFingerprint: engine.getCorpusFingerprint() }).build((done, total) => {
+    process.stderr.write(`\r   ${done}/${total} (${((done / total) * 100).toFixed(1)}%)`);
+  });
+  process.stderr.write('\n');
+
+  index.save(indexPath);
+  console.error(`✅ Index written to ${indexPath} in ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+  console.error(`🎯 Recall@10 vs exact search (efSearch ${index.efSearch}): ${(measureRecall(index, store) * 100).toFixed(1)}%`);
+
+  engine.close();
+}
+
+main().catch(error => {
+  console.error('❌ Failed to build index:', error);
+  process.exit(1);
+});
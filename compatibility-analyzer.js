@@ -4,10 +4,92 @@
  * Designed to be fast and non-invasive
  */
 
+// API name, optionally in backticks or a markdown link: "NavigationStack", "[`init(_:)`](...)"
+const SYMBOL_PATTERN = '\\[?`?([A-Za-z_]\\w*(?:\\.\\w+)*(?:\\([\\w:]*\\))?)`?\\]?(?:\\([^)\\s]*\\))?';
+
+// "Instead, use X" / "In its place, use X" / "Use X instead"
+const REPLACEMENT_PATTERNS = [
+  new RegExp(`(?:instead|in its place),?\\s+use\\s+(?:the\\s+)?${SYMBOL_PATTERN}`, 'gi'),
+  new RegExp(`\\buse\\s+(?:the\\s+)?${SYMBOL_PATTERN}\\s+instead`, 'gi')
+];
+
+// Platforms of the availability model, in Apple's display order
+export const AVAILABILITY_PLATFORMS = ['iOS', 'iPadOS', 'macOS', 'Mac Catalyst', 'watchOS', 'tvOS', 'visionOS'];
+
+// Lower-cased spellings (display names and Swift @available names) → display name
+const PLATFORM_ALIASES = new Map([
+  ...AVAILABILITY_PLATFORMS.map(name => [name.toLowerCase().replace(/\s+/g, ''), name]),
+  ['osx', 'macOS'],
+  ['xros', 'visionOS'],
+  ['iosapplicationextension', 'iOS'],
+  ['macosapplicationextension', 'macOS'],
+  ['maccatalystapplicationextension', 'Mac Catalyst']
+]);
+
+// One entry of the availability line: "iOS 13.0+", "macOS 10.10–13.0 Deprecated", "visionOS 2.0+ Beta"
+const AVAILABILITY_ENTRY = /(iOS|iPadOS|macOS|Mac Catalyst|watchOS|tvOS|visionOS)\s+(\d+(?:\.\d+)*)(?:\s*[–—-]\s*(\d+(?:\.\d+)*))?\+?((?:\s+(?:Deprecated|Beta))*)/g;
+
+// Platform names in Swift's #available (iPadOS shares iOS versions)
+const SWIFT_PLATFORM_NAMES = { 'iOS': 'iOS', 'iPadOS': 'iOS', 'macOS': 'macOS', 'Mac Catalyst': 'macCatalyst', 'watchOS': 'watchOS', 'tvOS': 'tvOS', 'visionOS': 'visionOS' };
+
+// Deprecation statuses that mean "don't write new code against this" (migration guides stay)
+export const DEPRECATED_STATUSES = new Set(['deprecated', 'superseded']);
+
+// Swift marks "deprecated in a future release" with version 100000
+const FUTURE_VERSION = 100000;
+
+// Bump when analysis rules change so tables precomputed from them are rebuilt
+export const ANALYZER_VERSION = 1;
+
+// Analyses kept in memory (least recently used are evicted)
+const DEFAULT_CACHE_SIZE = 1000;
+
+/**
+ * Display name of a platform ("ios", "macCatalyst", "OSX" → "iOS", "Mac Catalyst", "macOS")
+ * @returns {string|null} null for unknown platforms
+ */
+export function canonicalPlatform(name) {
+  return PLATFORM_ALIASES.get(String(name || '').toLowerCase().replace(/[\s_]+/g, '')) || null;
+}
+
+/**
+ * Compare dotted version strings numerically ("16.4" < "16.10")
+ * @returns {number} negative, 0 or positive
+ */
+export function compareVersions(a, b) {
+  const left = String(a).split('.').map(Number);
+  const right = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+}
+
 export class CompatibilityAnalyzer {
-  constructor() {
-    // Cache for parsed compatibility data to avoid re-parsing
+  /**
+   * @param {Object} options - { cacheSize }
+   */
+  constructor(options = {}) {
+    this.maxCacheSize = options.cacheSize || parseInt(process.env.COMPATIBILITY_CACHE_SIZE) || DEFAULT_CACHE_SIZE;
+    // LRU of parsed compatibility data: Map keeps insertion order, so the first key is the least recently used
     this.cache = new Map();
+    // Optional id → compatibility lookup backed by the precomputed table
+    this.precomputed = null;
+    this.hits = 0;
+    this.precomputedHits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Read analyses from a precomputed table before running the analyzer
+   * @param {Function|null} lookup - id → compatibility, or null when the id isn't stored
+   */
+  usePrecomputed(lookup) {
+    this.precomputed = lookup;
   }
 
   /**
@@ -16,22 +98,14 @@ export class CompatibilityAnalyzer {
    * @returns {Object} Compatibility information
    */
   analyze(doc) {
-    // Use cache to avoid re-analysis
-    if (this.cache.has(doc.id)) {
-      return this.cache.get(doc.id);
+    const known = this.lookup(doc.id);
+    if (known) {
+      return known;
     }
 
     try {
-      const compatibility = {
-        platforms: this.parsePlatforms(doc.platforms),
-        technologies: this.parseTechnologies(doc.technologies),
-        requirements: this.extractRequirements(doc.content),
-        limitations: this.extractLimitations(doc.content),
-        deprecation: this.detectDeprecation(doc.title, doc.content)
-      };
-
-      // Cache result for performance
-      this.cache.set(doc.id, compatibility);
+      const compatibility = this.compute(doc);
+      this.remember(doc.id, compatibility);
       return compatibility;
 
     } catch (error) {
@@ -41,6 +115,52 @@ export class CompatibilityAnalyzer {
     }
   }
 
+  /**
+   * Cached or precomputed analysis of a document
+   * @returns {Object|null} null when the document has to be analyzed
+   */
+  lookup(id) {
+    const cached = this.cache.get(id);
+    if (cached) {
+      // Move to the most recently used end
+      this.cache.delete(id);
+      this.cache.set(id, cached);
+      this.hits++;
+      return cached;
+    }
+
+    const stored = this.precomputed ? this.precomputed(id) : null;
+    if (stored) {
+      this.precomputedHits++;
+      this.remember(id, stored);
+      return stored;
+    }
+    this.misses++;
+    return null;
+  }
+
+  remember(id, compatibility) {
+    this.cache.set(id, compatibility);
+    while (this.cache.size > this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Run every extractor over a document (uncached; throws on malformed input)
+   */
+  compute(doc) {
+    return {
+      platforms: this.parsePlatforms(doc.platforms),
+      availability: this.parseAvailability(doc.content, doc.platforms),
+      technologies: this.parseTechnologies(doc.technologies),
+      requirements: this.extractRequirements(doc.content),
+      limitations: this.extractLimitations(doc.content),
+      deprecation: this.detectDeprecation(doc.title, doc.content)
+    };
+  }
+
   /**
    * Parse platforms from JSON field
    */
@@ -66,6 +186,164 @@ export class CompatibilityAnalyzer {
     }
   }
 
+  /**
+   * Per-platform availability from the page's availability line and Swift @available attributes
+   * "iOS 2.0–16.0 Deprecated macOS 10.15+ visionOS 1.0+ Beta" →
+   *   { iOS: { introduced: '2.0', deprecated: '16.0', obsoleted: null, beta: false }, macOS: {...}, visionOS: {..., beta: true} }
+   * Platforms listed in the platforms column without a version get introduced: null
+   * @returns {Object} Availability by platform display name ({} for pages without any)
+   */
+  parseAvailability(content, platformsJson) {
+    const availability = {};
+    const entryFor = platform => {
+      if (!availability[platform]) {
+        availability[platform] = { introduced: null, deprecated: null, obsoleted: null, beta: false };
+      }
+      return availability[platform];
+    };
+
+    if (content) {
+      // The availability line sits between the title and the first section
+      for (const line of content.split('\n', 40)) {
+        if (/^##\s/.test(line)) break;
+        if (!line.trim() || line.replace(AVAILABILITY_ENTRY, '').trim() !== '') continue;
+
+        for (const [, platform, introduced, until, flags] of line.matchAll(AVAILABILITY_ENTRY)) {
+          const entry = entryFor(platform);
+          entry.introduced = introduced;
+          entry.deprecated = until || null;
+          entry.beta = /Beta/.test(flags);
+        }
+      }
+    }
+
+    for (const platform of this.parsePlatforms(platformsJson).supported) {
+      const name = canonicalPlatform(platform);
+      if (name) {
+        entryFor(name);
+      }
+    }
+
+    if (content) {
+      this.applyAvailableAttributes(content, availability, entryFor);
+    }
+
+    // Display order, not discovery order
+    return Object.fromEntries(AVAILABILITY_PLATFORMS.filter(name => availability[name]).map(name => [name, availability[name]]));
+  }
+
+  /**
+   * Fill gaps from @available attributes in the declaration (the first Swift code block)
+   * @available(iOS 16.0, macOS 13.0, *) / @available(iOS, introduced: 13.0, deprecated: 16.0, obsoleted: 17.0)
+   * @available(watchOS, unavailable) removes the platform
+   */
+  applyAvailableAttributes(content, availability, entryFor) {
+    const declaration = content.match(/```swift\s*\n([\s\S]*?)```/);
+    if (!declaration) return;
+
+    for (const [, body] of declaration[1].matchAll(/@available\s*\(([^)]*)\)/g)) {
+      const parts = body.split(',').map(part => part.trim()).filter(Boolean);
+      if (parts.length === 0) continue;
+      const platform = canonicalPlatform(parts[0].split(/\s+/)[0]);
+
+      // Shorthand: @available(iOS 16.0, macOS 13.0, *)
+      if (!platform || /\d/.test(parts[0])) {
+        for (const part of parts) {
+          const [name, version] = part.split(/\s+/);
+          const shorthand = canonicalPlatform(name);
+          if (shorthand && version && !entryFor(shorthand).introduced) {
+            availability[shorthand].introduced = version;
+          }
+        }
+        continue;
+      }
+
+      if (parts.includes('unavailable')) {
+        delete availability[platform];
+        continue;
+      }
+      const entry = entryFor(platform);
+      for (const part of parts.slice(1)) {
+        const [key, version] = part.split(':').map(piece => piece.trim());
+        if (!['introduced', 'deprecated', 'obsoleted'].includes(key) || !/^\d+(\.\d+)*$/.test(version || '')) continue;
+        if (compareVersions(version, FUTURE_VERSION) >= 0) continue;
+        if (!entry[key]) {
+          entry[key] = version;
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a document can be used at a deployment target
+   * Usable when at least one targeted platform has the API introduced at or before
+   * the target and not yet obsoleted; pages without availability (articles, videos) pass
+   * @param {Object} availability - From parseAvailability()
+   * @param {Object} target - { iOS: '16.0', ... } with display names
+   */
+  isAvailableAt(availability, target) {
+    if (Object.keys(availability).length === 0) {
+      return true;
+    }
+    return Object.entries(target).some(([platform, version]) => {
+      const entry = availability[platform];
+      return Boolean(entry) &&
+        (!entry.introduced || compareVersions(entry.introduced, version) <= 0) &&
+        (!entry.obsoleted || compareVersions(version, entry.obsoleted) < 0);
+    });
+  }
+
+  /**
+   * Verdict for using an API at a deployment target
+   * Each targeted platform is available, needs_guard (introduced later), deprecated, obsoleted,
+   * unsupported (not listed on the page) or unknown (page without availability information)
+   * @param {Object} compatibility - Result of analyze()
+   * @param {Object} target - { iOS: '16.0', ... } with display names
+   * @returns {Object} { status, platforms, requires, guard, unsupportedPlatforms }
+   *   status: 'available' | 'needs_guard' | 'deprecated' | 'unavailable'
+   *   requires/guard: versions the API needs and the matching #available condition, when the target is lower
+   */
+  checkDeploymentTarget(compatibility, target) {
+    const { availability, deprecation } = compatibility;
+    const known = Object.keys(availability).length > 0;
+
+    const platforms = Object.entries(target).map(([platform, version]) => {
+      const entry = availability[platform];
+      let status = 'available';
+      if (!known) {
+        status = 'unknown';
+      } else if (!entry) {
+        status = 'unsupported';
+      } else if (entry.obsoleted && compareVersions(version, entry.obsoleted) >= 0) {
+        status = 'obsoleted';
+      } else if (entry.deprecated) {
+        status = 'deprecated';
+      } else if (entry.introduced && compareVersions(entry.introduced, version) > 0) {
+        status = 'needs_guard';
+      }
+      return { platform, target: version, ...(entry || { introduced: null, deprecated: null, obsoleted: null, beta: false }), status };
+    });
+
+    const usable = platforms.filter(p => p.status !== 'unsupported' && p.status !== 'obsoleted');
+    const verdict = { platforms, unsupportedPlatforms: platforms.filter(p => p.status === 'unsupported').map(p => p.platform) };
+
+    // A deprecated API can also be newer than the target - keep the guard either way
+    const later = usable.filter(p => p.status === 'needs_guard');
+    if (later.length > 0) {
+      const conditions = [...new Set(later.map(p => `${SWIFT_PLATFORM_NAMES[p.platform]} ${p.introduced}`))];
+      verdict.requires = Object.fromEntries(later.map(p => [p.platform, p.introduced]));
+      verdict.guard = `#available(${conditions.join(', ')}, *)`;
+    }
+
+    if (usable.length === 0) {
+      return { ...verdict, status: 'unavailable' };
+    }
+    if (usable.some(p => p.status === 'deprecated') || (deprecation && DEPRECATED_STATUSES.has(deprecation.status))) {
+      return { ...verdict, status: 'deprecated' };
+    }
+    return { ...verdict, status: later.length > 0 ? 'needs_guard' : 'available' };
+  }
+
   /**
    * Parse technologies from JSON field
    */
@@ -184,7 +462,19 @@ export class CompatibilityAnalyzer {
       return {
         status: 'deprecated',
         evidence: 'Direct deprecation statement',
-        confidence: 'high'
+        confidence: 'high',
+        replacementName: this.extractReplacementName(content)
+      };
+    }
+
+    // Availability line: deprecated on every platform that has a version ("iOS 2.0–16.0 Deprecated")
+    const versioned = Object.entries(this.parseAvailability(content, null)).filter(([, entry]) => entry.introduced);
+    if (versioned.length > 0 && versioned.every(([, entry]) => entry.deprecated)) {
+      return {
+        status: 'deprecated',
+        evidence: `Deprecated in ${versioned.map(([platform, entry]) => `${platform} ${entry.deprecated}`).join(', ')}`,
+        confidence: 'high',
+        replacementName: this.extractReplacementName(content)
       };
     }
 
@@ -202,7 +492,8 @@ export class CompatibilityAnalyzer {
         return {
           status: 'superseded',
           evidence: pattern,
-          confidence: 'medium'
+          confidence: 'medium',
+          replacementName: this.extractReplacementName(content)
         };
       }
     }
@@ -219,12 +510,31 @@ export class CompatibilityAnalyzer {
     return null;
   }
 
+  /**
+   * Name of the API a deprecated document points to
+   * "Instead, use NavigationStack" / "Use [`NavigationStack`](...) instead" → "NavigationStack"
+   * @returns {string|null} Symbol-like name, or null when the text names none
+   */
+  extractReplacementName(content) {
+    for (const pattern of REPLACEMENT_PATTERNS) {
+      for (const match of content.matchAll(pattern)) {
+        const name = match[1];
+        // Skip prose ("instead, use a view builder"): API names are capitalized, camelCase or calls
+        if (/^[A-Z]/.test(name) || /[a-z][A-Z]/.test(name) || name.includes('(')) {
+          return name;
+        }
+      }
+    }
+    return null;
+  }
+
   /**
    * Return empty compatibility object for error cases
    */
   getEmptyCompatibility() {
     return {
       platforms: { supported: [], count: 0 },
+      availability: {},
       technologies: { frameworks: [], primary: null },
       requirements: {},
       limitations: [],
@@ -245,7 +555,12 @@ export class CompatibilityAnalyzer {
   getCacheStats() {
     return {
       size: this.cache.size,
-      maxSize: 1000 // We'll limit cache size for memory
+      maxSize: this.maxCacheSize,
+      hits: this.hits,
+      precomputedHits: this.precomputedHits,
+      misses: this.misses,
+      evictions: this.evictions,
+      precomputed: this.precomputed !== null
     };
   }
 }
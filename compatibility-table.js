@@ -0,0 +1,135 @@
+/**
+ * Precomputed Compatibility Table for Apple Documentation
+ * Stores CompatibilityAnalyzer results for every document in the derived index
+ * database, so searches read one small JSON row per document instead of running
+ * the analyzer over full document content. Built only by `npm run build-index`
+ * (analyzing every document takes a while); versioned with the analyzer rules
+ * and the corpus, and ignored when either has changed since
+ */
+
+import { ANALYZER_VERSION } from './compatibility-analyzer.js';
+import { corpusFingerprint } from './index-database.js';
+
+const TABLE = 'document_compatibility';
+const META_TABLE = 'document_compatibility_meta';
+
+// Documents analyzed per read while building (bounded memory)
+const BUILD_BATCH_SIZE = 500;
+
+export class CompatibilityTable {
+  /**
+   * @param {Database} db - better-sqlite3 handle of embeddings.db (read only)
+   * @param {Database|null} indexDb - Derived index database holding the table
+   * @param {CompatibilityAnalyzer} analyzer - Computes the stored rows
+   * @param {Object} options - { fingerprint } corpus fingerprint computed by the engine (computed here when omitted)
+   */
+  constructor(db, indexDb, analyzer, { fingerprint = null } = {}) {
+    this.db = db;
+    this.indexDb = indexDb;
+    this.fingerprint = fingerprint;
+    this.analyzer = analyzer;
+    this.available = false;
+    this.rows = 0;
+    this.getStmt = null;
+  }
+
+  /**
+   * Use the table if it was built for this corpus and analyzer version
+   * Otherwise it stays unavailable and analyses are computed on demand
+   * @returns {boolean} Whether precomputed analyses can be read
+   */
+  load() {
+    this.available = false;
+    if (!this.indexDb || !this.isCurrent(this.version())) {
+      console.error('ℹ️  No current compatibility table. Analyzing documents on demand (run "npm run build-index" to precompute).');
+      return false;
+    }
+
+    this.getStmt = this.indexDb.prepare(`SELECT data FROM ${TABLE} WHERE document_id = ?`);
+    this.rows = this.indexDb.prepare(`SELECT COUNT(*) AS rows FROM ${TABLE}`).get().rows;
+    this.available = true;
+    return true;
+  }
+
+  // Analyzer rules and corpus the stored rows were computed from
+  version() {
+    this.fingerprint = this.fingerprint || corpusFingerprint(this.db);
+    return `${ANALYZER_VERSION}:${this.fingerprint}`;
+  }
+
+  isCurrent(version) {
+    try {
+      const row = this.indexDb.prepare(`SELECT value FROM ${META_TABLE} WHERE key = 'version'`).get();
+      return Boolean(row) && row.value === version;
+    } catch {
+      // Tables don't exist yet
+      return false;
+    }
+  }
+
+  /**
+   * Analyze every document and replace the table in one transaction, then load it
+   */
+  build() {
+    if (!this.indexDb) {
+      throw new Error('Compatibility table needs a writable index database');
+    }
+
+    console.error('🏗  Precomputing compatibility table...');
+    const startTime = Date.now();
+    const version = this.version();
+    let rows = 0;
+    this.indexDb.transaction(() => {
+      this.indexDb.exec(`
+        DROP TABLE IF EXISTS ${TABLE};
+        DROP TABLE IF EXISTS ${META_TABLE};
+        CREATE TABLE ${TABLE} (document_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+        CREATE TABLE ${META_TABLE} (key TEXT PRIMARY KEY, value TEXT);
+      `);
+
+      const insert = this.indexDb.prepare(`INSERT INTO ${TABLE} (document_id, data) VALUES (?, ?)`);
+      const batch = this.db.prepare(`
+        SELECT rowid, id, title, content, platforms, technologies FROM documents
+        WHERE rowid > ? ORDER BY rowid LIMIT ?
+      `);
+      let lastRowid = -1;
+      for (;;) {
+        const docs = batch.all(lastRowid, BUILD_BATCH_SIZE);
+        if (docs.length === 0) {
+          break;
+        }
+        for (const doc of docs) {
+          let compatibility;
+          try {
+            compatibility = this.analyzer.compute(doc);
+          } catch {
+            // Left out: analyze() handles (and logs) it on demand
+            continue;
+          }
+          insert.run(doc.id, JSON.stringify(compatibility));
+          rows++;
+        }
+        lastRowid = docs[docs.length - 1].rowid;
+      }
+
+      this.indexDb.prepare(`INSERT INTO ${META_TABLE} (key, value) VALUES ('version', ?)`).run(version);
+    })();
+    console.error(`✅ Compatibility table built: ${rows} documents in ${Date.now() - startTime}ms`);
+    return this.load();
+  }
+
+  /**
+   * @returns {Object|null} Stored analysis, null when the document isn't in the table
+   */
+  get(id) {
+    if (!this.available) {
+      return null;
+    }
+    const row = this.getStmt.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  getStats() {
+    return { available: this.available, documents: this.rows, analyzerVersion: ANALYZER_VERSION };
+  }
+}
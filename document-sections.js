@@ -0,0 +1,90 @@
+/**
+ * Document Sections for get_doc
+ * Builds a table of contents from the markdown headings of a cleaned document,
+ * resolves a section by heading ("Discussion", "Parameters") and slices content
+ * into pages so long documents and WWDC transcripts can be read in parts
+ * Offsets are character positions in the cleaned content
+ */
+
+const HEADING = /^(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE = /^[ \t]*(```|~~~)/;
+
+// "## Discussion" / "discussion" / " Discussion: " → "discussion"
+const normalizeTitle = text => String(text).replace(/^#+/, '').replace(/[:\s]+$/, '').trim().toLowerCase();
+
+/**
+ * Markdown headings outside code blocks, in document order
+ * A section runs from its heading to the next heading of the same or a higher level
+ * @param {string} content - Cleaned document content
+ * @returns {Array} [{ title, level, offset, length }]
+ */
+export function buildTableOfContents(content) {
+  const toc = [];
+  if (!content) {
+    return toc;
+  }
+
+  let offset = 0;
+  let fence = null;
+  for (const line of content.split('\n')) {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1] === fence) {
+        fence = null;
+      }
+    } else if (!fence) {
+      const heading = line.match(HEADING);
+      if (heading) {
+        toc.push({ title: heading[2].trim(), level: heading[1].length, offset });
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  for (let i = 0; i < toc.length; i++) {
+    const next = toc.slice(i + 1).find(entry => entry.level <= toc[i].level);
+    toc[i].length = (next ? next.offset : content.length) - toc[i].offset;
+  }
+  return toc;
+}
+
+/**
+ * Resolve a section name against a table of contents (case-insensitive)
+ * An exact title wins over a prefix ("Parameters" before "Parameters and return value")
+ * @returns {Object|null} The toc entry
+ */
+export function findSection(toc, name) {
+  const wanted = normalizeTitle(name);
+  if (!wanted) {
+    return null;
+  }
+  return toc.find(entry => normalizeTitle(entry.title) === wanted) ||
+    toc.find(entry => normalizeTitle(entry.title).startsWith(wanted)) ||
+    null;
+}
+
+/**
+ * One page of text
+ * @param {string} text - Full text to page through
+ * @param {number} offset - First character
+ * @param {number} length - Maximum characters (Infinity for the rest)
+ * @returns {Object} { content, offset, totalLength, truncated, nextOffset }
+ */
+export function sliceContent(text, offset = 0, length = Infinity) {
+  const start = Math.min(offset, text.length);
+  let end = Math.min(text.length, start + length);
+  // Don't split a surrogate pair (emoji) across pages
+  if (end < text.length && end - 1 > start && /[\uD800-\uDBFF]/.test(text[end - 1])) {
+    end--;
+  }
+  const truncated = end < text.length;
+  return {
+    content: text.substring(start, end),
+    offset: start,
+    totalLength: text.length,
+    truncated,
+    nextOffset: truncated ? end : null
+  };
+}
@@ -0,0 +1,190 @@
+/**
+ * Embedding Providers for Apple Documentation search
+ * One interface over OpenAI, any OpenAI-compatible endpoint (self-hosted gateway,
+ * Ollama, LM Studio) and a local in-process model, selected by EMBEDDING_PROVIDER
+ */
+
+import OpenAI from 'openai';
+import { EmbeddingProviderError, abortReason, throwIfAborted } from './errors.js';
+
+export const EMBEDDING_PROVIDERS = ['openai', 'openai-compatible', 'local'];
+
+/**
+ * Base provider - subclasses implement embed()
+ */
+export class EmbeddingProvider {
+  constructor({ name, model, dimensions = null }) {
+    this.name = name;
+    this.model = model;
+    // Expected output size; null until known (local models report it after init)
+    this.dimensions = dimensions;
+  }
+
+  async init() {}
+
+  /**
+   * Embed one text
+   * @param {string} text - Query text
+   * @param {Object} options - { signal } aborts the request
+   * @returns {Promise<Array<number>>} Embedding vector
+   */
+  async embed(text, options = {}) {
+    throw new Error(`${this.name} provider does not implement embed()`);
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model,
+      dimensions: this.dimensions
+    };
+  }
+}
+
+/**
+ * OpenAI embeddings API (api.openai.com)
+ */
+export class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor({ apiKey, model, dimensions, baseURL = undefined, sendDimensions = true, name = 'openai' }) {
+    super({ name, model, dimensions });
+    this.client = new OpenAI({ apiKey, baseURL });
+    this.baseURL = baseURL || null;
+    // Some compatible servers reject the dimensions parameter
+    this.sendDimensions = sendDimensions;
+  }
+
+  async embed(text, { signal = null } = {}) {
+    try {
+      const request = { model: this.model, input: text };
+      if (this.sendDimensions && this.dimensions) {
+        request.dimensions = this.dimensions;
+      }
+
+      const response = await this.client.embeddings.create(request, { signal: signal || undefined });
+      return response.data[0].embedding; // Return array directly
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw abortReason(signal);
+      }
+      throw this.convertError(error);
+    }
+  }
+
+  convertError(error) {
+    const service = this.baseURL ? `Embedding endpoint ${this.baseURL}` : 'OpenAI API';
+    const details = { provider: this.name, status: error.status || null };
+
+    if (error.status === 401) {
+      return new EmbeddingProviderError(`Invalid API key for ${service}. Check ${this.baseURL ? 'EMBEDDING_API_KEY' : 'OPENAI_API_KEY'}.`, { ...details, reason: 'auth' });
+    } else if (error.status === 429) {
+      return new EmbeddingProviderError(`${service} rate limit exceeded. Please try later.`, { ...details, reason: 'rate_limit' });
+    } else if (error instanceof OpenAI.APIConnectionError || ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED'].includes(error.code)) {
+      const code = error.code || error.cause?.code || 'no response';
+      return new EmbeddingProviderError(`${service} connection failed (${code}). Please try later.`, { ...details, reason: 'connection' });
+    }
+    console.error('Embedding retrieval error:', error);
+    return new EmbeddingProviderError('Failed to get embedding: ' + (error.message || 'unknown error'), { ...details, reason: 'failed' });
+  }
+
+  describe() {
+    return { ...super.describe(), baseURL: this.baseURL };
+  }
+}
+
+/**
+ * Any server speaking the OpenAI /embeddings protocol at a custom base URL
+ */
+export class OpenAICompatibleEmbeddingProvider extends OpenAIEmbeddingProvider {
+  constructor({ baseURL, apiKey, model, dimensions, sendDimensions }) {
+    if (!baseURL) {
+      throw new Error('EMBEDDING_BASE_URL is required for the openai-compatible provider');
+    }
+    // Local servers like Ollama and LM Studio accept any key
+    super({ apiKey: apiKey || 'not-needed', model, dimensions, baseURL, sendDimensions, name: 'openai-compatible' });
+  }
+}
+
+/**
+ * In-process model via @huggingface/transformers (not a dependency: npm i @huggingface/transformers)
+ * Queries never leave the machine
+ */
+export class LocalEmbeddingProvider extends EmbeddingProvider {
+  constructor({ model, dimensions }) {
+    // No default: a local model only matches a corpus embedded with that same model
+    if (!model) {
+      throw new Error('EMBEDDING_MODEL is required for the local provider and must be the model the database was embedded with (the bundled database uses OpenAI text-embedding-3-large and needs re-embedding first)');
+    }
+    super({ name: 'local', model, dimensions });
+    this.extractor = null;
+  }
+
+  async init() {
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch {
+      throw new Error('Local embeddings require @huggingface/transformers, which is not installed by default (npm i @huggingface/transformers)');
+    }
+
+    this.extractor = await transformers.pipeline('feature-extraction', this.model);
+
+    // Probe once to learn the model's output size
+    const probe = await this.embed('dimension probe');
+    if (this.dimensions && this.dimensions !== probe.length) {
+      throw new Error(`Local model ${this.model} produces ${probe.length}-dim vectors, but EMBEDDING_DIMENSIONS is ${this.dimensions}`);
+    }
+    this.dimensions = probe.length;
+  }
+
+  async embed(text, { signal = null } = {}) {
+    if (!this.extractor) {
+      throw new Error('Local embedding model not loaded. Call init() first.');
+    }
+    // The model runs in-process and can't be interrupted mid-inference
+    throwIfAborted(signal);
+    const output = await this.extractor(text, { pooling: 'mean', normalize: true });
+    throwIfAborted(signal);
+    return Array.from(output.data);
+  }
+}
+
+/**
+ * Create the provider selected by configuration
+ * @param {Object} env - Environment (defaults to process.env)
+ * @returns {EmbeddingProvider|null} Provider, or null when it isn't configured (offline mode)
+ */
+export function createEmbeddingProvider(env = process.env) {
+  const name = env.EMBEDDING_PROVIDER || 'openai';
+  const dimensions = parseInt(env.EMBEDDING_DIMENSIONS) || null;
+  const sendDimensions = env.EMBEDDING_SEND_DIMENSIONS !== 'false';
+
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        return null;
+      }
+      return new OpenAIEmbeddingProvider({
+        apiKey: env.OPENAI_API_KEY,
+        model: env.EMBEDDING_MODEL || 'text-embedding-3-large',
+        dimensions: dimensions || 3072
+      });
+
+    case 'openai-compatible':
+      return new OpenAICompatibleEmbeddingProvider({
+        baseURL: env.EMBEDDING_BASE_URL,
+        apiKey: env.EMBEDDING_API_KEY,
+        model: env.EMBEDDING_MODEL || 'text-embedding-3-large',
+        dimensions,
+        sendDimensions
+      });
+
+    case 'local':
+      return new LocalEmbeddingProvider({
+        model: env.EMBEDDING_MODEL,
+        dimensions
+      });
+
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Use one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Error classes for Apple Documentation search
+ * The engine and providers throw these; the MCP server maps them to
+ * protocol error codes (InvalidParams / InternalError) or isError tool results
+ * Aborted work (cancellation, timeout) throws the AbortSignal's reason
+ */
+
+/**
+ * A caller-supplied value is not acceptable (bad cursor, unknown mode...)
+ */
+export class InvalidArgumentError extends Error {
+  /**
+   * @param {string} message - Human readable explanation
+   * @param {Object} details - Machine readable context, e.g. { argument: 'cursor' }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'InvalidArgumentError';
+    this.details = details;
+  }
+}
+
+/**
+ * A requested document does not exist
+ */
+export class NotFoundError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.details = details;
+  }
+}
+
+/**
+ * An operation did not finish within its time budget
+ */
+export class OperationTimeoutError extends Error {
+  constructor(operation, timeoutMs) {
+    super(`Operation timeout: ${operation} (${timeoutMs}ms)`);
+    this.name = 'OperationTimeoutError';
+    this.operation = operation;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * The client cancelled the request (notifications/cancelled)
+ */
+export class OperationCancelledError extends Error {
+  constructor(reason = null) {
+    super('Operation cancelled' + (reason ? `: ${reason}` : ''));
+    this.name = 'OperationCancelledError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error describing why a signal was aborted
+ * A timeout or cancellation reason is kept; anything else (the client's reason string,
+ * the default AbortError) becomes an OperationCancelledError
+ */
+export function abortReason(signal) {
+  const reason = signal.reason;
+  if (reason instanceof OperationCancelledError || reason instanceof OperationTimeoutError) {
+    return reason;
+  }
+  return new OperationCancelledError(typeof reason === 'string' ? reason : null);
+}
+
+/**
+ * Stop long-running work once its AbortSignal fired
+ * @param {AbortSignal} signal - Optional signal
+ */
+export function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortReason(signal);
+  }
+}
+
+// Why an embedding call failed
+export const EMBEDDING_ERROR_REASONS = ['auth', 'rate_limit', 'connection', 'dimensions', 'unavailable', 'failed'];
+
+/**
+ * The embedding provider is missing, misconfigured or failed a request
+ */
+export class EmbeddingProviderError extends Error {
+  /**
+   * @param {string} message - Human readable explanation
+   * @param {Object} details - { reason (one of EMBEDDING_ERROR_REASONS), provider, status }
+   */
+  constructor(message, { reason = 'failed', provider = null, status = null } = {}) {
+    super(message);
+    this.name = 'EmbeddingProviderError';
+    this.reason = reason;
+    this.provider = provider;
+    this.status = status;
+  }
+}
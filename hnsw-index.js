@@ -0,0 +1,425 @@
+/**
+ * HNSW Approximate Nearest-Neighbour Index for Apple Documentation
+ * Hierarchical Navigable Small World graph over the resident VectorStore
+ * The graph is persisted beside embeddings.db; vectors stay in the store
+ */
+
+import fs from 'fs';
+
+const MAGIC = 0x57534e48; // 'HNSW' little-endian
+const FORMAT_VERSION = 1;
+
+/**
+ * Binary heap ordered by a comparator (top = element for which compare() is smallest)
+ */
+class BinaryHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.compare(items[left], items[best]) < 0) best = left;
+        if (right < items.length && this.compare(items[right], items[best]) < 0) best = right;
+        if (best === i) break;
+        [items[i], items[best]] = [items[best], items[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+const bestFirst = (a, b) => b.similarity - a.similarity;
+const worstFirst = (a, b) => a.similarity - b.similarity;
+
+// Small deterministic PRNG so rebuilding the same corpus gives the same graph
+function mulberry32(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export class HnswIndex {
+  /**
+   * @param {VectorStore} store - Loaded vector store (rows must be normalized)
+   * @param {Object} options - { M, efConstruction, efSearch, corpusFingerprint }
+   *   corpusFingerprint: documents table fingerprint (see corpusFingerprint) stored in the header
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.M = options.M || 16;
+    this.maxNeighbors0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 100;
+    this.efSearch = options.efSearch || parseInt(process.env.HNSW_EF_SEARCH) || 64;
+    this.levelMultiplier = 1 / Math.log(this.M);
+
+    this.count = 0;
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.fingerprint = null;
+    this.corpusFingerprint = options.corpusFingerprint || null;
+
+    // Build-time graph: links[node][level] = Array of neighbour rows
+    this.links = null;
+    // Loaded graph: offsets[node] -> position of [level, n0, ...ids, n1, ...ids] in data
+    this.offsets = null;
+    this.data = null;
+
+    this.visited = null;
+    this.visitGeneration = 0;
+  }
+
+  /**
+   * Build the graph from every row in the vector store
+   * @param {Function} onProgress - Optional (done, total) callback
+   */
+  build(onProgress = null) {
+    const total = this.store.size;
+    const random = mulberry32(42);
+
+    this.links = new Array(total);
+    this.offsets = null;
+    this.data = null;
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.count = 0;
+    this.visited = new Uint32Array(total);
+
+    for (let node = 0; node < total; node++) {
+      const level = Math.floor(-Math.log(1 - random()) * this.levelMultiplier);
+      this.insert(node, level);
+      this.count++;
+
+      if (onProgress && (node % 500 === 0 || node === total - 1)) {
+        onProgress(node + 1, total);
+      }
+    }
+
+    this.fingerprint = this.store.fingerprint();
+    return this;
+  }
+
+  insert(node, level) {
+    this.links[node] = Array.from({ length: level + 1 }, () => []);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    const query = this.store.rowVector(node);
+    let entry = { node: this.entryPoint, similarity: this.store.dot(query, this.entryPoint) };
+
+    // Greedy descent through the layers above the new node's level
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.greedyClosest(query, entry, l);
+    }
+
+    let entryPoints = [entry];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(query, entryPoints, this.efConstruction, l);
+      const maxNeighbors = l === 0 ? this.maxNeighbors0 : this.M;
+      const neighbors = this.selectNeighbors(candidates, this.M);
+
+      this.links[node][l] = neighbors.map(c => c.node);
+
+      // Add reverse links, shrinking neighbour lists that overflow
+      for (const neighbor of neighbors) {
+        const neighborLinks = this.links[neighbor.node][l];
+        neighborLinks.push(node);
+
+        if (neighborLinks.length > maxNeighbors) {
+          const base = this.store.rowVector(neighbor.node);
+          const scored = neighborLinks
+            .map(n => ({ node: n, similarity: this.store.dot(base, n) }))
+            .sort(bestFirst);
+          this.links[neighbor.node][l] = this.selectNeighbors(scored, maxNeighbors).map(c => c.node);
+        }
+      }
+
+      entryPoints = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Neighbour selection heuristic from the HNSW paper: prefer candidates that
+   * are closer to the base node than to any already-selected neighbour
+   * @param {Array} candidates - [{ node, similarity }] sorted best first
+   */
+  selectNeighbors(candidates, maxCount) {
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= maxCount) break;
+
+      const vector = this.store.rowVector(candidate.node);
+      const diverse = selected.every(s => this.store.dot(vector, s.node) < candidate.similarity);
+      (diverse ? selected : pruned).push(candidate);
+    }
+
+    // Keep pruned connections to fill up the list for better connectivity
+    for (const candidate of pruned) {
+      if (selected.length >= maxCount) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  getNeighbors(node, level) {
+    if (this.links) {
+      return this.links[node][level] || [];
+    }
+
+    let position = this.offsets[node];
+    if (level > this.data[position]) {
+      return [];
+    }
+    position++;
+    for (let l = 0; l < level; l++) {
+      position += 1 + this.data[position];
+    }
+    const count = this.data[position];
+    return this.data.subarray(position + 1, position + 1 + count);
+  }
+
+  greedyClosest(query, entry, level) {
+    let current = entry;
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const neighbor of this.getNeighbors(current.node, level)) {
+        const similarity = this.store.dot(query, neighbor);
+        if (similarity > current.similarity) {
+          current = { node: neighbor, similarity };
+          changed = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Beam search within one layer
+   * @param {Function} accept - Optional predicate; rejected nodes are traversed but not returned
+   * @returns {Array} [{ node, similarity }] sorted best first, at most ef long
+   */
+  searchLayer(query, entryPoints, ef, level, accept = null) {
+    const generation = this.nextVisitGeneration();
+    const candidates = new BinaryHeap(bestFirst);
+    const results = new BinaryHeap(worstFirst);
+
+    for (const entry of entryPoints) {
+      this.visited[entry.node] = generation;
+      candidates.push(entry);
+      if (!accept || accept(entry.node)) {
+        results.push(entry);
+      }
+    }
+    while (results.size > ef) results.pop();
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.similarity < results.peek().similarity) {
+        break;
+      }
+
+      for (const neighbor of this.getNeighbors(current.node, level)) {
+        if (this.visited[neighbor] === generation) continue;
+        this.visited[neighbor] = generation;
+
+        const similarity = this.store.dot(query, neighbor);
+        if (results.size < ef || similarity > results.peek().similarity) {
+          candidates.push({ node: neighbor, similarity });
+          if (!accept || accept(neighbor)) {
+            results.push({ node: neighbor, similarity });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort(bestFirst);
+  }
+
+  nextVisitGeneration() {
+    if (!this.visited || this.visited.length < this.count) {
+      this.visited = new Uint32Array(this.count);
+      this.visitGeneration = 0;
+    }
+    this.visitGeneration++;
+    if (this.visitGeneration === 0xffffffff) {
+      this.visited.fill(0);
+      this.visitGeneration = 1;
+    }
+    return this.visitGeneration;
+  }
+
+  /**
+   * Approximate k-nearest-neighbour search
+   * @param {Float32Array} normalizedQuery - Unit-length query vector
+   * @param {Object} options - { limit, efSearch, accept }
+   * @returns {Array} [{ id, row, similarity }] sorted by decreasing similarity; with accept it comes
+   *   back short of limit when passing nodes are unreachable from the entry point (callers rank exactly then)
+   */
+  search(normalizedQuery, { limit = 10, efSearch = this.efSearch, accept = null } = {}) {
+    if (this.entryPoint === -1) {
+      return [];
+    }
+
+    let entry = { node: this.entryPoint, similarity: this.store.dot(normalizedQuery, this.entryPoint) };
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = this.greedyClosest(normalizedQuery, entry, l);
+    }
+
+    const ef = Math.max(efSearch, limit);
+    return this.searchLayer(normalizedQuery, [entry], ef, 0, accept)
+      .slice(0, limit)
+      .map(r => ({ id: this.store.ids[r.node], row: r.node, similarity: r.similarity }));
+  }
+
+  /**
+   * Whether this index was built from the corpus currently in the store
+   * @param {string} corpusFingerprint - Fingerprint of the documents table; checked too when given,
+   *   since the store's own fingerprint only samples vector values
+   */
+  matches(store, corpusFingerprint = null) {
+    if (corpusFingerprint !== null && this.corpusFingerprint !== corpusFingerprint) {
+      return false;
+    }
+    return this.fingerprint === store.fingerprint();
+  }
+
+  /**
+   * Persist the graph as [magic, version, headerLength, header JSON, offsets, data]
+   */
+  save(filePath) {
+    const offsets = new Uint32Array(this.count);
+    const chunks = [];
+    let length = 0;
+
+    for (let node = 0; node < this.count; node++) {
+      offsets[node] = length;
+      const levels = this.links[node];
+      chunks.push(levels.length - 1);
+      length++;
+      for (const neighbors of levels) {
+        chunks.push(neighbors.length, ...neighbors);
+        length += 1 + neighbors.length;
+      }
+    }
+
+    const header = Buffer.from(JSON.stringify({
+      count: this.count,
+      dimensions: this.store.dimensions,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      fingerprint: this.fingerprint,
+      corpusFingerprint: this.corpusFingerprint,
+      dataLength: length,
+      builtAt: new Date().toISOString()
+    }));
+    const headerPadding = (4 - (header.length % 4)) % 4;
+
+    const prefix = Buffer.alloc(12);
+    prefix.writeUInt32LE(MAGIC, 0);
+    prefix.writeUInt32LE(FORMAT_VERSION, 4);
+    prefix.writeUInt32LE(header.length + headerPadding, 8);
+
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.concat([
+      prefix,
+      header,
+      Buffer.alloc(headerPadding, 0x20),
+      Buffer.from(offsets.buffer),
+      Buffer.from(Int32Array.from(chunks).buffer)
+    ]));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Load a persisted graph for the given store
+   * @returns {HnswIndex} index (check matches(store) before use)
+   */
+  static load(filePath, store, options = {}) {
+    const raw = fs.readFileSync(filePath);
+    // Typed array views need 4-byte alignment
+    const buffer = raw.byteOffset % 4 === 0 ? raw : Buffer.from(raw);
+
+    if (buffer.readUInt32LE(0) !== MAGIC) {
+      throw new Error(`${filePath} is not an HNSW index file`);
+    }
+    if (buffer.readUInt32LE(4) !== FORMAT_VERSION) {
+      throw new Error(`${filePath} has unsupported format version ${buffer.readUInt32LE(4)}`);
+    }
+
+    const headerLength = buffer.readUInt32LE(8);
+    const header = JSON.parse(buffer.subarray(12, 12 + headerLength).toString().trim());
+
+    const index = new HnswIndex(store, { ...options, M: header.M, efConstruction: header.efConstruction });
+    const offsetsStart = buffer.byteOffset + 12 + headerLength;
+    index.offsets = new Uint32Array(buffer.buffer, offsetsStart, header.count);
+    index.data = new Int32Array(buffer.buffer, offsetsStart + header.count * 4, header.dataLength);
+    index.count = header.count;
+    index.entryPoint = header.entryPoint;
+    index.maxLevel = header.maxLevel;
+    index.fingerprint = header.fingerprint;
+    index.corpusFingerprint = header.corpusFingerprint || null;
+    index.builtAt = header.builtAt;
+    return index;
+  }
+
+  getStats() {
+    return {
+      nodes: this.count,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      maxLevel: this.maxLevel,
+      builtAt: this.builtAt || null
+    };
+  }
+}
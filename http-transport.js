@@ -0,0 +1,306 @@
+/**
+ * HTTP Transport for a shared Apple Docs MCP server
+ * Streamable HTTP (POST/GET/DELETE /mcp) and the legacy SSE transport
+ * (GET /sse + POST /messages) on plain node:http. Every session gets its own
+ * MCP Server instance; all of them share one search engine and database
+ * Bearer-token auth guards every endpoint except GET /health; Host and Origin
+ * checks keep web pages from reaching it through the browser (DNS rebinding)
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+
+const MCP_PATH = '/mcp';
+const SSE_PATH = '/sse';
+const SSE_MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+
+// JSON-RPC requests are small; anything bigger is a mistake or abuse
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+const LOOPBACK_HOSTS = new Set(['127.0.0.1', 'localhost', '::1']);
+
+// Hostname of a Host header or an Origin ("[::1]:3000" → "::1"), null when unparseable
+function hostnameOf(value) {
+  try {
+    const url = new URL(value.includes('://') ? value : `http://${value}`);
+    return url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+export class McpHttpServer {
+  /**
+   * @param {Object} options
+   *   createServer: () => MCP Server with all handlers registered (called once per session)
+   *   host, port: listen address (default 127.0.0.1:3000)
+   *   authToken: required bearer token; mandatory when listening beyond loopback
+   *   sessionTimeoutMinutes: idle Streamable HTTP sessions are closed after this (default 30)
+   *   allowedHosts: Host header names accepted (default: loopback names when bound to loopback, any otherwise)
+   *   allowedOrigins: browser origins accepted besides loopback ones, e.g. ['https://tools.example.com']
+   *   getHealth: () => extra fields for GET /health
+   */
+  constructor({ createServer, host = '127.0.0.1', port = 3000, authToken = null, sessionTimeoutMinutes = 30, allowedHosts = [], allowedOrigins = [], getHealth = () => ({}) }) {
+    this.createServer = createServer;
+    this.host = host;
+    this.port = port;
+    this.authToken = authToken || null;
+    // A rebound DNS name reaches a loopback server with the attacker's hostname in Host
+    this.allowedHosts = allowedHosts.length > 0
+      ? new Set(allowedHosts.map(name => name.toLowerCase()))
+      : (LOOPBACK_HOSTS.has(host) ? LOOPBACK_HOSTS : null);
+    this.allowedOrigins = new Set(allowedOrigins);
+    this.sessionTimeoutMs = sessionTimeoutMinutes * 60 * 1000;
+    this.getHealth = getHealth;
+
+    // sessionId → { kind: 'streamable' | 'sse', transport, server, lastSeen }
+    this.sessions = new Map();
+    this.httpServer = null;
+    this.sweepTimer = null;
+    this.startedAt = Date.now();
+  }
+
+  async start() {
+    if (!this.authToken && !LOOPBACK_HOSTS.has(this.host)) {
+      throw new Error(`Refusing to listen on ${this.host} without MCP_AUTH_TOKEN. Set a token or bind to 127.0.0.1.`);
+    }
+    if (!this.authToken) {
+      console.error('⚠️  HTTP transport running without MCP_AUTH_TOKEN (loopback only)');
+    }
+
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        console.error('[apple-docs-mcp] HTTP request failed:', error);
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, 'Internal server error');
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, resolve);
+    });
+
+    this.sweepTimer = setInterval(() => this.closeIdleSessions(), 60 * 1000);
+    this.sweepTimer.unref();
+
+    const address = this.httpServer.address();
+    console.error(`[apple-docs-mcp] HTTP transport listening on http://${this.host}:${address.port}`);
+    console.error(`[apple-docs-mcp]   Streamable HTTP: ${MCP_PATH}  |  legacy SSE: ${SSE_PATH}  |  health: ${HEALTH_PATH}`);
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!this.isAllowedOrigin(req)) {
+      return this.sendJsonRpcError(res, 403, -32000, 'Forbidden: Host or Origin not allowed');
+    }
+
+    if (url.pathname === HEALTH_PATH && req.method === 'GET') {
+      return this.sendJson(res, 200, this.describeHealth());
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this.sendJson(res, 401, { error: 'Unauthorized: missing or invalid bearer token' });
+    }
+
+    if (url.pathname === MCP_PATH) {
+      return this.handleStreamable(req, res);
+    }
+    if (url.pathname === SSE_PATH && req.method === 'GET') {
+      return this.handleSseConnect(req, res);
+    }
+    if (url.pathname === SSE_MESSAGES_PATH && req.method === 'POST') {
+      return this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+    }
+
+    return this.sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+  }
+
+  /**
+   * DNS rebinding and cross-site protection
+   * Host must be an allowed name; an Origin header (sent by browsers) must be loopback or listed
+   * in allowedOrigins. Clients outside a browser send no Origin and are unaffected
+   */
+  isAllowedOrigin(req) {
+    if (this.allowedHosts && !this.allowedHosts.has(hostnameOf(req.headers.host || ''))) {
+      return false;
+    }
+
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+    return this.allowedOrigins.has(origin) || LOOPBACK_HOSTS.has(hostnameOf(origin));
+  }
+
+  // Constant-time comparison of "Authorization: Bearer <token>"
+  isAuthorized(req) {
+    if (!this.authToken) {
+      return true;
+    }
+
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) {
+      return false;
+    }
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.authToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Streamable HTTP: an initialize request without session id opens a session,
+   * every later request carries the Mcp-Session-Id header
+   */
+  async handleStreamable(req, res) {
+    const body = req.method === 'POST' ? await this.readJsonBody(req, res) : undefined;
+    if (body === null) {
+      return;
+    }
+
+    const sessionId = req.headers['mcp-session-id'];
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.kind !== 'streamable') {
+        // 404 tells the client to start a new session
+        return this.sendJsonRpcError(res, 404, -32001, 'Session not found');
+      }
+      session.lastSeen = Date.now();
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return this.sendJsonRpcError(res, 400, -32000, 'Bad Request: no valid session ID provided');
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => crypto.randomUUID(),
+      onsessioninitialized: id => {
+        this.sessions.set(id, { kind: 'streamable', transport, server, lastSeen: Date.now() });
+        console.error(`[apple-docs-mcp] Session opened: ${id} (${this.sessions.size} active)`);
+      }
+    });
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.delete(transport.sessionId)) {
+        console.error(`[apple-docs-mcp] Session closed: ${transport.sessionId}`);
+      }
+    };
+
+    await server.connect(transport);
+    return transport.handleRequest(req, res, body);
+  }
+
+  // Legacy SSE: the event stream lives as long as the GET request
+  async handleSseConnect(req, res) {
+    const server = this.createServer();
+    const transport = new SSEServerTransport(SSE_MESSAGES_PATH, res);
+    const sessionId = transport.sessionId;
+
+    this.sessions.set(sessionId, { kind: 'sse', transport, server, lastSeen: Date.now() });
+    res.on('close', () => {
+      this.sessions.delete(sessionId);
+      server.close().catch(() => {});
+    });
+
+    // connect() starts the transport, which sends the endpoint event
+    await server.connect(transport);
+  }
+
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || session.kind !== 'sse') {
+      return this.sendJson(res, 404, { error: 'Session not found' });
+    }
+
+    const body = await this.readJsonBody(req, res);
+    if (body === null) {
+      return;
+    }
+    session.lastSeen = Date.now();
+    return session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @returns {Promise<*>} Parsed body, or null after an error response was sent
+   */
+  async readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        this.sendJsonRpcError(res, 413, -32600, 'Request body too large');
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      this.sendJsonRpcError(res, 400, -32700, 'Parse error: invalid JSON');
+      return null;
+    }
+  }
+
+  // Streamable HTTP sessions have no open connection to tell us the client is gone
+  closeIdleSessions() {
+    const cutoff = Date.now() - this.sessionTimeoutMs;
+    for (const [id, session] of this.sessions) {
+      if (session.kind === 'streamable' && session.lastSeen < cutoff) {
+        console.error(`[apple-docs-mcp] Closing idle session: ${id}`);
+        session.transport.close().catch(() => {});
+        this.sessions.delete(id);
+      }
+    }
+  }
+
+  describeHealth() {
+    const kinds = [...this.sessions.values()].map(session => session.kind);
+    return {
+      status: 'ok',
+      uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      sessions: {
+        streamable: kinds.filter(kind => kind === 'streamable').length,
+        sse: kinds.filter(kind => kind === 'sse').length
+      },
+      authRequired: this.authToken !== null,
+      ...this.getHealth()
+    };
+  }
+
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  sendJsonRpcError(res, status, code, message) {
+    this.sendJson(res, status, { jsonrpc: '2.0', error: { code, message }, id: null });
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    for (const session of this.sessions.values()) {
+      await session.transport.close().catch(() => {});
+    }
+    this.sessions.clear();
+
+    if (this.httpServer) {
+      const closed = new Promise(resolve => this.httpServer.close(resolve));
+      // Idle keep-alive sockets would otherwise hold close() open
+      this.httpServer.closeAllConnections();
+      await closed;
+      this.httpServer = null;
+    }
+  }
+}
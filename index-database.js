@@ -0,0 +1,75 @@
+/**
+ * Derived Index Database for Apple Documentation
+ * Indexes derived from embeddings.db (full-text index, replacement graph,
+ * compatibility table) live in a separate SQLite file beside it, like the HNSW
+ * index, so the shipped corpus is never modified. Each index records the corpus
+ * fingerprint it was built from and is rebuilt when that no longer matches
+ */
+
+import Database from 'better-sqlite3';
+
+/**
+ * Path of the derived index database (beside the corpus by default)
+ * @param {string} dbPath - Path of embeddings.db
+ * @returns {string}
+ */
+export function getIndexDatabasePath(dbPath) {
+  if (process.env.INDEX_DB_PATH) {
+    return process.env.INDEX_DB_PATH;
+  }
+  return dbPath.replace(/\.db$/, '') + '.index.db';
+}
+
+/**
+ * Open (and create) the derived index database
+ * @param {string} indexPath - From getIndexDatabasePath()
+ * @returns {Database|null} null when it can't be opened (read-only directory etc.)
+ */
+export function openIndexDatabase(indexPath) {
+  try {
+    const db = new Database(indexPath);
+    console.error(`✅ Index database: ${indexPath}`);
+    return db;
+  } catch (error) {
+    console.error(`⚠️  Index database unavailable (${indexPath}):`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Fingerprint of the corpus: document count and an FNV-1a hash over every column the
+ * derived indexes are built from - rowid, id, title, url, type, description, platforms,
+ * technologies - and the byte length of the content
+ * Cheap enough to check on every start: SQLite reports a text's byte length without
+ * reading it, so no content is loaded (an edit that keeps the exact length goes unnoticed)
+ * @param {Database} db - better-sqlite3 handle of embeddings.db
+ * @returns {string}
+ */
+export function corpusFingerprint(db) {
+  let hash = 0x811c9dc5;
+  let count = 0;
+  const mix = value => {
+    hash ^= value;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  };
+  const mixText = text => {
+    const value = text === null || text === undefined ? '' : String(text);
+    for (let i = 0; i < value.length; i++) {
+      mix(value.charCodeAt(i));
+    }
+    mix(0);
+  };
+
+  const rows = db.prepare(`
+    SELECT rowid, id, title, url, type, description, platforms, technologies,
+           octet_length(content) AS content_bytes
+    FROM documents ORDER BY rowid
+  `).raw().iterate();
+  for (const row of rows) {
+    for (const value of row) {
+      mixText(value);
+    }
+    count++;
+  }
+  return `${count}:${hash.toString(16)}`;
+}
@@ -0,0 +1,244 @@
+/**
+ * Lexical Index for Apple Documentation
+ * SQLite FTS5 over documents.title, description and content with BM25 ranking
+ * Catches exact API names that embedding search ranks below related prose
+ * The FTS5 table lives in the derived index database (see index-database.js)
+ * Title matching (plain SQL, no FTS5) is the last-resort offline fallback
+ */
+
+import { corpusFingerprint } from './index-database.js';
+
+const FTS_TABLE = 'documents_fts';
+const META_TABLE = 'documents_fts_meta';
+
+// Bump when the indexed columns or tokenizer change so existing indexes are rebuilt
+const FTS_VERSION = 1;
+
+// BM25 column weights: title, description, content
+const BM25_WEIGHTS = [10.0, 4.0, 1.0];
+
+// Minimum number of BM25 candidates to scan when a metadata filter is active
+const FILTER_POOL_SIZE = 500;
+
+// Documents read per batch while building
+const BUILD_BATCH_SIZE = 500;
+
+export class LexicalIndex {
+  /**
+   * @param {Database} db - better-sqlite3 handle of embeddings.db (read only)
+   * @param {Database|null} indexDb - Derived index database holding the FTS5 table
+   * @param {Object} options - { fingerprint } corpus fingerprint computed by the engine (computed here when omitted)
+   */
+  constructor(db, indexDb, { fingerprint = null } = {}) {
+    this.db = db;
+    this.indexDb = indexDb;
+    this.fingerprint = fingerprint;
+    this.available = false;
+    this.error = null;
+    this.matchStmt = null;
+    this.metadataStmt = null;
+  }
+
+  /**
+   * Create and populate the FTS5 table if it doesn't exist or is out of date
+   * @returns {boolean} Whether lexical search is available
+   */
+  ensure() {
+    try {
+      if (!this.indexDb) {
+        throw new Error('no index database');
+      }
+
+      this.fingerprint = this.fingerprint || corpusFingerprint(this.db);
+      const version = `${FTS_VERSION}:${this.fingerprint}`;
+      if (!this.isCurrent(version)) {
+        console.error('🏗  Building full-text index (one-time, may take a minute)...');
+        const startTime = Date.now();
+        this.build(version);
+        console.error(`✅ Full-text index built in ${Date.now() - startTime}ms`);
+      }
+
+      this.matchStmt = this.indexDb.prepare(`
+        SELECT rowid, bm25(${FTS_TABLE}, ${BM25_WEIGHTS.join(', ')}) AS score
+        FROM ${FTS_TABLE}
+        WHERE ${FTS_TABLE} MATCH ?
+        ORDER BY score
+        LIMIT ?
+      `);
+      this.metadataStmt = this.db.prepare(`
+        SELECT rowid, id, title, url, type, platforms, technologies FROM documents
+        WHERE rowid IN (SELECT value FROM json_each(?))
+      `);
+      this.available = true;
+      this.error = null;
+    } catch (error) {
+      // No writable index database or SQLite without FTS5 - lexical search stays disabled
+      console.error('⚠️  Full-text index unavailable:', error.message);
+      this.available = false;
+      this.error = error.message;
+    }
+
+    return this.available;
+  }
+
+  isCurrent(version) {
+    try {
+      const row = this.indexDb.prepare(`SELECT value FROM ${META_TABLE} WHERE key = 'version'`).get();
+      return Boolean(row) && row.value === version;
+    } catch {
+      // Tables don't exist yet
+      return false;
+    }
+  }
+
+  /**
+   * Index every document in one transaction
+   * Contentless table keyed by the corpus rowid: the text isn't stored twice
+   */
+  build(version) {
+    this.indexDb.transaction(() => {
+      this.indexDb.exec(`
+        DROP TABLE IF EXISTS ${FTS_TABLE};
+        DROP TABLE IF EXISTS ${META_TABLE};
+        CREATE VIRTUAL TABLE ${FTS_TABLE} USING fts5(
+          title, description, content,
+          content='', tokenize='unicode61'
+        );
+        CREATE TABLE ${META_TABLE} (key TEXT PRIMARY KEY, value TEXT);
+      `);
+
+      const insert = this.indexDb.prepare(`INSERT INTO ${FTS_TABLE} (rowid, title, description, content) VALUES (?, ?, ?, ?)`);
+      const batch = this.db.prepare(`
+        SELECT rowid, title, description, content FROM documents
+        WHERE rowid > ? ORDER BY rowid LIMIT ?
+      `);
+      let lastRowid = -1;
+      for (;;) {
+        const docs = batch.all(lastRowid, BUILD_BATCH_SIZE);
+        if (docs.length === 0) {
+          break;
+        }
+        for (const doc of docs) {
+          insert.run(doc.rowid, doc.title || '', doc.description || '', doc.content || '');
+        }
+        lastRowid = docs[docs.length - 1].rowid;
+      }
+
+      this.indexDb.prepare(`INSERT INTO ${META_TABLE} (key, value) VALUES ('version', ?)`).run(version);
+    })();
+  }
+
+  /**
+   * Turn free text into a safe FTS5 MATCH expression
+   * "scrollTargetBehavior(_:)" → "scrolltargetbehavior"
+   * "Core Data CloudKit" → "core data cloudkit" OR "core" OR "data" OR "cloudkit"
+   */
+  buildMatchExpression(query) {
+    const tokens = (query.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+      .map(token => token.replace(/^_+|_+$/g, ''))
+      .filter(token => token.length > 0);
+
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const unique = [...new Set(tokens)];
+    const terms = unique.map(token => `"${token}"`);
+
+    // Whole phrase first so exact sequences score on top of individual terms
+    if (tokens.length > 1) {
+      terms.unshift(`"${tokens.join(' ')}"`);
+    }
+    return terms.join(' OR ');
+  }
+
+  /**
+   * BM25 search
+   * @param {string} query - Free text or API name
+   * @param {number} limit - Maximum results
+   * @param {Function} accept - Optional (row) => boolean metadata filter
+   * @returns {Array} [{ id, title, bm25, rank, exactTitle }] best first (lower bm25 is better)
+   */
+  search(query, limit = 10, accept = null) {
+    if (!this.available) {
+      throw new Error('Lexical search unavailable' + (this.error ? `: ${this.error}` : ''));
+    }
+
+    const expression = this.buildMatchExpression(query);
+    if (!expression) {
+      return [];
+    }
+
+    const normalizedQuery = this.normalizeName(query);
+    return this.fetchFiltered(expression, limit, accept).map((row, i) => ({
+      id: row.id,
+      title: row.title,
+      bm25: row.score,
+      rank: i + 1,
+      exactTitle: normalizedQuery.length > 0 && this.normalizeName(row.title) === normalizedQuery
+    }));
+  }
+
+  /**
+   * BM25 matches joined with their document metadata, applying the metadata filter
+   * over a deeper candidate pool so filtered-out documents don't eat into the limit
+   */
+  fetchFiltered(expression, limit, accept) {
+    const matches = this.matchStmt.all(expression, accept ? Math.max(limit * 10, FILTER_POOL_SIZE) : limit);
+    const metadata = new Map(this.metadataStmt.all(JSON.stringify(matches.map(match => match.rowid)))
+      .map(row => [row.rowid, row]));
+
+    const rows = matches
+      .filter(match => metadata.has(match.rowid))
+      .map(match => ({ ...metadata.get(match.rowid), score: match.score }));
+    return accept ? rows.filter(accept).slice(0, limit) : rows;
+  }
+
+  /**
+   * Title-only retrieval that works on any database (read-only, no FTS5)
+   * Scores: exact name 3, title prefix 2, all terms in title 1 (+ term coverage)
+   * @param {Function} accept - Optional (row) => boolean metadata filter
+   * @returns {Array} [{ id, title, titleScore, rank, exactTitle }] best first
+   */
+  searchTitles(query, limit = 10, accept = null) {
+    const terms = [...new Set((query.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []))]
+      .filter(term => term.length > 1);
+
+    if (terms.length === 0) {
+      return [];
+    }
+
+    const conditions = terms.map(() => 'LOWER(title) LIKE ?').join(' OR ');
+    const rows = this.db.prepare(`SELECT id, title, url, type, platforms, technologies FROM documents WHERE ${conditions}`)
+      .all(...terms.map(term => `%${term}%`))
+      .filter(row => !accept || accept(row));
+
+    const normalizedQuery = this.normalizeName(query);
+    return rows
+      .map(row => {
+        const title = (row.title || '').toLowerCase();
+        const normalizedTitle = this.normalizeName(row.title);
+        const coverage = terms.filter(term => title.includes(term)).length / terms.length;
+
+        let titleScore = coverage;
+        if (normalizedTitle === normalizedQuery) {
+          titleScore += 3;
+        } else if (normalizedTitle.startsWith(normalizedQuery)) {
+          titleScore += 2;
+        } else if (coverage === 1) {
+          titleScore += 1;
+        }
+
+        return { id: row.id, title: row.title, titleScore, exactTitle: normalizedTitle === normalizedQuery };
+      })
+      // Shorter titles first among equals: "NavigationStack" before "NavigationStack init"
+      .sort((a, b) => b.titleScore - a.titleScore || a.title.length - b.title.length)
+      .slice(0, limit)
+      .map((hit, i) => ({ ...hit, rank: i + 1 }));
+  }
+
+  // Compare API names ignoring case and punctuation: "scrollTargetBehavior(_:)" → "scrolltargetbehavior"
+  normalizeName(text) {
+    return (text || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+}
@@ -0,0 +1,557 @@
+/**
+ * Output Schemas for the MCP tools
+ * JSON Schemas of each tool's structuredContent, declared as outputSchema in tools/list
+ * Objects stay open (no additionalProperties: false) so new fields don't break clients
+ */
+
+const nullable = type => ({ type: [type, 'null'] });
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+// Counts keyed by value: { "SwiftUI": 12, "UIKit": 3 }
+const countMap = { type: 'object', additionalProperties: { type: 'integer' } };
+
+// Per-platform availability: { "iOS": { introduced: "16.0", deprecated: null, obsoleted: null, beta: false } }
+const availabilitySchema = {
+  type: 'object',
+  description: 'Availability by platform; introduced is null when the page lists the platform without a version',
+  additionalProperties: {
+    type: 'object',
+    properties: {
+      introduced: nullable('string'),
+      deprecated: nullable('string'),
+      obsoleted: nullable('string'),
+      beta: { type: 'boolean' }
+    },
+    required: ['introduced', 'deprecated', 'obsoleted', 'beta']
+  }
+};
+
+// Minimum OS versions by platform: { "iOS": "16.0" }
+const versionMap = { type: 'object', additionalProperties: { type: 'string' } };
+
+const compatibilitySchema = {
+  type: 'object',
+  description: 'Platform and technology information derived from the document',
+  properties: {
+    platforms: {
+      type: 'object',
+      properties: {
+        supported: stringArray,
+        scope: { type: 'string' }
+      }
+    },
+    availability: availabilitySchema,
+    technologies: {
+      type: 'object',
+      properties: {
+        primary: { type: 'string' },
+        modern: nullable('string')
+      }
+    },
+    requirements: { type: 'object' },
+    limitations: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+const replacementSchema = {
+  type: 'object',
+  description: 'Modern API the deprecated document points to; id/title/url are null when no page matches the name',
+  properties: {
+    name: { type: 'string' },
+    id: nullable('string'),
+    title: nullable('string'),
+    url: nullable('string'),
+    latest: {
+      type: 'object',
+      description: 'End of the replacement chain when the replacement is deprecated as well',
+      properties: {
+        id: { type: 'string' },
+        title: { type: 'string' },
+        url: { type: 'string' }
+      },
+      required: ['id', 'title', 'url']
+    }
+  },
+  required: ['name']
+};
+
+const deprecationWarningSchema = {
+  type: 'object',
+  properties: {
+    status: { type: 'string' },
+    confidence: { type: 'string' },
+    evidence: { type: 'string' },
+    demoted: { type: 'boolean' },
+    replacement: replacementSchema
+  },
+  required: ['status']
+};
+
+const searchResultSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    url: { type: 'string' },
+    uri: { type: 'string', description: 'apple-doc:// resource URI' },
+    type: { type: 'string', description: 'api_reference, wwdc_transcript, hig, sample_code or article' },
+    similarity: { ...nullable('number'), description: 'Cosine similarity in percent; null for full-text-only matches' },
+    snippet: nullable('string'),
+    codePreview: { type: 'string' },
+    compatibility: compatibilitySchema,
+    deprecationWarning: deprecationWarningSchema,
+    matchedBy: stringArray
+  },
+  required: ['id', 'title', 'url', 'similarity']
+};
+
+const relatedDocumentSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    url: { type: 'string' },
+    type: { type: 'string' },
+    similarity: nullable('number'),
+    relationship: { type: 'string' },
+    snippet: nullable('string')
+  },
+  required: ['id', 'title', 'url']
+};
+
+const searchDocsSchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    searchMode: { type: 'string', description: 'semantic, lexical, hybrid or title; prefixed with "offline-" without an embedding provider' },
+    total: { type: 'integer' },
+    offset: { type: 'integer' },
+    results: { type: 'array', items: searchResultSchema },
+    nextCursor: { type: 'string' },
+    filters: {
+      type: 'object',
+      properties: {
+        platforms: stringArray,
+        frameworks: stringArray,
+        excludeFrameworks: stringArray,
+        types: stringArray
+      }
+    },
+    facets: {
+      type: 'object',
+      properties: {
+        basis: { type: 'integer', description: 'Number of top matches counted' },
+        types: countMap,
+        platforms: countMap,
+        frameworks: countMap
+      }
+    },
+    deprecationPolicy: { type: 'string' },
+    hiddenDeprecated: { type: 'integer' },
+    deploymentTarget: versionMap,
+    hiddenUnavailable: { type: 'integer', description: 'Matches dropped as unavailable at deploymentTarget' },
+    notice: { type: 'string' },
+    relatedDocuments: { type: 'array', items: relatedDocumentSchema },
+    coverage: { type: 'string' },
+    totalWithRelated: { type: 'integer' },
+    relatedError: { type: 'string' }
+  },
+  required: ['query', 'searchMode', 'total', 'results']
+};
+
+const getDocSchema = {
+  type: 'object',
+  properties: {
+    found: { type: 'integer' },
+    documents: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          uri: { type: 'string' },
+          type: nullable('string'),
+          content: { type: 'string' },
+          contentLength: { type: 'integer', description: 'Length of the whole cleaned document' },
+          codeBlocks: { type: 'integer' },
+          toc: {
+            type: 'array',
+            description: 'Markdown headings; offset/length are positions in the whole document',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                level: { type: 'integer' },
+                offset: { type: 'integer' },
+                length: { type: 'integer' }
+              },
+              required: ['title', 'level', 'offset', 'length']
+            }
+          },
+          section: { ...nullable('string'), description: 'Heading of the returned section' },
+          sectionFound: { type: 'boolean' },
+          offset: { type: 'integer' },
+          totalLength: { type: 'integer', description: 'Length of the requested text (section or document)' },
+          truncated: { type: 'boolean' },
+          nextOffset: { ...nullable('integer'), description: 'Offset of the next page, null on the last page' }
+        },
+        required: ['id', 'title', 'content']
+      }
+    },
+    notFound: { ...stringArray, description: 'Requested IDs without a document' },
+    maxChars: { type: 'integer', description: 'Per-document character limit applied' }
+  },
+  required: ['found', 'documents']
+};
+
+const getStatsSchema = {
+  type: 'object',
+  properties: {
+    database: { type: 'string' },
+    totalDocuments: { type: 'integer' },
+    model: { type: 'string' },
+    dimensions: { type: 'integer' },
+    embeddingProvider: {
+      type: 'object',
+      properties: {
+        provider: nullable('string'),
+        model: nullable('string'),
+        dimensions: nullable('integer'),
+        storedDimensions: nullable('integer'),
+        error: nullable('string')
+      }
+    },
+    capabilities: {
+      type: 'object',
+      properties: {
+        offline: { type: 'boolean' },
+        semanticSearch: { type: 'boolean' },
+        lexicalSearch: { type: 'boolean' },
+        hybridSearch: { type: 'boolean' },
+        titleSearch: { type: 'boolean' },
+        relatedDocuments: { type: 'boolean' },
+        vectorIndex: { type: 'string' },
+        defaultSearchMode: { type: 'string' }
+      }
+    },
+    queryCache: { type: 'object' },
+    searchCursors: { type: 'object' },
+    compatibilityCache: {
+      type: 'object',
+      description: 'In-memory LRU of compatibility analyses; precomputed is true when the precomputed table is in use',
+      properties: {
+        size: { type: 'integer' },
+        maxSize: { type: 'integer' },
+        hits: { type: 'integer' },
+        precomputedHits: { type: 'integer' },
+        misses: { type: 'integer' },
+        evictions: { type: 'integer' },
+        precomputed: { type: 'boolean' }
+      }
+    },
+    sampleTitles: stringArray
+  },
+  required: ['totalDocuments']
+};
+
+const getCodeExamplesSchema = {
+  type: 'object',
+  properties: {
+    docId: { type: 'string' },
+    total: { type: 'integer' },
+    examples: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          documentId: { type: 'string' },
+          documentTitle: { type: 'string' },
+          documentUrl: { type: 'string' },
+          code: { type: 'string' },
+          language: { type: 'string' },
+          lines: { type: 'integer' },
+          contextBefore: { type: 'string' },
+          contextAfter: { type: 'string' },
+          purpose: { type: 'string' },
+          complexity: { type: 'string' },
+          category: { type: 'string' },
+          hasComments: { type: 'boolean' },
+          usesSystemAPI: stringArray
+        },
+        required: ['id', 'code']
+      }
+    }
+  },
+  required: ['docId', 'total', 'examples']
+};
+
+const findSymbolSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    parsed: {
+      type: 'object',
+      description: 'How the name was read: container types, base name and argument labels (null when not given)',
+      properties: {
+        container: stringArray,
+        name: { type: 'string' },
+        labels: { type: ['array', 'null'], items: { type: 'string' } },
+        selector: { type: 'boolean', description: 'Read as an Objective-C selector' }
+      }
+    },
+    total: { type: 'integer' },
+    matches: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          uri: { type: 'string' },
+          type: { type: 'string' },
+          framework: { type: 'string' },
+          platforms: stringArray,
+          matchType: { type: 'string', description: 'exact, labels_prefix, case_insensitive, name_only, overload or fuzzy' },
+          score: { type: 'number' },
+          containerMatches: { type: 'boolean' }
+        },
+        required: ['id', 'title', 'url', 'matchType', 'score']
+      }
+    },
+    ambiguous: { type: 'boolean', description: 'The best matches come from more than one framework' },
+    frameworks: stringArray,
+    hint: { type: 'string' }
+  },
+  required: ['name', 'total', 'matches', 'ambiguous']
+};
+
+const findSimilarSchema = {
+  type: 'object',
+  properties: {
+    sources: {
+      type: 'array',
+      description: 'Documents the neighbours were ranked against',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          url: { type: 'string' }
+        },
+        required: ['id']
+      }
+    },
+    total: { type: 'integer' },
+    results: {
+      type: 'array',
+      items: {
+        ...relatedDocumentSchema,
+        properties: {
+          ...relatedDocumentSchema.properties,
+          uri: { type: 'string' },
+          demoted: { type: 'boolean', description: 'Deprecated or superseded, ranked after current documents' }
+        }
+      }
+    },
+    deprecationPolicy: { type: 'string' },
+    filters: searchDocsSchema.properties.filters,
+    negativeIds: stringArray,
+    hiddenDeprecated: { type: 'integer' },
+    notFound: { ...stringArray, description: 'Requested IDs (sources or negatives) without a stored embedding' }
+  },
+  required: ['sources', 'total', 'results']
+};
+
+const compareApisSchema = {
+  type: 'object',
+  properties: {
+    total: { type: 'integer' },
+    apis: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          uri: { type: 'string' },
+          type: { type: 'string' },
+          summary: { type: 'string' },
+          platforms: stringArray,
+          availability: availabilitySchema,
+          minimumVersions: { ...versionMap, description: 'Minimum OS versions by platform, e.g. { "iOS": "17.0" }' },
+          frameworks: stringArray,
+          deprecation: {
+            type: ['object', 'null'],
+            properties: {
+              status: { type: 'string' },
+              confidence: { type: 'string' },
+              evidence: { type: 'string' },
+              replacement: { anyOf: [replacementSchema, { type: 'null' }] }
+            }
+          },
+          requirements: { type: 'object' },
+          limitations: { type: 'array', items: { type: 'object' } },
+          codeExamples: {
+            type: 'object',
+            properties: {
+              count: { type: 'integer' },
+              categories: countMap
+            }
+          }
+        },
+        required: ['id', 'title', 'url', 'platforms', 'frameworks', 'deprecation', 'codeExamples']
+      }
+    },
+    comparison: {
+      type: 'object',
+      properties: {
+        sharedPlatforms: stringArray,
+        partialPlatforms: {
+          type: 'object',
+          description: 'Platforms only some of the APIs support, with the IDs that do',
+          additionalProperties: stringArray
+        },
+        sharedFrameworks: stringArray,
+        deprecated: { ...stringArray, description: 'IDs of deprecated or superseded APIs' },
+        hardwareLimited: { ...stringArray, description: 'IDs of APIs that need specific hardware' },
+        mostCodeExamples: { ...nullable('string'), description: 'ID with the most code examples; null on a tie' }
+      }
+    },
+    notFound: stringArray
+  },
+  required: ['total', 'apis', 'comparison']
+};
+
+const checkAvailabilitySchema = {
+  type: 'object',
+  properties: {
+    deploymentTarget: versionMap,
+    total: { type: 'integer' },
+    summary: { ...countMap, description: 'Number of symbols per status' },
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          status: { type: 'string', enum: ['available', 'needs_guard', 'deprecated', 'unavailable', 'not_found'] },
+          id: { type: 'string' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          uri: { type: 'string' },
+          framework: { type: 'string' },
+          matchType: { type: 'string' },
+          platforms: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                platform: { type: 'string' },
+                target: { type: 'string' },
+                introduced: nullable('string'),
+                deprecated: nullable('string'),
+                obsoleted: nullable('string'),
+                beta: { type: 'boolean' },
+                status: { type: 'string', description: 'available, needs_guard, deprecated, obsoleted, unsupported or unknown' }
+              },
+              required: ['platform', 'target', 'status']
+            }
+          },
+          requires: { ...versionMap, description: 'Versions the API needs where the target is lower' },
+          guard: { type: 'string', description: 'Swift availability condition, e.g. #available(iOS 17.0, *)' },
+          unsupportedPlatforms: stringArray,
+          replacement: replacementSchema,
+          ambiguous: { type: 'boolean' },
+          frameworks: stringArray,
+          suggestion: { ...nullable('string'), description: 'Closest API name when the symbol was not found' }
+        },
+        required: ['symbol', 'status']
+      }
+    }
+  },
+  required: ['deploymentTarget', 'total', 'summary', 'results']
+};
+
+const documentReferenceSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    url: { type: 'string' },
+    uri: { type: 'string' }
+  },
+  required: ['id', 'title', 'url']
+};
+
+const getReplacementSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    title: { type: 'string' },
+    url: { type: 'string' },
+    uri: { type: 'string' },
+    deprecated: { type: 'boolean', description: 'Deprecated or superseded' },
+    status: { ...nullable('string'), description: 'deprecated, superseded or migration; null for current APIs' },
+    confidence: nullable('string'),
+    evidence: nullable('string'),
+    replacement: { anyOf: [{ ...replacementSchema, properties: { ...replacementSchema.properties, uri: { type: 'string' } } }, { type: 'null' }] },
+    chain: { type: 'array', items: documentReferenceSchema, description: 'Successive replacements, the latest last' },
+    replaces: { type: 'array', items: documentReferenceSchema, description: 'Deprecated APIs that name this one as their replacement' }
+  },
+  required: ['id', 'title', 'url', 'deprecated', 'status', 'replacement', 'chain', 'replaces']
+};
+
+const scanSwiftCodeSchema = {
+  type: 'object',
+  properties: {
+    deploymentTarget: { anyOf: [versionMap, { type: 'null' }] },
+    imports: stringArray,
+    summary: { ...countMap, description: 'identifiers, resolved, findings and the number of findings per issue' },
+    truncated: { type: 'boolean', description: 'Only the first 500 distinct identifiers were checked' },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          symbol: { type: 'string' },
+          kind: { type: 'string', enum: ['type', 'method', 'modifier', 'property_wrapper'] },
+          lines: { type: 'array', items: { type: 'integer' } },
+          issues: { type: 'array', items: { type: 'string', enum: ['deprecated', 'unavailable', 'needs_guard', 'hardware_limited'] } },
+          id: { type: 'string' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          uri: { type: 'string' },
+          framework: { type: 'string' },
+          evidence: nullable('string'),
+          replacement: replacementSchema,
+          unsupportedPlatforms: stringArray,
+          requires: { ...versionMap, description: 'Versions the API needs where the target is lower' },
+          guard: { type: 'string', description: 'Swift availability condition, e.g. #available(iOS 17.0, *)' },
+          unguardedLines: { type: 'array', items: { type: 'integer' }, description: 'Lines not covered by a matching availability check' },
+          limitations: { type: 'array', items: { type: 'object' } }
+        },
+        required: ['symbol', 'kind', 'lines', 'issues', 'id', 'title', 'url']
+      }
+    }
+  },
+  required: ['deploymentTarget', 'imports', 'summary', 'findings']
+};
+
+export const OUTPUT_SCHEMAS = {
+  search_docs: searchDocsSchema,
+  get_doc: getDocSchema,
+  get_stats: getStatsSchema,
+  get_code_examples: getCodeExamplesSchema,
+  find_symbol: findSymbolSchema,
+  find_similar: findSimilarSchema,
+  compare_apis: compareApisSchema,
+  check_availability: checkAvailabilitySchema,
+  get_replacement: getReplacementSchema,
+  scan_swift_code: scanSwiftCodeSchema
+};
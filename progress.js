@@ -0,0 +1,37 @@
+/**
+ * Progress Notifications for long-running tool calls
+ * Sends notifications/progress while a tool runs, when the client asked for it
+ * with a progressToken in the request's _meta
+ */
+
+export class ProgressReporter {
+  /**
+   * @param {Object} extra - Request handler extra from the MCP SDK ({ _meta, sendNotification })
+   */
+  constructor(extra = {}) {
+    this.progressToken = extra._meta ? extra._meta.progressToken : undefined;
+    this.sendNotification = extra.sendNotification || null;
+    // Progress must increase with every notification; stages have no known total
+    this.step = 0;
+  }
+
+  get enabled() {
+    return this.progressToken !== undefined && this.sendNotification !== null;
+  }
+
+  /**
+   * Announce the stage that starts now, e.g. "Embedding query"
+   */
+  report(message) {
+    if (!this.enabled) {
+      return;
+    }
+    this.step++;
+    this.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken: this.progressToken, progress: this.step, message }
+    }).catch(error => {
+      console.error('[apple-docs-mcp] Failed to send progress notification:', error.message);
+    });
+  }
+}
@@ -0,0 +1,217 @@
+/**
+ * Persistent Query Embedding Cache
+ * Stores query embeddings in a separate writable SQLite file so repeated
+ * searches skip the embedding round trip, across sessions and processes
+ * Keyed by provider (and endpoint, for OpenAI-compatible servers), model,
+ * dimensions and normalized query text
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_TTL_HOURS = 24 * 30;
+
+export class QueryEmbeddingCache {
+  /**
+   * @param {Object} options - { path, maxEntries, ttlHours, enabled }
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.QUERY_CACHE_PATH ||
+      path.join(os.homedir(), '.cache', 'apple-docs-mcp-server', 'query-embeddings.db');
+    this.maxEntries = options.maxEntries || parseInt(process.env.QUERY_CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+    this.ttlMs = (options.ttlHours || parseFloat(process.env.QUERY_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+    this.enabled = options.enabled ?? process.env.QUERY_CACHE !== 'off';
+
+    this.db = null;
+    this.error = null;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Open (and create) the cache database
+   * A failed open disables the cache for the rest of the process instead of retrying per query
+   * @returns {boolean} Whether the cache is usable
+   */
+  open() {
+    if (!this.enabled || this.error || this.db) {
+      return this.db !== null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.path), { recursive: true });
+      this.db = new Database(this.path);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS query_embeddings (
+          provider TEXT NOT NULL,
+          model TEXT NOT NULL,
+          dimensions INTEGER NOT NULL,
+          query TEXT NOT NULL,
+          embedding BLOB NOT NULL,
+          created_at INTEGER NOT NULL,
+          last_used_at INTEGER NOT NULL,
+          PRIMARY KEY (provider, model, dimensions, query)
+        );
+        CREATE INDEX IF NOT EXISTS query_embeddings_last_used ON query_embeddings(last_used_at);
+      `);
+
+      this.getStmt = this.db.prepare(`
+        SELECT embedding, created_at FROM query_embeddings
+        WHERE provider = ? AND model = ? AND dimensions = ? AND query = ?
+      `);
+      this.touchStmt = this.db.prepare(`
+        UPDATE query_embeddings SET last_used_at = ?
+        WHERE provider = ? AND model = ? AND dimensions = ? AND query = ?
+      `);
+      this.deleteStmt = this.db.prepare(`
+        DELETE FROM query_embeddings
+        WHERE provider = ? AND model = ? AND dimensions = ? AND query = ?
+      `);
+      this.putStmt = this.db.prepare(`
+        INSERT OR REPLACE INTO query_embeddings
+          (provider, model, dimensions, query, embedding, created_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      this.countStmt = this.db.prepare('SELECT COUNT(*) AS count FROM query_embeddings');
+
+      console.error(`✅ Query embedding cache: ${this.path}`);
+    } catch (error) {
+      // Read-only home directory etc. - searches still work, just uncached
+      this.disable(error);
+    }
+
+    return this.db !== null;
+  }
+
+  /**
+   * Stop using the cache after a SQLite error (busy, disk full, read-only, corrupt file)
+   * Searches carry on uncached; the error is reported by getStats()
+   */
+  disable(error) {
+    console.error(`⚠️  Query embedding cache disabled (${this.path}):`, error.message);
+    this.error = error.message;
+    if (this.db) {
+      try {
+        this.db.close();
+      } catch {
+        // Already unusable
+      }
+      this.db = null;
+    }
+  }
+
+  // "  SwiftUI   Navigation " → "swiftui navigation"
+  normalizeQuery(query) {
+    return query.normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+  }
+
+  /**
+   * Statement parameters (provider, model, dimensions, query) for a key
+   * The same model name served by two endpoints (Ollama, a gateway) need not give the same
+   * vectors, so the endpoint is stored as part of the provider column
+   */
+  keyParams({ provider, baseURL = null, model, dimensions, query }) {
+    return [baseURL ? `${provider} ${baseURL}` : provider, model, dimensions || 0, this.normalizeQuery(query)];
+  }
+
+  /**
+   * Look up a cached embedding
+   * @param {Object} key - { provider, baseURL, model, dimensions, query }
+   * @returns {Array<number>|null} Embedding, or null on miss/expiry
+   */
+  get(key) {
+    if (!this.open()) {
+      return null;
+    }
+
+    try {
+      const params = this.keyParams(key);
+      const row = this.getStmt.get(...params);
+      const now = Date.now();
+
+      if (!row) {
+        this.misses++;
+        return null;
+      }
+
+      if (now - row.created_at > this.ttlMs) {
+        this.deleteStmt.run(...params);
+        this.evictions++;
+        this.misses++;
+        return null;
+      }
+
+      this.touchStmt.run(now, ...params);
+      // Copy first: the blob's byteOffset isn't necessarily 4-byte aligned
+      const embedding = Array.from(new Float32Array(new Uint8Array(row.embedding).buffer));
+      this.hits++;
+      return embedding;
+    } catch (error) {
+      this.disable(error);
+      return null;
+    }
+  }
+
+  /**
+   * Store an embedding, evicting least recently used entries over the size limit
+   */
+  set(key, embedding) {
+    if (!this.open()) {
+      return;
+    }
+
+    try {
+      const now = Date.now();
+      const blob = Buffer.from(Float32Array.from(embedding).buffer);
+      this.putStmt.run(...this.keyParams(key), blob, now, now);
+
+      const { count } = this.countStmt.get();
+      if (count > this.maxEntries) {
+        const result = this.db.prepare(`
+          DELETE FROM query_embeddings WHERE rowid IN (
+            SELECT rowid FROM query_embeddings ORDER BY last_used_at ASC LIMIT ?
+          )
+        `).run(count - this.maxEntries);
+        this.evictions += result.changes;
+      }
+    } catch (error) {
+      this.disable(error);
+    }
+  }
+
+  getStats() {
+    let entries = 0;
+    if (this.db) {
+      try {
+        entries = this.countStmt.get().count;
+      } catch (error) {
+        this.disable(error);
+      }
+    }
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled && !this.error,
+      path: this.path,
+      entries,
+      maxEntries: this.maxEntries,
+      ttlHours: Math.round(this.ttlMs / (60 * 60 * 1000)),
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions,
+      hitRate: lookups === 0 ? null : Math.round((this.hits / lookups) * 10000) / 100,
+      error: this.error
+    };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
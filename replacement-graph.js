@@ -0,0 +1,231 @@
+/**
+ * Deprecation Replacement Graph for Apple Documentation
+ * Maps deprecated and superseded APIs to the documents that replace them
+ * ("NavigationView" → "NavigationStack"), using the replacement named in the
+ * deprecation text. Built only by `npm run build-index` (scanning every
+ * document takes a while) into the derived index database, versioned like the
+ * compatibility table; kept in memory (a few thousand edges) for lookups.
+ * Without a current graph, callers resolve replacement names per document
+ */
+
+import { ANALYZER_VERSION, DEPRECATED_STATUSES } from './compatibility-analyzer.js';
+import { corpusFingerprint } from './index-database.js';
+
+const GRAPH_TABLE = 'deprecation_replacements';
+const META_TABLE = 'deprecation_replacements_meta';
+
+// Bump when detection or resolution rules change so persisted graphs are ignored
+const GRAPH_VERSION = 1;
+
+// Longest replacement chain followed (A → B → C ...)
+const MAX_CHAIN_LENGTH = 10;
+
+export class ReplacementGraph {
+  /**
+   * @param {Database} db - better-sqlite3 handle of embeddings.db (read only)
+   * @param {Database|null} indexDb - Derived index database the graph is persisted in
+   * @param {Object} options
+   *   analyzer: CompatibilityAnalyzer (detectDeprecation)
+   *   resolve: (name, doc) => { id, title, url } | null - finds the document for a replacement name
+   *   fingerprint: corpus fingerprint computed by the engine (computed here when omitted)
+   */
+  constructor(db, indexDb, { analyzer, resolve, fingerprint = null }) {
+    this.db = db;
+    this.indexDb = indexDb;
+    this.fingerprint = fingerprint;
+    this.analyzer = analyzer;
+    this.resolve = resolve;
+    // Deprecated document id → edge
+    this.edges = new Map();
+    // Replacement document id → [deprecated document id]
+    this.replaces = new Map();
+    this.available = false;
+    this.loaded = false;
+  }
+
+  /**
+   * Load the persisted graph if it was built for this corpus and these rules
+   * Otherwise the graph stays empty and unavailable; it is never built here
+   * @returns {ReplacementGraph} this
+   */
+  ensure() {
+    if (this.loaded) {
+      return this;
+    }
+
+    if (this.isCurrent()) {
+      this.load(this.indexDb.prepare(`SELECT * FROM ${GRAPH_TABLE}`).all());
+      this.available = true;
+    } else {
+      console.error('ℹ️  No current replacement graph. Resolving replacements per document (run "npm run build-index" to precompute).');
+    }
+
+    this.loaded = true;
+    return this;
+  }
+
+  /**
+   * Scan every document, replace the persisted graph in one transaction, then load it
+   * @returns {ReplacementGraph} this
+   */
+  build() {
+    if (!this.indexDb) {
+      throw new Error('Replacement graph needs a writable index database');
+    }
+
+    console.error('🏗  Building deprecation replacement graph...');
+    const startTime = Date.now();
+    const rows = this.scan();
+    this.save(rows);
+    this.load(rows);
+    this.available = true;
+    this.loaded = true;
+    console.error(`✅ Replacement graph built: ${rows.length} deprecated APIs, ${rows.filter(row => row.replacement_id).length} with a replacement page in ${Date.now() - startTime}ms`);
+    return this;
+  }
+
+  // Graph rules, analyzer rules and corpus the persisted graph was built from
+  version() {
+    this.fingerprint = this.fingerprint || corpusFingerprint(this.db);
+    return `${GRAPH_VERSION}.${ANALYZER_VERSION}:${this.fingerprint}`;
+  }
+
+  isCurrent() {
+    if (!this.indexDb) {
+      return false;
+    }
+    try {
+      const row = this.indexDb.prepare(`SELECT value FROM ${META_TABLE} WHERE key = 'version'`).get();
+      return Boolean(row) && row.value === this.version();
+    } catch {
+      // Tables don't exist yet
+      return false;
+    }
+  }
+
+  /**
+   * Scan every document for deprecation and resolve its replacement
+   * @returns {Array} Rows { document_id, status, confidence, evidence, replacement_name, replacement_id }
+   */
+  scan() {
+    const rows = [];
+    const documents = this.db.prepare('SELECT id, title, url, content, platforms, technologies FROM documents').iterate();
+
+    for (const doc of documents) {
+      const deprecation = this.analyzer.detectDeprecation(doc.title || '', doc.content);
+      if (!deprecation || !DEPRECATED_STATUSES.has(deprecation.status)) {
+        continue;
+      }
+
+      const name = deprecation.replacementName || null;
+      const replacement = name ? this.resolve(name, doc) : null;
+      rows.push({
+        document_id: doc.id,
+        status: deprecation.status,
+        confidence: deprecation.confidence,
+        evidence: deprecation.evidence,
+        replacement_name: name,
+        replacement_id: replacement ? replacement.id : null
+      });
+    }
+    return rows;
+  }
+
+  // Replace the persisted graph
+  save(rows) {
+    const version = this.version();
+    this.indexDb.transaction(() => {
+      this.indexDb.exec(`
+        DROP TABLE IF EXISTS ${GRAPH_TABLE};
+        DROP TABLE IF EXISTS ${META_TABLE};
+        CREATE TABLE ${GRAPH_TABLE} (
+          document_id TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          confidence TEXT,
+          evidence TEXT,
+          replacement_name TEXT,
+          replacement_id TEXT
+        );
+        CREATE INDEX ${GRAPH_TABLE}_replacement ON ${GRAPH_TABLE} (replacement_id);
+        CREATE TABLE ${META_TABLE} (key TEXT PRIMARY KEY, value TEXT);
+      `);
+      const insert = this.indexDb.prepare(`
+        INSERT INTO ${GRAPH_TABLE} (document_id, status, confidence, evidence, replacement_name, replacement_id)
+        VALUES (@document_id, @status, @confidence, @evidence, @replacement_name, @replacement_id)
+      `);
+      for (const row of rows) {
+        insert.run(row);
+      }
+      this.indexDb.prepare(`INSERT INTO ${META_TABLE} (key, value) VALUES ('version', ?)`).run(version);
+    })();
+  }
+
+  load(rows) {
+    this.edges.clear();
+    this.replaces.clear();
+    for (const row of rows) {
+      this.edges.set(row.document_id, {
+        id: row.document_id,
+        status: row.status,
+        confidence: row.confidence,
+        evidence: row.evidence,
+        replacementName: row.replacement_name,
+        replacementId: row.replacement_id
+      });
+      if (row.replacement_id) {
+        if (!this.replaces.has(row.replacement_id)) {
+          this.replaces.set(row.replacement_id, []);
+        }
+        this.replaces.get(row.replacement_id).push(row.document_id);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object|null} { id, status, confidence, evidence, replacementName, replacementId } for a deprecated document
+   */
+  get(id) {
+    return this.edges.get(id) || null;
+  }
+
+  /**
+   * Successors of a deprecated document, following replacements that are deprecated themselves
+   * @returns {Array} Document ids, the latest replacement last
+   */
+  chain(id) {
+    const chain = [];
+    const seen = new Set([id]);
+    let edge = this.get(id);
+    while (edge && edge.replacementId && !seen.has(edge.replacementId) && chain.length < MAX_CHAIN_LENGTH) {
+      chain.push(edge.replacementId);
+      seen.add(edge.replacementId);
+      edge = this.get(edge.replacementId);
+    }
+    return chain;
+  }
+
+  /**
+   * Deprecated documents that name this one as their replacement
+   * @returns {Array} Document ids
+   */
+  predecessors(id) {
+    return this.replaces.get(id) || [];
+  }
+
+  getStats() {
+    const edges = [...this.edges.values()];
+    return {
+      available: this.available,
+      deprecated: edges.length,
+      withReplacementName: edges.filter(edge => edge.replacementName).length,
+      resolved: edges.filter(edge => edge.replacementId).length
+    };
+  }
+
+  clear() {
+    this.edges.clear();
+    this.replaces.clear();
+    this.available = false;
+    this.loaded = false;
+  }
+}
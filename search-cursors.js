@@ -0,0 +1,103 @@
+/**
+ * Search Cursors for paginated search_docs
+ * Keeps recent ranked lists in memory for a short window so follow-up pages
+ * are sliced from the same ranking instead of re-running the query
+ * Cursors are opaque base64url tokens that also carry the query and options,
+ * so an expired cursor can still be served by ranking again
+ */
+
+import crypto from 'crypto';
+import { InvalidArgumentError } from './errors.js';
+
+const DEFAULT_TTL_SECONDS = 300;
+const DEFAULT_MAX_LISTS = 100;
+
+export class SearchCursorCache {
+  /**
+   * @param {Object} options - { ttlSeconds, maxLists }
+   */
+  constructor(options = {}) {
+    this.ttlMs = (options.ttlSeconds || parseInt(process.env.SEARCH_CURSOR_TTL_SECONDS) || DEFAULT_TTL_SECONDS) * 1000;
+    this.maxLists = options.maxLists || DEFAULT_MAX_LISTS;
+    // Insertion-ordered: the first entry is always the oldest
+    this.lists = new Map();
+  }
+
+  /**
+   * Keep a ranked list for follow-up pages
+   * @param {Object} entry - { mode, ranked, hiddenDeprecated }
+   * @returns {string} List id
+   */
+  store(entry) {
+    this.evictExpired();
+    while (this.lists.size >= this.maxLists) {
+      this.lists.delete(this.lists.keys().next().value);
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    this.lists.set(id, { ...entry, expiresAt: Date.now() + this.ttlMs });
+    return id;
+  }
+
+  /**
+   * @returns {Object|null} Stored entry, or null when unknown or expired
+   */
+  get(id) {
+    const entry = this.lists.get(id);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt < Date.now()) {
+      this.lists.delete(id);
+      return null;
+    }
+    return entry;
+  }
+
+  evictExpired() {
+    const now = Date.now();
+    for (const [id, entry] of this.lists) {
+      if (entry.expiresAt < now) {
+        this.lists.delete(id);
+      }
+    }
+  }
+
+  /**
+   * @param {Object} state - { listId, offset, query, settings }
+   * @returns {string} Opaque cursor
+   */
+  encode(state) {
+    return Buffer.from(JSON.stringify(state)).toString('base64url');
+  }
+
+  /**
+   * @param {string} cursor - Cursor from a previous response
+   * @returns {Object} { listId, offset, query, settings }
+   */
+  decode(cursor) {
+    let state;
+    try {
+      state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch {
+      throw new InvalidArgumentError('Invalid cursor. Use nextCursor from a previous search_docs response.', { argument: 'cursor' });
+    }
+    if (!state || typeof state.query !== 'string' || !Number.isInteger(state.offset) || state.offset < 0 || !state.settings) {
+      throw new InvalidArgumentError('Invalid cursor. Use nextCursor from a previous search_docs response.', { argument: 'cursor' });
+    }
+    return state;
+  }
+
+  getStats() {
+    this.evictExpired();
+    return {
+      activeLists: this.lists.size,
+      maxLists: this.maxLists,
+      ttlSeconds: Math.round(this.ttlMs / 1000)
+    };
+  }
+
+  clear() {
+    this.lists.clear();
+  }
+}
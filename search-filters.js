@@ -0,0 +1,158 @@
+/**
+ * Search Filters for Apple Documentation
+ * Matches lightweight document metadata (platforms/technologies JSON columns,
+ * type, url, title) against search_docs filter arguments, so filtering happens
+ * before ranking, and counts facets over ranked matches
+ */
+
+import { CompatibilityAnalyzer } from './compatibility-analyzer.js';
+
+const analyzer = new CompatibilityAnalyzer();
+
+export const DOCUMENT_TYPES = ['api_reference', 'wwdc_transcript', 'hig', 'sample_code', 'article'];
+
+// Parsed, lower-cased metadata per metadata object - parsed once, reused by every query
+const parsedMetadata = new WeakMap();
+
+function toLowerSet(values) {
+  return new Set((values || []).map(value => String(value).trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Classify a document into one of DOCUMENT_TYPES from its raw type, URL and title
+ * @param {Object} meta - Row with type, url and title
+ * @returns {string} Document type
+ */
+export function classifyDocumentType(meta) {
+  const rawType = (meta.type || '').toLowerCase();
+  const url = (meta.url || '').toLowerCase();
+  const title = meta.title || '';
+
+  if (url.includes('/videos/play/') || /wwdc|video|transcript|session/.test(rawType)) {
+    return 'wwdc_transcript';
+  }
+  if (url.includes('/human-interface-guidelines') || /hig|design|guideline/.test(rawType)) {
+    return 'hig';
+  }
+  if (url.includes('/sample-code') || /sample/.test(rawType)) {
+    return 'sample_code';
+  }
+  if (/article|guide|tutorial/.test(rawType)) {
+    return 'article';
+  }
+
+  // Reference pages are named after symbols: "NavigationStack", "init(_:)", "viewDidLoad()"
+  const looksLikeSymbol = !/\s/.test(title.trim()) || /^[\w.]+\(.*\)$/.test(title.trim());
+  return looksLikeSymbol ? 'api_reference' : 'article';
+}
+
+/**
+ * Parse a document's platforms and frameworks with CompatibilityAnalyzer
+ * @param {Object} meta - Row with platforms and technologies JSON strings, type, url, title
+ * @returns {Object} { platforms, frameworks, platformNames, frameworkNames, type }
+ */
+export function parseDocumentMetadata(meta) {
+  let parsed = parsedMetadata.get(meta);
+  if (!parsed) {
+    const platformNames = analyzer.parsePlatforms(meta.platforms).supported;
+    const frameworkNames = analyzer.parseTechnologies(meta.technologies).frameworks;
+    parsed = {
+      platforms: toLowerSet(platformNames),
+      frameworks: toLowerSet(frameworkNames),
+      platformNames,
+      frameworkNames,
+      type: classifyDocumentType(meta)
+    };
+    parsedMetadata.set(meta, parsed);
+  }
+  return parsed;
+}
+
+export class SearchFilter {
+  /**
+   * @param {Object} options - { platforms, frameworks, excludeFrameworks, types } arrays of names
+   */
+  constructor({ platforms = [], frameworks = [], excludeFrameworks = [], types = [] } = {}) {
+    this.platforms = toLowerSet(platforms);
+    this.frameworks = toLowerSet(frameworks);
+    this.excludeFrameworks = toLowerSet(excludeFrameworks);
+    this.types = toLowerSet(types);
+    // Original spelling for echoing back in responses
+    this.requested = { platforms, frameworks, excludeFrameworks, types };
+  }
+
+  get active() {
+    return this.platforms.size > 0 || this.frameworks.size > 0 ||
+      this.excludeFrameworks.size > 0 || this.types.size > 0;
+  }
+
+  /**
+   * Test one document
+   * - platforms: document supports at least one requested platform
+   * - frameworks: document belongs to at least one requested framework
+   * - excludeFrameworks: document belongs to none of them
+   * - types: document type (see DOCUMENT_TYPES) is one of them
+   * @param {Object} meta - Row with platforms and technologies JSON strings, type, url, title
+   */
+  matches(meta) {
+    if (!this.active) {
+      return true;
+    }
+    const doc = parseDocumentMetadata(meta);
+
+    if (this.platforms.size > 0 && ![...this.platforms].some(p => doc.platforms.has(p))) {
+      return false;
+    }
+    if (this.frameworks.size > 0 && ![...this.frameworks].some(f => doc.frameworks.has(f))) {
+      return false;
+    }
+    if ([...this.excludeFrameworks].some(f => doc.frameworks.has(f))) {
+      return false;
+    }
+    if (this.types.size > 0 && !this.types.has(doc.type)) {
+      return false;
+    }
+    return true;
+  }
+
+  // Applied filters for the response (only the ones that were set)
+  describe() {
+    const applied = {};
+    for (const [key, values] of Object.entries(this.requested)) {
+      if (values && values.length > 0) {
+        applied[key] = values;
+      }
+    }
+    return applied;
+  }
+}
+
+/**
+ * Count matches per document type, platform and framework
+ * @param {Array} metas - Metadata rows of the ranked matches
+ * @returns {Object} { basis, types, platforms, frameworks } with counts sorted descending
+ */
+export function computeFacets(metas, maxValues = 15) {
+  const types = new Map();
+  const platforms = new Map();
+  const frameworks = new Map();
+  const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  for (const meta of metas) {
+    const doc = parseDocumentMetadata(meta);
+    increment(types, doc.type);
+    doc.platformNames.forEach(name => increment(platforms, name));
+    doc.frameworkNames.forEach(name => increment(frameworks, name));
+  }
+
+  const toObject = map => Object.fromEntries(
+    [...map.entries()].sort((a, b) => b[1] - a[1]).slice(0, maxValues)
+  );
+
+  return {
+    basis: metas.length,
+    types: toObject(types),
+    platforms: toObject(platforms),
+    frameworks: toObject(frameworks)
+  };
+}
@@ -1,9 +1,44 @@
 import Database from 'better-sqlite3';
-import OpenAI from 'openai';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import { CompatibilityAnalyzer } from './compatibility-analyzer.js';
+import { CompatibilityAnalyzer, AVAILABILITY_PLATFORMS, DEPRECATED_STATUSES, canonicalPlatform } from './compatibility-analyzer.js';
+import { CompatibilityTable } from './compatibility-table.js';
+import { VectorStore } from './vector-store.js';
+import { HnswIndex } from './hnsw-index.js';
+import { LexicalIndex } from './lexical-index.js';
+import { getIndexDatabasePath, openIndexDatabase, corpusFingerprint } from './index-database.js';
+import { SymbolIndex } from './symbol-index.js';
+import { ReplacementGraph } from './replacement-graph.js';
+import { scanSwiftSource, isGuarded } from './swift-scanner.js';
+import { createEmbeddingProvider } from './embedding-providers.js';
+import { QueryEmbeddingCache } from './query-cache.js';
+import { SearchCursorCache } from './search-cursors.js';
+import { InvalidArgumentError, NotFoundError, EmbeddingProviderError, OperationCancelledError, OperationTimeoutError, throwIfAborted } from './errors.js';
+import { SearchFilter, DOCUMENT_TYPES, classifyDocumentType, computeFacets, parseDocumentMetadata } from './search-filters.js';
+
+export const SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+
+// demote: deprecated/superseded APIs rank after current ones; hide: drop them; ignore: rank as-is
+export const DEPRECATION_POLICIES = ['demote', 'hide', 'ignore'];
+
+// Title matching needs nothing but the documents table - the offline fallback of last resort
+const TITLE_MODE = 'title';
+
+// Reciprocal rank fusion constant (standard value from Cormack et al.)
+const RRF_K = 60;
+
+// find_similar: how far negative examples push the query away (Rocchio weight)
+const NEGATIVE_WEIGHT = 0.5;
+
+// Below this share of matching documents, an exact scan of the matches beats HNSW traversal
+const SELECTIVE_FILTER_RATIO = 0.1;
+
+// scan_swift_code: distinct identifiers looked up per file
+const MAX_SCAN_REFERENCES = 500;
+
+// Number of top matches kept per query: facet counts and cursor pages come from them
+const RANKING_WINDOW = 100;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,11 +46,36 @@ const __dirname = path.dirname(__filename);
 export class AppleSearchEngine {
   constructor() {
     this.db = null;
-    this.openai = null;
     this.initialized = false;
-    this.openaiInitialized = false;
+    // Query embeddings come from a pluggable provider (OpenAI, compatible endpoint, local model)
+    this.embeddingProvider = null;
+    this.embeddingError = null;
+    this.semanticAvailable = false;
+    // Persistent cache of query embeddings (separate writable SQLite file)
+    this.queryCache = new QueryEmbeddingCache();
+    // Ranked lists behind search_docs cursors, kept for a short window
+    this.searchCursors = new SearchCursorCache();
     // Initialize compatibility analyzer
     this.compatibilityAnalyzer = new CompatibilityAnalyzer();
+    // Analyses of every document, precomputed by build-index into the index database
+    this.compatibilityTable = null;
+    // Resident embedding matrix, loaded once on first use
+    this.vectorStore = new VectorStore();
+    // Optional HNSW index persisted beside the database (exact scan when absent)
+    this.annIndex = null;
+    this.annIndexChecked = false;
+    this.dbPath = null;
+    // Derived indexes (full-text, ...) in a separate file beside the database, opened on first use
+    this.indexDb = null;
+    this.indexDbChecked = false;
+    // Corpus fingerprint the derived indexes are checked against, computed once (see corpusFingerprint)
+    this.fingerprint = null;
+    // FTS5 index for exact API names, created on first use
+    this.lexicalIndex = null;
+    // Reference page titles and URL paths for find_symbol, built on first use
+    this.symbolIndex = new SymbolIndex();
+    // Deprecated API → replacement page, built by build-index and loaded from the index database
+    this.replacementGraph = null;
   }
 
   findDatabasePath() {
@@ -52,28 +112,29 @@ export class AppleSearchEngine {
     return fallbackPath;
   }
 
-  async init(initOpenAI = true) {
+  async init(initEmbeddings = true) {
     try {
       // Initialize SQLite database with smart path resolution
       const dbPath = this.findDatabasePath();
-      this.db = new Database(dbPath);
+      // The corpus is never written: derived indexes go to the index database
+      this.db = new Database(dbPath, { readonly: true });
+      this.dbPath = dbPath;
       
       this.initialized = true;
       
-      // Initialize OpenAI client (optional)
-      if (initOpenAI) {
-        const apiKey = process.env.OPENAI_API_KEY;
-        if (!apiKey) {
-          console.warn('⚠️  OPENAI_API_KEY not found. Search will be unavailable.');
+      // Initialize embedding provider (optional)
+      if (initEmbeddings) {
+        if (!(await this.initEmbeddingProvider())) {
           console.error('✅ SQLite database initialized (read-only)');
           return;
         }
-        
-        this.openai = new OpenAI({
-          apiKey: apiKey
-        });
-        this.openaiInitialized = true;
-        console.error('Apple Search Engine initialized successfully (with OpenAI)');
+
+        // Preload vectors so the first search doesn't pay for the full scan
+        this.getVectorStore();
+        this.getAnnIndex();
+        this.getLexicalIndex();
+        const { provider, model } = this.embeddingProvider.describe();
+        console.error(`Apple Search Engine initialized successfully (embeddings: ${provider}/${model})`);
       } else {
         console.error('✅ SQLite database initialized (read-only)');
       }
@@ -83,104 +144,922 @@ export class AppleSearchEngine {
     }
   }
 
-  async search(query, limit = 10, minSimilarity = 0.3) {
+  /**
+   * Create the configured embedding provider and check it against the stored vectors
+   * Any failure leaves the engine in offline mode instead of failing init
+   * @returns {boolean} Whether semantic search is available
+   */
+  async initEmbeddingProvider() {
+    try {
+      const provider = createEmbeddingProvider();
+      if (!provider) {
+        this.embeddingError = 'OPENAI_API_KEY not configured';
+        console.warn('⚠️  OPENAI_API_KEY not found. Search will run in offline mode (local full-text only).');
+        return false;
+      }
+
+      await provider.init();
+
+      const storedDimensions = this.getStoredDimensions();
+      if (provider.dimensions && storedDimensions && provider.dimensions !== storedDimensions) {
+        throw new Error(`${provider.name} model ${provider.model} produces ${provider.dimensions}-dim vectors, but the database stores ${storedDimensions}-dim embeddings`);
+      }
+
+      this.embeddingProvider = provider;
+      this.semanticAvailable = true;
+      this.embeddingError = null;
+      return true;
+    } catch (error) {
+      this.embeddingError = error.message;
+      console.warn(`⚠️  Embedding provider unavailable: ${error.message}. Search will run in offline mode.`);
+      return false;
+    }
+  }
+
+  // Dimensionality of the stored document embeddings (without loading the matrix)
+  getStoredDimensions() {
+    if (this.vectorStore.loaded) {
+      return this.vectorStore.dimensions;
+    }
+    const row = this.db.prepare('SELECT length(embedding) AS bytes FROM embeddings LIMIT 1').get();
+    return row ? row.bytes / 4 : null;
+  }
+
+  /**
+   * Describe the active embedding provider for statistics
+   */
+  getEmbeddingInfo() {
+    const storedDimensions = this.getStoredDimensions();
+    if (!this.embeddingProvider) {
+      return { provider: null, model: null, dimensions: storedDimensions, storedDimensions, error: this.embeddingError };
+    }
+    return { ...this.embeddingProvider.describe(), storedDimensions, error: null };
+  }
+
+  /**
+   * Search documents
+   * @param {string} query - Natural language query or API name
+   * @param {number} limit - Maximum results
+   * @param {number} minSimilarity - Cosine threshold for semantic matches
+   * @param {Object} options - { mode, filters }, see searchDocuments()
+   * @returns {Array} Ranked documents with content and compatibility info
+   */
+  async search(query, limit = 10, minSimilarity = 0.3, options = {}) {
+    const { results } = await this.searchDocuments(query, { ...options, limit, minSimilarity });
+    return results;
+  }
+
+  /**
+   * Search documents, optionally counting facets over the ranked matches
+   * @param {string} query - Natural language query or API name
+   * @param {Object} options - { limit, minSimilarity, mode, filters, facets, deprecationPolicy, paginate, cursor, signal, onProgress }
+   *   mode: 'semantic' | 'lexical' | 'hybrid' | 'title'
+   *   filters: { platforms, frameworks, excludeFrameworks, types } applied before ranking
+   *   facets: count types, platforms and frameworks over the top RANKING_WINDOW matches
+   *   deprecationPolicy: 'demote' | 'hide' | 'ignore' (see DEPRECATION_POLICIES)
+   *   deploymentTarget: { iOS: '16.0', ... } drops APIs not available at these versions
+   *   paginate: keep the top RANKING_WINDOW matches and return nextCursor for the next page
+   *   cursor: nextCursor of a previous response - other options except limit come from it
+   *   signal: AbortSignal that stops the embedding request and the vector scan
+   *   onProgress: (message) => void, called as each ranking stage starts
+   * @returns {Object} { mode, results, facets, hiddenDeprecated, hiddenUnavailable, offset, nextCursor }
+   */
+  async searchDocuments(query, {
+    limit = 10,
+    minSimilarity = 0.3,
+    mode: requestedMode,
+    filters,
+    facets = false,
+    deprecationPolicy = 'ignore',
+    deploymentTarget = null,
+    paginate = false,
+    cursor = null,
+    signal = null,
+    onProgress = null
+  } = {}) {
     if (!this.initialized) {
       throw new Error('Engine not initialized. Call init() first.');
     }
-    
-    if (!this.openaiInitialized) {
-      throw new Error('OpenAI not initialized. Search requires OPENAI_API_KEY.');
+    const context = { signal, onProgress };
+    if (cursor) {
+      return this.continueSearch(query, cursor, limit, context);
+    }
+    if (!DEPRECATION_POLICIES.includes(deprecationPolicy)) {
+      throw new InvalidArgumentError(`Unknown deprecation policy "${deprecationPolicy}". Use one of: ${DEPRECATION_POLICIES.join(', ')}`, { argument: 'deprecationPolicy', allowed: DEPRECATION_POLICIES });
+    }
+
+    const settings = {
+      mode: this.resolveSearchMode(requestedMode),
+      minSimilarity,
+      filters: filters || {},
+      deprecationPolicy,
+      deploymentTarget: this.resolveDeploymentTarget(deploymentTarget)
+    };
+    // Facets and later pages need a deeper ranking than the page returned, and so does moving
+    // deprecated or unavailable documents out of the way - others must be there to take their place
+    let depth = limit;
+    if (deprecationPolicy !== 'ignore' || settings.deploymentTarget) {
+      depth = Math.max(limit * 2, 20);
+    }
+    if (facets || paginate) {
+      depth = Math.max(depth, RANKING_WINDOW);
     }
 
     try {
-      // Generate embedding for query
-      const queryEmbedding = await this.getEmbedding(query);
-      const queryVector = queryEmbedding; // Already array of numbers
-      
-      // Get all documents with their embeddings, joining two tables
-      const stmt = this.db.prepare(`
-        SELECT d.id, d.title, d.url, d.content, d.platforms, d.technologies, e.embedding 
-        FROM documents d 
-        JOIN embeddings e ON d.id = e.id
-      `);
-      const allDocuments = stmt.all();
-      
-      // Calculate cosine similarity for each document
-      const resultsWithSimilarity = allDocuments.map(doc => {
-        // BLOB to Float32Array conversion
-        const docVector = this.blobToFloat32Array(doc.embedding);
-        const similarity = this.calculateCosineSimilarity(queryVector, docVector);
-        
-        // Add compatibility analysis (fast, non-blocking)
-        let compatibility = null;
-        try {
-          compatibility = this.compatibilityAnalyzer.analyze({
-            id: doc.id,
-            title: doc.title,
-            content: doc.content,
-            platforms: doc.platforms,
-            technologies: doc.technologies
-          });
-        } catch (error) {
-          // Fail silently to not break search
-          console.error(`Compatibility analysis failed for ${doc.id}:`, error);
-        }
-        
-        return {
+      const { ranked, hiddenDeprecated, hiddenUnavailable } = await this.rankWithSettings(query, settings, depth, context);
+
+      let nextCursor = null;
+      if (paginate && ranked.length > limit) {
+        const listId = this.searchCursors.store({ mode: settings.mode, ranked, hiddenDeprecated, hiddenUnavailable });
+        nextCursor = this.searchCursors.encode({ listId, offset: limit, query, settings });
+      }
+
+      return {
+        mode: settings.mode,
+        // Fetch full content only for the final top-k
+        results: this.buildResults(ranked.slice(0, limit), settings.mode),
+        facets: facets ? computeFacets(this.loadMetadata(ranked.map(r => r.id))) : null,
+        hiddenDeprecated,
+        hiddenUnavailable,
+        offset: 0,
+        nextCursor
+      };
+    } catch (error) {
+      if (!this.isAbortError(error)) {
+        console.error('Search error:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serve the next page of a paginated search
+   * Pages are sliced from the cached ranked list; once it has expired the query is ranked
+   * again with the settings carried in the cursor (the query embedding cache keeps that cheap)
+   */
+  async continueSearch(query, cursor, limit, context = {}) {
+    const state = this.searchCursors.decode(cursor);
+    if (query && query !== state.query) {
+      throw new InvalidArgumentError(`Cursor belongs to the query "${state.query}". Repeat that query or start a new search without cursor.`, { argument: 'cursor', cursorQuery: state.query });
+    }
+
+    let listId = state.listId;
+    let entry = this.searchCursors.get(listId);
+    if (!entry) {
+      const settings = this.resolveCursorSettings(state.settings);
+      const { ranked, hiddenDeprecated, hiddenUnavailable } = await this.rankWithSettings(state.query, settings, RANKING_WINDOW, context);
+      entry = { mode: settings.mode, ranked, hiddenDeprecated, hiddenUnavailable };
+      listId = this.searchCursors.store(entry);
+    }
+
+    const end = state.offset + limit;
+    return {
+      mode: entry.mode,
+      results: this.buildResults(entry.ranked.slice(state.offset, end), entry.mode),
+      facets: null,
+      hiddenDeprecated: entry.hiddenDeprecated,
+      hiddenUnavailable: entry.hiddenUnavailable || 0,
+      offset: state.offset,
+      nextCursor: end < entry.ranked.length
+        ? this.searchCursors.encode({ ...state, listId, offset: end })
+        : null
+    };
+  }
+
+  /**
+   * Check the settings carried in a cursor before ranking with them again
+   * Cursors are client-supplied, so they get the same checks as search_docs arguments, and the
+   * mode is resolved again: a semantic cursor from before a restart without embeddings degrades
+   * @param {Object} settings - Decoded cursor settings (see searchDocuments)
+   * @returns {Object} { mode, minSimilarity, filters, deprecationPolicy, deploymentTarget }
+   */
+  resolveCursorSettings(settings) {
+    const invalid = () => new InvalidArgumentError('Invalid cursor. Use nextCursor from a previous search_docs response.', { argument: 'cursor' });
+    const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw invalid();
+    }
+    const { mode, minSimilarity, filters = {}, deprecationPolicy, deploymentTarget = null } = settings;
+    if (mode !== TITLE_MODE && !SEARCH_MODES.includes(mode)) {
+      throw invalid();
+    }
+    if (typeof minSimilarity !== 'number' || !(minSimilarity >= 0 && minSimilarity <= 1)) {
+      throw invalid();
+    }
+    if (!DEPRECATION_POLICIES.includes(deprecationPolicy)) {
+      throw invalid();
+    }
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      throw invalid();
+    }
+    for (const [name, values] of Object.entries(filters)) {
+      if (!['platforms', 'frameworks', 'excludeFrameworks', 'types'].includes(name) || !isStringArray(values)) {
+        throw invalid();
+      }
+    }
+    if ((filters.types || []).some(type => !DOCUMENT_TYPES.includes(type))) {
+      throw invalid();
+    }
+    if (deploymentTarget !== null && (typeof deploymentTarget !== 'object' || Array.isArray(deploymentTarget))) {
+      throw invalid();
+    }
+
+    let target;
+    try {
+      target = this.resolveDeploymentTarget(deploymentTarget);
+    } catch (error) {
+      if (error instanceof InvalidArgumentError) {
+        throw invalid();
+      }
+      throw error;
+    }
+
+    return {
+      mode: this.resolveSearchMode(mode),
+      minSimilarity,
+      filters,
+      deprecationPolicy,
+      deploymentTarget: target
+    };
+  }
+
+  /**
+   * Rank a query and apply the deployment target and deprecation policy
+   * @param {Object} settings - { mode, minSimilarity, filters, deprecationPolicy, deploymentTarget }
+   * @param {Object} context - { signal, onProgress } (see searchDocuments)
+   * @returns {Object} { ranked, hiddenDeprecated, hiddenUnavailable }
+   */
+  async rankWithSettings(query, settings, depth, context = {}) {
+    const filter = new SearchFilter(settings.filters);
+    let ranked = await this.rankDocuments(query, settings.mode, depth, settings.minSimilarity, filter, context);
+
+    let hiddenUnavailable = 0;
+    if (settings.deploymentTarget) {
+      const { ranked: available, hidden } = this.applyDeploymentTarget(ranked, settings.deploymentTarget);
+      ranked = available;
+      hiddenUnavailable = hidden;
+    }
+
+    if (settings.deprecationPolicy === 'ignore') {
+      return { ranked, hiddenDeprecated: 0, hiddenUnavailable };
+    }
+    const { ranked: kept, hidden } = this.applyDeprecationPolicy(ranked, settings.deprecationPolicy);
+    return { ranked: kept, hiddenDeprecated: hidden, hiddenUnavailable };
+  }
+
+  /**
+   * Validate a deployment target and key it by platform display name
+   * @param {Object|null} target - { iOS: '16.0', macos: '13' }
+   * @returns {Object|null} { iOS: '16.0', macOS: '13' }, null when no target is set
+   */
+  resolveDeploymentTarget(target) {
+    if (!target || Object.keys(target).length === 0) {
+      return null;
+    }
+
+    const resolved = {};
+    for (const [platform, version] of Object.entries(target)) {
+      const name = canonicalPlatform(platform);
+      if (!name) {
+        throw new InvalidArgumentError(`Unknown platform "${platform}" in deploymentTarget. Use one of: ${AVAILABILITY_PLATFORMS.join(', ')}`, { argument: 'deploymentTarget', allowed: AVAILABILITY_PLATFORMS });
+      }
+      if (!/^\d+(\.\d+){0,2}$/.test(String(version))) {
+        throw new InvalidArgumentError(`Invalid ${name} version "${version}" in deploymentTarget, expected e.g. "16.0"`, { argument: 'deploymentTarget', platform: name });
+      }
+      resolved[name] = String(version);
+    }
+    return resolved;
+  }
+
+  /**
+   * Drop documents not available at a deployment target (see CompatibilityAnalyzer.isAvailableAt)
+   * @param {Array} ranked - [{ id, ... }] best first
+   * @param {Object} target - From resolveDeploymentTarget()
+   * @returns {Object} { ranked, hidden }
+   */
+  applyDeploymentTarget(ranked, target) {
+    if (ranked.length === 0) {
+      return { ranked, hidden: 0 };
+    }
+
+    const compatibility = this.getCompatibility(ranked.map(r => r.id));
+    const unavailableIds = new Set([...compatibility]
+      .filter(([, entry]) => !this.compatibilityAnalyzer.isAvailableAt(entry.availability, target))
+      .map(([id]) => id));
+
+    const available = ranked.filter(r => !unavailableIds.has(r.id));
+    return { ranked: available, hidden: ranked.length - available.length };
+  }
+
+  /**
+   * Rank document ids for a query in a resolved mode
+   * @returns {Array} [{ id, similarity, matchedBy?, ... }] best first
+   */
+  async rankDocuments(query, mode, limit, minSimilarity, filter, context = {}) {
+    const { signal = null, onProgress = null } = context;
+    const report = message => onProgress && onProgress(message);
+
+    throwIfAborted(signal);
+    if (mode === 'lexical') {
+      report('Full-text search');
+      return this.rankLexical(query, limit, filter);
+    }
+    if (mode === TITLE_MODE) {
+      report('Matching titles');
+      return this.rankTitles(query, limit, filter);
+    }
+
+    // Generate embedding for query
+    report('Embedding query');
+    const queryVector = await this.getEmbedding(query, { signal });
+
+    if (mode === 'hybrid') {
+      // Deeper candidate lists give fusion something to work with
+      const poolSize = Math.max(limit * 3, 30);
+      const semantic = await this.rankSemantic(queryVector, poolSize, minSimilarity, filter, context);
+      report('Full-text search');
+      const lexical = this.rankLexical(query, poolSize, filter);
+      return this.fuseRankings(semantic, lexical, queryVector).slice(0, limit);
+    }
+    return this.rankSemantic(queryVector, limit, minSimilarity, filter, context);
+  }
+
+  // Cancellation and timeouts end work early; they aren't failures worth logging
+  isAbortError(error) {
+    return error instanceof OperationCancelledError || error instanceof OperationTimeoutError;
+  }
+
+  /**
+   * Demote or hide deprecated and superseded documents in a ranked list
+   * @param {Array} ranked - [{ id, ... }] best first
+   * @param {string} policy - 'demote' | 'hide'
+   * @returns {Object} { ranked, hidden } - demoted entries are marked demoted: true
+   */
+  applyDeprecationPolicy(ranked, policy) {
+    if (ranked.length === 0) {
+      return { ranked, hidden: 0 };
+    }
+
+    const compatibility = this.getCompatibility(ranked.map(r => r.id));
+    const deprecatedIds = new Set([...compatibility]
+      .filter(([, entry]) => this.isDeprecated(entry))
+      .map(([id]) => id));
+
+    const current = ranked.filter(r => !deprecatedIds.has(r.id));
+    if (policy === 'hide') {
+      return { ranked: current, hidden: ranked.length - current.length };
+    }
+
+    // Stable partition: relative order is kept within current and deprecated documents
+    const deprecated = ranked
+      .filter(r => deprecatedIds.has(r.id))
+      .map(r => ({ ...r, demoted: true }));
+    return { ranked: [...current, ...deprecated], hidden: 0 };
+  }
+
+  // Deprecated or superseded API (migration guides don't count)
+  isDeprecated(compatibility) {
+    return Boolean(compatibility && compatibility.deprecation) && DEPRECATED_STATUSES.has(compatibility.deprecation.status);
+  }
+
+  /**
+   * Compatibility analyses by document id: precomputed or cached ones first,
+   * so content is only read for documents that still have to be analyzed
+   * @returns {Map} id → compatibility
+   */
+  getCompatibility(ids) {
+    this.getCompatibilityTable();
+    const analyses = new Map();
+    const missing = [];
+    for (const id of ids) {
+      const known = this.compatibilityAnalyzer.lookup(id);
+      if (known) {
+        analyses.set(id, known);
+      } else {
+        missing.push(id);
+      }
+    }
+
+    if (missing.length > 0) {
+      const placeholders = missing.map(() => '?').join(',');
+      const rows = this.db.prepare(`SELECT id, title, content, platforms, technologies FROM documents WHERE id IN (${placeholders})`)
+        .all(...missing);
+      for (const row of rows) {
+        analyses.set(row.id, this.compatibilityAnalyzer.analyze(row));
+      }
+    }
+    return analyses;
+  }
+
+  /**
+   * Find the page for a replacement API name taken from deprecation text
+   * The symbol index is tried in the deprecated page's framework first, then everywhere;
+   * an exact title match covers pages the index doesn't know (guides, prose titles)
+   * @param {string} name - API name, e.g. "NavigationStack" or "URLSession.data(for:)"
+   * @param {Object} doc - The deprecated document { id, url, platforms, technologies }
+   * @returns {Object|null} { id, title, url }
+   */
+  findReplacementDocument(name, doc) {
+    const index = this.getSymbolIndex();
+    const framework = parseDocumentMetadata(doc).frameworkNames[0] || null;
+    for (const scope of framework ? [framework, null] : [null]) {
+      // Typo matches would point at an unrelated API; a page stored twice is not its own replacement
+      const match = index.lookup(name, { framework: scope, limit: 3 }).matches
+        .find(m => m.matchType !== 'fuzzy' && m.entry.meta.id !== doc.id && m.entry.meta.url !== doc.url);
+      if (match) {
+        const { id, title, url } = match.entry.meta;
+        return { id, title, url };
+      }
+    }
+
+    return this.db.prepare(`
+      SELECT id, title, url FROM documents
+      WHERE title = ? COLLATE NOCASE AND id != ? AND url IS NOT ?
+      LIMIT 1
+    `).get(name, doc.id, doc.url || null) || null;
+  }
+
+  /**
+   * Replacement for a deprecated document, from the replacement graph
+   * Documents outside the graph (migration guides, or every document while no current graph
+   * was built) resolve the name from their text directly
+   * @param {Object} doc - Document row
+   * @param {Object} deprecation - detectDeprecation result
+   * @returns {Object|null} { name, id, title, url, latest } - id/title/url are null when no page matches;
+   *   latest is the end of the chain when the replacement is deprecated as well
+   */
+  resolveReplacement(doc, deprecation) {
+    if (!deprecation) {
+      return null;
+    }
+
+    const graph = this.getReplacementGraph();
+    const edge = graph.get(doc.id);
+    const name = edge ? edge.replacementName : deprecation.replacementName;
+    if (!name) {
+      return null;
+    }
+
+    let target = null;
+    if (!edge) {
+      target = this.findReplacementDocument(name, doc);
+    } else if (edge.replacementId) {
+      target = this.loadMetadata([edge.replacementId])[0] || null;
+    }
+    const replacement = {
+      name,
+      id: target ? target.id : null,
+      title: target ? target.title : null,
+      url: target ? target.url : null
+    };
+
+    const chain = edge ? graph.chain(doc.id) : [];
+    if (chain.length > 1) {
+      const latest = this.loadMetadata([chain[chain.length - 1]])[0];
+      if (latest) {
+        replacement.latest = { id: latest.id, title: latest.title, url: latest.url };
+      }
+    }
+    return replacement;
+  }
+
+  /**
+   * Load full rows for ranked matches and attach compatibility analysis
+   */
+  buildResults(ranked, mode) {
+    return this.loadRankedDocuments(ranked).map(doc => {
+      // Add compatibility analysis (fast, non-blocking)
+      let compatibility = null;
+      try {
+        compatibility = this.compatibilityAnalyzer.analyze({
           id: doc.id,
           title: doc.title,
-          url: doc.url,
           content: doc.content,
-          similarity: similarity,
-          compatibility: compatibility
-        };
+          platforms: doc.platforms,
+          technologies: doc.technologies
+        });
+      } catch (error) {
+        // Fail silently to not break search
+        console.error(`Compatibility analysis failed for ${doc.id}:`, error);
+      }
+
+      return {
+        id: doc.id,
+        title: doc.title,
+        url: doc.url,
+        type: classifyDocumentType(doc),
+        content: doc.content,
+        similarity: doc.similarity,
+        matchedBy: doc.matchedBy || [mode],
+        compatibility: compatibility,
+        demoted: doc.demoted || false,
+        replacement: compatibility ? this.resolveReplacement(doc, compatibility.deprecation) : null
+      };
+    });
+  }
+
+  /**
+   * Pick the effective search mode for a request
+   * Without an embedding provider every mode degrades to lexical, then to title matching;
+   * hybrid (the default) degrades to semantic when the full-text index is unavailable
+   */
+  resolveSearchMode(requested = 'hybrid') {
+    // Already-resolved fallback mode passed back in by the caller
+    if (requested === TITLE_MODE) {
+      return TITLE_MODE;
+    }
+
+    if (!SEARCH_MODES.includes(requested)) {
+      throw new InvalidArgumentError(`Unknown search mode "${requested}". Use one of: ${SEARCH_MODES.join(', ')}`, { argument: 'mode', allowed: SEARCH_MODES });
+    }
+
+    const lexicalAvailable = this.getLexicalIndex().available;
+
+    if (requested === 'lexical' || !this.semanticAvailable) {
+      return lexicalAvailable ? 'lexical' : TITLE_MODE;
+    }
+
+    if (requested === 'hybrid' && !lexicalAvailable) {
+      return 'semantic';
+    }
+    return requested;
+  }
+
+  // True when queries can't be embedded and search runs on the local database alone
+  isOffline() {
+    return !this.semanticAvailable;
+  }
+
+  /**
+   * Report which search capabilities are active
+   */
+  getCapabilities() {
+    const semantic = this.semanticAvailable;
+    const lexical = this.getLexicalIndex().available;
+
+    return {
+      offline: !semantic,
+      semanticSearch: semantic,
+      lexicalSearch: lexical,
+      hybridSearch: semantic && lexical,
+      titleSearch: true,
+      // Related documents use stored embeddings only, so they work offline too
+      relatedDocuments: true,
+      vectorIndex: !this.vectorStore.loaded ? 'not loaded' : (this.annIndex ? 'hnsw' : 'exact'),
+      defaultSearchMode: this.resolveSearchMode('hybrid')
+    };
+  }
+
+  // Semantic ranking with automatic threshold relaxation when results are sparse
+  async rankSemantic(queryVector, limit, minSimilarity, filter = null, context = {}) {
+    // Rank the resident matrix (no database reads for embeddings)
+    let ranked = await this.rankByVector(queryVector, { limit, minSimilarity, filter, ...context });
+    
+    // Auto-fallback: if few results, relax threshold
+    if (ranked.length < Math.min(3, limit) && minSimilarity > 0.2) {
+      const fallbackThreshold = Math.max(0.2, minSimilarity - 0.1);
+      ranked = await this.rankByVector(queryVector, { limit, minSimilarity: fallbackThreshold, filter, ...context });
+      console.warn(`⚠️  Few results with threshold ${minSimilarity}. Relaxed to ${fallbackThreshold}.`);
+    }
+    return ranked;
+  }
+
+  // BM25 ranking from the full-text index (similarity is unknown without a query vector)
+  rankLexical(query, limit, filter = null) {
+    return this.getLexicalIndex().search(query, limit, this.metadataPredicate(filter)).map(hit => ({
+      id: hit.id,
+      similarity: null,
+      bm25: hit.bm25,
+      exactTitle: hit.exactTitle
+    }));
+  }
+
+  // Title-only ranking for databases without a full-text index
+  rankTitles(query, limit, filter = null) {
+    return this.getLexicalIndex().searchTitles(query, limit, this.metadataPredicate(filter)).map(hit => ({
+      id: hit.id,
+      similarity: null,
+      titleScore: hit.titleScore,
+      exactTitle: hit.exactTitle
+    }));
+  }
+
+  // (meta) => boolean for an active filter, null otherwise
+  metadataPredicate(filter) {
+    return filter && filter.active ? meta => filter.matches(meta) : null;
+  }
+
+  /**
+   * Reciprocal rank fusion of semantic and lexical rankings
+   * score(d) = Σ 1 / (RRF_K + rank(d)) over the lists containing d
+   * Exact title matches get one extra first-place vote so pasted API names win
+   * @returns {Array} [{ id, similarity, fusedScore, matchedBy }] best first
+   */
+  fuseRankings(semantic, lexical, queryVector) {
+    const fused = new Map();
+
+    const add = (list, source) => {
+      list.forEach((hit, i) => {
+        const entry = fused.get(hit.id) || { id: hit.id, similarity: null, fusedScore: 0, matchedBy: [] };
+        entry.fusedScore += 1 / (RRF_K + i + 1);
+        if (hit.exactTitle) {
+          entry.fusedScore += 1 / (RRF_K + 1);
+        }
+        entry.matchedBy.push(source);
+        if (hit.similarity !== null && hit.similarity !== undefined) {
+          entry.similarity = hit.similarity;
+        }
+        fused.set(hit.id, entry);
       });
-      
-      // Sort by decreasing relevance
-      const sortedResults = resultsWithSimilarity.sort((a, b) => b.similarity - a.similarity);
-      
-      // Filter by minimum similarity
-      let filteredResults = sortedResults.filter(doc => doc.similarity >= minSimilarity);
-      
-      // Auto-fallback: if few results, relax threshold
-      if (filteredResults.length < Math.min(3, limit) && minSimilarity > 0.2) {
-        const fallbackThreshold = Math.max(0.2, minSimilarity - 0.1);
-        filteredResults = sortedResults.filter(doc => doc.similarity >= fallbackThreshold);
-        console.warn(`⚠️  Few results with threshold ${minSimilarity}. Relaxed to ${fallbackThreshold}.`);
+    };
+    add(semantic, 'semantic');
+    add(lexical, 'lexical');
+
+    // Lexical-only hits still get a real cosine score from the resident matrix
+    const store = this.getVectorStore();
+    const query = store.normalize(queryVector);
+    for (const entry of fused.values()) {
+      if (entry.similarity === null) {
+        const row = store.indexById.get(entry.id);
+        if (row !== undefined) {
+          entry.similarity = store.dot(query, row);
+        }
       }
-      
-      return filteredResults.slice(0, limit);
-        
-    } catch (error) {
-      console.error('Search error:', error);
-      throw error;
     }
+
+    return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
   }
 
-  async getEmbedding(text) {
-    try {
-      const model = process.env.EMBEDDING_MODEL || 'text-embedding-3-large';
-      const dimensions = parseInt(process.env.EMBEDDING_DIMENSIONS) || 3072;
-      
-      const response = await this.openai.embeddings.create({
-        model: model,
-        input: text,
-        dimensions: dimensions
+  // Open the derived index database once; null when it can't be opened
+  getIndexDatabase() {
+    if (!this.indexDbChecked) {
+      this.indexDbChecked = true;
+      this.indexDb = openIndexDatabase(getIndexDatabasePath(this.dbPath));
+    }
+    return this.indexDb;
+  }
+
+  // One scan of the documents table per engine, shared by every derived index
+  getCorpusFingerprint() {
+    if (!this.fingerprint) {
+      this.fingerprint = corpusFingerprint(this.db);
+    }
+    return this.fingerprint;
+  }
+
+  // Lazily create the FTS5 index (built once, persisted in the index database)
+  getLexicalIndex() {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    if (!this.lexicalIndex) {
+      this.lexicalIndex = new LexicalIndex(this.db, this.getIndexDatabase(), { fingerprint: this.getCorpusFingerprint() });
+      this.lexicalIndex.ensure();
+    }
+    return this.lexicalIndex;
+  }
+
+  // Lazily load the resident vector store (embeddings are read from SQLite once)
+  getVectorStore() {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    if (!this.vectorStore.loaded) {
+      this.vectorStore.load(this.db);
+    }
+    return this.vectorStore;
+  }
+
+  // Lazily build the symbol index (titles and URL paths only, no embeddings)
+  getSymbolIndex() {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    if (!this.symbolIndex.loaded) {
+      this.symbolIndex.load(this.db);
+    }
+    return this.symbolIndex;
+  }
+
+  // Lazily open the precomputed compatibility table; never built here - analyses are computed on demand without it
+  getCompatibilityTable() {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    if (!this.compatibilityTable) {
+      this.compatibilityTable = new CompatibilityTable(this.db, this.getIndexDatabase(), this.compatibilityAnalyzer, {
+        fingerprint: this.getCorpusFingerprint()
+      });
+      if (this.compatibilityTable.load()) {
+        this.compatibilityAnalyzer.usePrecomputed(id => this.compatibilityTable.get(id));
+      }
+    }
+    return this.compatibilityTable;
+  }
+
+  // Precompute the compatibility table for every document (npm run build-index)
+  buildCompatibilityTable() {
+    const table = this.getCompatibilityTable();
+    if (table.build()) {
+      this.compatibilityAnalyzer.usePrecomputed(id => table.get(id));
+    }
+    return table;
+  }
+
+  // Lazily load the deprecation replacement graph; never built here - replacements are resolved per document without it
+  getReplacementGraph() {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    if (!this.replacementGraph) {
+      this.replacementGraph = new ReplacementGraph(this.db, this.getIndexDatabase(), {
+        analyzer: this.compatibilityAnalyzer,
+        resolve: (name, doc) => this.findReplacementDocument(name, doc),
+        fingerprint: this.getCorpusFingerprint()
       });
+      this.replacementGraph.ensure();
+    }
+    return this.replacementGraph;
+  }
+
+  // Build the deprecation replacement graph for every document (npm run build-index)
+  buildReplacementGraph() {
+    return this.getReplacementGraph().build();
+  }
+
+  // Path of the persisted HNSW index (beside the database by default)
+  getIndexPath() {
+    if (process.env.HNSW_INDEX_PATH) {
+      return process.env.HNSW_INDEX_PATH;
+    }
+    return this.dbPath.replace(/\.db$/, '') + '.hnsw';
+  }
+
+  // Load the HNSW index once; null means exact search (missing, stale or disabled)
+  getAnnIndex() {
+    if (this.annIndexChecked) {
+      return this.annIndex;
+    }
+    this.annIndexChecked = true;
 
-      return response.data[0].embedding; // Return array directly
+    if (process.env.VECTOR_INDEX === 'exact') {
+      console.error('ℹ️  VECTOR_INDEX=exact - using exact vector search');
+      return null;
+    }
+
+    const store = this.getVectorStore();
+    const indexPath = this.getIndexPath();
+    if (!fs.existsSync(indexPath)) {
+      console.error(`ℹ️  No HNSW index at ${indexPath}. Using exact search (run "npm run build-index" to create one).`);
+      return null;
+    }
+
+    try {
+      const index = HnswIndex.load(indexPath, store);
+      if (!index.matches(store, this.getCorpusFingerprint())) {
+        console.error(`⚠️  HNSW index at ${indexPath} is stale (built from a different database). Using exact search.`);
+        return null;
+      }
+      this.annIndex = index;
+      console.error(`✅ HNSW index loaded: ${index.count} nodes (efSearch ${index.efSearch})`);
     } catch (error) {
-      if (error.status === 401) {
-        throw new Error('Invalid OpenAI API key. Check OPENAI_API_KEY.');
-      } else if (error.status === 429) {
-        throw new Error('OpenAI API rate limit exceeded. Please try later.');
-      } else if (error.code === 'ETIMEDOUT' || error.code === 'ECONNRESET') {
-        throw new Error('OpenAI connection timeout. Please try later.');
-      } else {
-        console.error('Embedding retrieval error:', error);
-        throw new Error('Failed to get embedding: ' + (error.message || 'unknown error'));
+      console.error(`⚠️  Failed to load HNSW index at ${indexPath}. Using exact search:`, error.message);
+    }
+    return this.annIndex;
+  }
+
+  /**
+   * Rank documents by vector similarity - HNSW when available, exact scan otherwise
+   * @param {Array|Float32Array} queryVector - Raw query vector
+   * @param {Object} options - { limit, minSimilarity, excludeIds, filter, signal, onProgress }
+   *   excludeIds: Set of document ids to skip; filter: SearchFilter applied before scoring
+   *   signal: AbortSignal checked between chunks of an exact scan
+   *   onProgress: (message) => void, reports the scan
+   * @returns {Promise<Array>} [{ id, row, similarity }] sorted by decreasing similarity
+   */
+  async rankByVector(queryVector, { limit = 10, minSimilarity = 0, excludeIds = null, filter = null, signal = null, onProgress = null } = {}) {
+    const store = this.getVectorStore();
+    const index = this.getAnnIndex();
+
+    const excluding = excludeIds && excludeIds.size > 0;
+    const filtering = filter && filter.active;
+    const accept = excluding || filtering
+      ? row => (!excluding || !excludeIds.has(store.ids[row])) && (!filtering || filter.matches(store.metadata[row]))
+      : null;
+
+    const rankExactly = () => {
+      if (onProgress) {
+        onProgress(`Scoring ${store.size} documents`);
+      }
+      return store.rankAsync(queryVector, {
+        limit,
+        minSimilarity,
+        accept,
+        signal,
+        onProgress: onProgress && ((scanned, total) => onProgress(`Scored ${scanned}/${total} documents`))
+      });
+    };
+
+    // Selective filters: scoring only the matching rows is cheaper and exact
+    let useIndex = index && limit !== Infinity;
+    let accepted = store.size - (excluding ? excludeIds.size : 0);
+    if (useIndex && filtering) {
+      accepted = 0;
+      for (let row = 0; row < store.size; row++) {
+        if (accept(row)) accepted++;
       }
+      useIndex = accepted / store.size >= SELECTIVE_FILTER_RATIO;
     }
+
+    if (!useIndex) {
+      return rankExactly();
+    }
+
+    throwIfAborted(signal);
+    if (onProgress) {
+      onProgress('Searching vector index');
+    }
+    const results = index.search(store.normalize(queryVector), { limit, accept });
+    // A short beam explores everything it can reach, so a short result means the filter cut the
+    // matching rows off from the entry point: exact ranking never under-fills
+    if (accept && results.length < Math.min(limit, accepted)) {
+      return rankExactly();
+    }
+    return results.filter(r => r.similarity >= minSimilarity);
+  }
+
+  /**
+   * Fetch full rows for ranked matches, preserving rank order
+   * @param {Array} ranked - [{ id, similarity, ... }] from a ranking method
+   * @returns {Array} Document rows with ranking fields attached
+   */
+  loadRankedDocuments(ranked) {
+    if (!ranked || ranked.length === 0) {
+      return [];
+    }
+
+    const ids = ranked.map(r => r.id);
+    const placeholders = ids.map(() => '?').join(',');
+    const stmt = this.db.prepare(`
+      SELECT id, title, url, content, type, description, platforms, technologies
+      FROM documents
+      WHERE id IN (${placeholders})
+    `);
+    const rowsById = new Map(stmt.all(...ids).map(row => [row.id, row]));
+
+    return ranked
+      .filter(r => rowsById.has(r.id))
+      .map(r => ({ ...rowsById.get(r.id), ...r }));
+  }
+
+  /**
+   * Fetch lightweight metadata (no content) for document ids
+   * @returns {Array} [{ id, title, url, type, platforms, technologies }]
+   */
+  loadMetadata(ids) {
+    if (ids.length === 0) {
+      return [];
+    }
+    const placeholders = ids.map(() => '?').join(',');
+    return this.db.prepare(`
+      SELECT id, title, url, type, platforms, technologies
+      FROM documents
+      WHERE id IN (${placeholders})
+    `).all(...ids);
+  }
+
+  /**
+   * Query embedding, from the cache when possible
+   * @param {Object} options - { signal } aborts the provider request
+   */
+  async getEmbedding(text, { signal = null } = {}) {
+    if (!this.embeddingProvider) {
+      throw new EmbeddingProviderError('No embedding provider available' + (this.embeddingError ? `: ${this.embeddingError}` : '.'), { reason: 'unavailable' });
+    }
+
+    const { provider, baseURL = null, model, dimensions } = this.embeddingProvider.describe();
+    const cacheKey = { provider, baseURL, model, dimensions, query: text };
+    const cached = this.queryCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const vector = await this.embeddingProvider.embed(text, { signal });
+
+    // Providers without a configured size are checked on their first answer
+    const storedDimensions = this.getStoredDimensions();
+    if (storedDimensions && vector.length !== storedDimensions) {
+      throw new EmbeddingProviderError(`Embedding provider returned ${vector.length}-dim vectors, but the database stores ${storedDimensions}-dim embeddings. Configure a model matching the database.`, { reason: 'dimensions', provider });
+    }
+
+    this.queryCache.set(cacheKey, vector);
+    return vector;
   }
 
   getDocument(id) {
@@ -233,6 +1112,431 @@ export class AppleSearchEngine {
     }
   }
 
+  /**
+   * Page through all documents, ordered by id (no content)
+   * @param {number} offset - Rows to skip
+   * @param {number} limit - Page size
+   * @returns {Object} { documents: [{ id, title, url, type, description }], total }
+   */
+  listDocuments(offset = 0, limit = 100) {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    const documents = this.db.prepare(`
+      SELECT id, title, url, type, description FROM documents
+      ORDER BY id
+      LIMIT ? OFFSET ?
+    `).all(limit, offset);
+    const { total } = this.db.prepare('SELECT COUNT(*) AS total FROM documents').get();
+    return { documents, total };
+  }
+
+  /**
+   * Documents belonging to one framework, ordered by title (no content)
+   * @param {string} name - Framework name, case-insensitive ("SwiftUI")
+   * @param {number} limit - Maximum documents returned
+   * @returns {Object} { name, documents: [{ id, title, url, type }], total } - name as spelled in the corpus
+   */
+  getFrameworkDocuments(name, limit = 1000) {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    // LIKE narrows the scan, the filter checks the parsed technologies list exactly
+    const filter = new SearchFilter({ frameworks: [name] });
+    const matching = this.db.prepare(`
+      SELECT id, title, url, type, platforms, technologies FROM documents
+      WHERE technologies LIKE ?
+      ORDER BY title COLLATE NOCASE
+    `).all(`%${name}%`).filter(row => filter.matches(row));
+
+    const lowerName = name.toLowerCase();
+    const canonicalName = matching.length > 0
+      ? parseDocumentMetadata(matching[0]).frameworkNames.find(f => f.toLowerCase() === lowerName)
+      : name;
+
+    return {
+      name: canonicalName || name,
+      documents: matching.slice(0, limit).map(({ id, title, url, type }) => ({ id, title, url, type })),
+      total: matching.length
+    };
+  }
+
+  /**
+   * Resolve an identifier to its reference pages - no embedding call
+   * @param {string} name - "NavigationStack", "UIViewController.viewDidLoad()", "-[UIView layoutSubviews]"...
+   * @param {Object} options - { framework, limit }
+   * @returns {Object} { parsed, matches, ambiguous, frameworks }
+   *   matches: [{ id, title, url, type, framework, platforms, matchType, score, containerMatches }] best first
+   */
+  findSymbol(name, { framework = null, limit = 5 } = {}) {
+    const { parsed, matches, ambiguous, frameworks } = this.getSymbolIndex().lookup(name, { framework, limit });
+    if (!parsed) {
+      throw new InvalidArgumentError(`"${name}" is not a symbol name`, { argument: 'name' });
+    }
+
+    return {
+      parsed,
+      matches: matches.map(({ entry, matchType, score, containerMatches }) => ({
+        id: entry.meta.id,
+        title: entry.meta.title,
+        url: entry.meta.url,
+        type: classifyDocumentType(entry.meta),
+        framework: entry.framework,
+        platforms: parseDocumentMetadata(entry.meta).platformNames,
+        matchType,
+        score: Math.round(score * 100) / 100,
+        containerMatches
+      })),
+      ambiguous,
+      frameworks
+    };
+  }
+
+  /**
+   * Check API names against a deployment target: the symbol index finds each name's page,
+   * CompatibilityAnalyzer judges its availability
+   * @param {Array} symbols - Swift or Objective-C names ("NavigationStack", "URLSession.data(for:)")
+   * @param {Object} target - { iOS: '16.0', macOS: '13.0' }
+   * @param {Object} options - { framework }
+   * @returns {Object} { deploymentTarget, results } - one result per symbol, in request order
+   *   status: 'available' | 'needs_guard' | 'deprecated' | 'unavailable' | 'not_found'
+   */
+  checkAvailability(symbols, target, { framework = null } = {}) {
+    const deploymentTarget = this.resolveDeploymentTarget(target);
+    if (!deploymentTarget) {
+      throw new InvalidArgumentError('deploymentTarget needs at least one platform, e.g. { "iOS": "16.0" }', { argument: 'deploymentTarget' });
+    }
+
+    // A typo match could pass a different API off as available - report it as a suggestion instead
+    const index = this.getSymbolIndex();
+    const lookups = symbols.map(symbol => {
+      const lookup = index.lookup(symbol, { framework, limit: 1 });
+      const match = lookup.matches[0];
+      return { symbol, lookup, match: match && match.matchType !== 'fuzzy' ? match : null, suggestion: match ? match.entry.meta.title : null };
+    });
+    const rows = new Map(this.loadRankedDocuments(lookups.filter(l => l.match).map(l => ({ id: l.match.entry.meta.id })))
+      .map(row => [row.id, row]));
+
+    const results = lookups.map(({ symbol, lookup, match, suggestion }) => {
+      const doc = match && rows.get(match.entry.meta.id);
+      if (!doc) {
+        return { symbol, status: 'not_found', suggestion };
+      }
+
+      const compatibility = this.compatibilityAnalyzer.analyze(doc);
+      const verdict = this.compatibilityAnalyzer.checkDeploymentTarget(compatibility, deploymentTarget);
+      const result = {
+        symbol,
+        status: verdict.status,
+        id: doc.id,
+        title: doc.title,
+        url: doc.url,
+        framework: match.entry.framework,
+        matchType: match.matchType,
+        platforms: verdict.platforms
+      };
+      if (verdict.guard) {
+        result.requires = verdict.requires;
+        result.guard = verdict.guard;
+      }
+      if (verdict.unsupportedPlatforms.length > 0) {
+        result.unsupportedPlatforms = verdict.unsupportedPlatforms;
+      }
+      if (verdict.status === 'deprecated' && compatibility.deprecation) {
+        const replacement = this.resolveReplacement(doc, compatibility.deprecation);
+        if (replacement) {
+          result.replacement = replacement;
+        }
+      }
+      if (lookup.ambiguous) {
+        result.ambiguous = true;
+        result.frameworks = lookup.frameworks;
+      }
+      return result;
+    });
+
+    return { deploymentTarget, results };
+  }
+
+  /**
+   * Review a Swift file: resolve the APIs it uses through the symbol index and report
+   * deprecated, unavailable and hardware-limited usages (CompatibilityAnalyzer)
+   * @param {string} source - Swift source
+   * @param {Object|null} target - Deployment target { iOS: '16.0' }; without one, availability isn't checked
+   * @returns {Object} { deploymentTarget, imports, identifiers, resolved, truncated, findings }
+   *   findings: [{ symbol, kind, lines, issues, id, title, url, ... }] in order of first use
+   *   issues: 'deprecated' | 'unavailable' | 'needs_guard' | 'hardware_limited'
+   */
+  scanSwiftCode(source, target = null) {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    const deploymentTarget = this.resolveDeploymentTarget(target);
+    const { imports, references, guards } = scanSwiftSource(source);
+    const scanned = references.slice(0, MAX_SCAN_REFERENCES);
+    const index = this.getSymbolIndex();
+
+    // Members ("padding", "data") resolve in the imported frameworks only; type names are distinctive enough to look up everywhere
+    const resolve = reference => {
+      const name = reference.container ? `${reference.container}.${reference.name}` : reference.name;
+      const memberScopes = imports.length > 0 ? imports : [null];
+      const scopes = reference.kind === 'method' || reference.kind === 'modifier' ? memberScopes : [...imports, null];
+      for (const framework of scopes) {
+        const match = index.lookup(name, { framework, limit: 1, fuzzy: false }).matches[0];
+        if (match) {
+          return match;
+        }
+      }
+      return null;
+    };
+
+    const matched = scanned.map(reference => ({ reference, match: resolve(reference) })).filter(m => m.match);
+    const rows = new Map(this.loadRankedDocuments([...new Set(matched.map(m => m.match.entry.meta.id))].map(id => ({ id })))
+      .map(row => [row.id, row]));
+
+    const findings = [];
+    for (const { reference, match } of matched) {
+      const doc = rows.get(match.entry.meta.id);
+      if (!doc) {
+        continue;
+      }
+
+      const compatibility = this.compatibilityAnalyzer.analyze(doc);
+      const verdict = deploymentTarget ? this.compatibilityAnalyzer.checkDeploymentTarget(compatibility, deploymentTarget) : null;
+      const { deprecation, limitations } = compatibility;
+      const finding = {
+        symbol: (reference.kind === 'property_wrapper' ? '@' : '') + (reference.container ? `${reference.container}.` : '') + reference.name,
+        kind: reference.kind,
+        lines: reference.lines,
+        issues: [],
+        id: doc.id,
+        title: doc.title,
+        url: doc.url,
+        framework: match.entry.framework
+      };
+
+      if ((deprecation && DEPRECATED_STATUSES.has(deprecation.status)) || (verdict && verdict.platforms.some(p => p.status === 'deprecated'))) {
+        finding.issues.push('deprecated');
+        finding.evidence = deprecation ? deprecation.evidence : null;
+        const replacement = this.resolveReplacement(doc, deprecation);
+        if (replacement) {
+          finding.replacement = replacement;
+        }
+      }
+      if (verdict && verdict.status === 'unavailable') {
+        finding.issues.push('unavailable');
+        finding.unsupportedPlatforms = verdict.unsupportedPlatforms;
+      } else if (verdict && verdict.guard) {
+        // Uses inside a matching #available / @available region are already safe
+        const unguardedLines = reference.lines.filter(line => !isGuarded(guards, line, verdict.requires));
+        if (unguardedLines.length > 0) {
+          finding.issues.push('needs_guard');
+          finding.requires = verdict.requires;
+          finding.guard = verdict.guard;
+          finding.unguardedLines = unguardedLines;
+        }
+      }
+      if (limitations.length > 0) {
+        finding.issues.push('hardware_limited');
+        finding.limitations = limitations;
+      }
+
+      if (finding.issues.length > 0) {
+        findings.push(finding);
+      }
+    }
+
+    return {
+      deploymentTarget,
+      imports,
+      identifiers: references.length,
+      resolved: matched.length,
+      truncated: references.length > scanned.length,
+      findings
+    };
+  }
+
+  /**
+   * Where a deprecated API went, and what a current API replaced
+   * @param {Object} target - { id } or { name, framework } (resolved through the symbol index)
+   * @returns {Object} { id, title, url, deprecated, status, confidence, evidence, replacement, chain, replaces }
+   *   chain: successive replacements when the replacement is deprecated too, the latest last
+   *   replaces: deprecated documents that name this one as their replacement
+   */
+  findReplacement({ id = null, name = null, framework = null }) {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    let documentId = id;
+    if (!documentId) {
+      const { parsed, matches } = this.getSymbolIndex().lookup(name, { framework, limit: 1 });
+      if (!parsed) {
+        throw new InvalidArgumentError(`"${name}" is not a symbol name`, { argument: 'name' });
+      }
+      const match = matches[0];
+      if (!match || match.matchType === 'fuzzy') {
+        throw new NotFoundError(`No reference page for "${name}"`, {
+          name,
+          ...(match ? { suggestion: match.entry.meta.title } : {})
+        });
+      }
+      documentId = match.entry.meta.id;
+    }
+
+    const doc = this.loadRankedDocuments([{ id: documentId }])[0];
+    if (!doc) {
+      throw new NotFoundError(`Document not found: ${documentId}`, { requested_ids: [documentId] });
+    }
+
+    const graph = this.getReplacementGraph();
+    const { deprecation } = this.compatibilityAnalyzer.analyze(doc);
+    const summaries = ids => {
+      const rows = new Map(this.loadMetadata(ids).map(row => [row.id, row]));
+      return ids.filter(docId => rows.has(docId)).map(docId => {
+        const { title, url } = rows.get(docId);
+        return { id: docId, title, url };
+      });
+    };
+
+    return {
+      id: doc.id,
+      title: doc.title,
+      url: doc.url,
+      deprecated: deprecation !== null && DEPRECATED_STATUSES.has(deprecation.status),
+      status: deprecation ? deprecation.status : null,
+      confidence: deprecation ? deprecation.confidence : null,
+      evidence: deprecation ? deprecation.evidence : null,
+      replacement: this.resolveReplacement(doc, deprecation),
+      chain: summaries(graph.chain(doc.id)),
+      replaces: summaries(graph.predecessors(doc.id))
+    };
+  }
+
+  /**
+   * Side-by-side comparison of 2-5 documents ("ObservableObject" vs "Observable()")
+   * @param {Array} ids - Document ids, in the order to compare them
+   * @returns {Object} { apis, comparison, missing }
+   *   apis: per document - platforms, minimumVersions, frameworks, deprecation, limitations,
+   *         codeExamples { count, categories }, summary
+   *   comparison: what the documents share and where they differ
+   */
+  compareDocuments(ids) {
+    if (!this.initialized) {
+      throw new Error('Engine not initialized. Call init() first.');
+    }
+
+    const requested = [...new Set(ids)];
+    const docs = this.loadRankedDocuments(requested.map(id => ({ id })));
+    const foundIds = new Set(docs.map(doc => doc.id));
+    const missing = requested.filter(id => !foundIds.has(id));
+    if (docs.length < 2) {
+      throw new NotFoundError(`Need at least 2 documents to compare, found ${docs.length}`, { requested_ids: requested, notFound: missing });
+    }
+
+    const apis = docs.map(doc => {
+      const compatibility = this.compatibilityAnalyzer.analyze(doc);
+      const { requirements, deprecation } = compatibility;
+      const categories = {};
+      for (const example of this.extractCodeExamples(doc)) {
+        categories[example.category] = (categories[example.category] || 0) + 1;
+      }
+
+      return {
+        id: doc.id,
+        title: doc.title,
+        url: doc.url,
+        type: classifyDocumentType(doc),
+        summary: this.summarizePurpose(doc),
+        platforms: compatibility.platforms.supported,
+        availability: compatibility.availability,
+        minimumVersions: this.minimumVersions(compatibility),
+        frameworks: compatibility.technologies.frameworks,
+        deprecation: deprecation ? {
+          status: deprecation.status,
+          confidence: deprecation.confidence,
+          evidence: deprecation.evidence,
+          replacement: this.resolveReplacement(doc, deprecation)
+        } : null,
+        requirements,
+        limitations: compatibility.limitations,
+        codeExamples: {
+          count: Object.values(categories).reduce((sum, n) => sum + n, 0),
+          categories
+        }
+      };
+    });
+
+    return { apis, comparison: this.alignComparison(apis), missing };
+  }
+
+  // Introduced version per platform; "requires iOS 17" in the text fills platforms without one
+  minimumVersions({ availability, requirements }) {
+    const versions = Object.fromEntries(Object.entries(availability)
+      .filter(([, entry]) => entry.introduced)
+      .map(([platform, entry]) => [platform, entry.introduced]));
+    if (!versions.iOS && requirements.minIOS) versions.iOS = requirements.minIOS;
+    if (!versions.macOS && requirements.minMacOS) versions.macOS = requirements.minMacOS;
+    return versions;
+  }
+
+  // What compared documents have in common and what sets each apart
+  alignComparison(apis) {
+    const shared = lists => lists.reduce((common, list) => common.filter(item => list.includes(item)));
+    const sharedPlatforms = shared(apis.map(api => api.platforms));
+    const sharedFrameworks = shared(apis.map(api => api.frameworks));
+    const counts = apis.map(api => api.codeExamples.count);
+    const mostExamples = Math.max(...counts);
+
+    // Platforms only some of the documents support → the ids that do
+    const partialPlatforms = {};
+    for (const api of apis) {
+      for (const platform of api.platforms.filter(platform => !sharedPlatforms.includes(platform))) {
+        (partialPlatforms[platform] = partialPlatforms[platform] || []).push(api.id);
+      }
+    }
+
+    return {
+      sharedPlatforms,
+      partialPlatforms,
+      sharedFrameworks,
+      deprecated: apis.filter(api => api.deprecation && DEPRECATED_STATUSES.has(api.deprecation.status)).map(api => api.id),
+      hardwareLimited: apis.filter(api => api.limitations.some(limitation => limitation.type === 'hardware')).map(api => api.id),
+      // null when no document has examples or several tie
+      mostCodeExamples: mostExamples > 0 && counts.filter(count => count === mostExamples).length === 1
+        ? apis[counts.indexOf(mostExamples)].id
+        : null
+    };
+  }
+
+  /**
+   * One or two sentences on what a document is for
+   * The abstract (description) when there is one, else the first prose paragraph
+   */
+  summarizePurpose(doc, maxChars = 240) {
+    const description = (doc.description || '').trim();
+    const paragraph = description || (doc.content || '')
+      .split(/\n\s*\n/)
+      .map(block => block.split('\n').filter(line => !/^\s*#/.test(line)).join('\n').trim())
+      // Skip code, tables and the availability line ("iOS 17.0+ macOS 14.0+")
+      .find(block => block && !/^(```|\|)/.test(block) && !/^(iOS|iPadOS|macOS|Mac Catalyst|watchOS|tvOS|visionOS)\b[^.]*\d/.test(block)) || '';
+
+    const text = paragraph.replace(/\s+/g, ' ');
+    if (text.length <= maxChars) {
+      return text;
+    }
+    const sentences = text.match(/[^.!?]+[.!?]+(\s|$)/g) || [];
+    let summary = '';
+    for (const sentence of sentences) {
+      if ((summary + sentence).length > maxChars) break;
+      summary += sentence;
+    }
+    return summary.trim() || text.substring(0, maxChars - 3) + '...';
+  }
+
   getStats() {
     if (!this.initialized) {
       throw new Error('Engine not initialized. Call init() first.');
@@ -299,7 +1603,8 @@ export class AppleSearchEngine {
   }
 
   // 🔗 RELATED DOCUMENTS: Find documents related to main search results (Vector-Based)
-  async findRelatedDocuments(mainResults, originalQuery) {
+  // options: { filters, deprecationPolicy, deploymentTarget, signal }
+  async findRelatedDocuments(mainResults, originalQuery, options = {}) {
     if (!mainResults || mainResults.length === 0) {
       return [];
     }
@@ -322,7 +1627,8 @@ export class AppleSearchEngine {
       const centroid = this.computeCentroid(embeddings);
       
       // 3. 🎯 Find semantically similar documents using existing embeddings
-      const avgMainSimilarity = mainResults.reduce((sum, r) => sum + r.similarity, 0) / mainResults.length;
+      // Lexical-only matches may have no cosine score
+      const avgMainSimilarity = mainResults.reduce((sum, r) => sum + (r.similarity || 0), 0) / mainResults.length;
       let relatedThreshold = 0.45; // Base threshold for related docs
       
       // Adaptive threshold based on main results quality
@@ -334,10 +1640,22 @@ export class AppleSearchEngine {
       
       console.error(`🎯 Using vector threshold: ${relatedThreshold.toFixed(2)} (main avg: ${(avgMainSimilarity * 100).toFixed(1)}%)`);
       
-      const relatedDocs = await this.findSimilarByEmbedding(centroid, usedIds, relatedThreshold, 10);
+      // Related documents honour the same platform/framework filters as the main search
+      const filter = new SearchFilter(options.filters);
+      const relatedDocs = await this.findSimilarByEmbedding(centroid, usedIds, relatedThreshold, 10, filter, options.signal);
       
       // 4. 🏷️ Classify relationship types for better UX
-      const classifiedDocs = this.classifyRelationships(relatedDocs, mainResults, originalQuery);
+      let classifiedDocs = this.classifyRelationships(relatedDocs, mainResults, originalQuery);
+
+      // With deprecationPolicy "hide", deprecated APIs don't come back as related documents either
+      if (options.deprecationPolicy === 'hide') {
+        const compatibility = this.getCompatibility(classifiedDocs.map(doc => doc.id));
+        classifiedDocs = classifiedDocs.filter(doc => !this.isDeprecated(compatibility.get(doc.id)));
+      }
+      const target = this.resolveDeploymentTarget(options.deploymentTarget);
+      if (target) {
+        classifiedDocs = this.applyDeploymentTarget(classifiedDocs, target).ranked;
+      }
       
       const finalResults = classifiedDocs.slice(0, 6); // Max 6 related documents
       console.error(`🔗 Found ${finalResults.length} vector-based related documents`);
@@ -345,6 +1663,9 @@ export class AppleSearchEngine {
       return finalResults;
       
     } catch (error) {
+      if (this.isAbortError(error)) {
+        throw error;
+      }
       console.error('Error finding related documents:', error);
       return [];
     }
@@ -357,15 +1678,11 @@ export class AppleSearchEngine {
     }
     
     try {
-      const ids = results.map(r => r.id);
-      const placeholders = ids.map(() => '?').join(',');
-      const stmt = this.db.prepare(`SELECT id, embedding FROM embeddings WHERE id IN (${placeholders})`);
-      const embeddings = stmt.all(...ids);
+      const store = this.getVectorStore();
       
-      return embeddings.map(e => ({
-        id: e.id,
-        vector: this.blobToFloat32Array(e.embedding)
-      }));
+      return results
+        .map(r => ({ id: r.id, vector: store.getVector(r.id) }))
+        .filter(e => e.vector !== null);
     } catch (error) {
       console.error('Error getting embeddings from DB:', error);
       return [];
@@ -397,53 +1714,110 @@ export class AppleSearchEngine {
   }
 
   // 🎯 Find documents similar to given embedding vector
-  async findSimilarByEmbedding(queryVector, excludeIds, threshold = 0.45, limit = 10) {
+  async findSimilarByEmbedding(queryVector, excludeIds, threshold = 0.45, limit = 10, filter = null, signal = null) {
     if (!queryVector) {
       return [];
     }
     
     try {
-      // Get all documents with their embeddings, excluding already used ones
-      const excludeList = Array.from(excludeIds);
-      const excludePlaceholders = excludeList.map(() => '?').join(',');
-      const excludeClause = excludeList.length > 0 ? `WHERE d.id NOT IN (${excludePlaceholders})` : '';
-      
-      const stmt = this.db.prepare(`
-        SELECT d.id, d.title, d.url, d.content, e.embedding 
-        FROM documents d 
-        JOIN embeddings e ON d.id = e.id
-        ${excludeClause}
-      `);
-      
-      const allDocuments = excludeList.length > 0 ? stmt.all(...excludeList) : stmt.all();
-      
-      // Calculate cosine similarity for each document
-      const resultsWithSimilarity = allDocuments.map(doc => {
-        const docVector = this.blobToFloat32Array(doc.embedding);
-        const similarity = this.calculateCosineSimilarity(queryVector, docVector);
-        
-        return {
-          id: doc.id,
-          title: doc.title,
-          url: doc.url,
-          content: doc.content,
-          similarity: similarity
-        };
+      // Rank the resident matrix, excluding already used documents
+      const ranked = await this.rankByVector(queryVector, {
+        limit,
+        minSimilarity: threshold,
+        excludeIds: excludeIds instanceof Set ? excludeIds : new Set(excludeIds),
+        filter,
+        signal
       });
       
-      // Filter by threshold and sort by similarity
-      const filteredResults = resultsWithSimilarity
-        .filter(doc => doc.similarity >= threshold)
-        .sort((a, b) => b.similarity - a.similarity);
-      
-      return filteredResults.slice(0, limit);
+      return this.loadRankedDocuments(ranked).map(doc => ({
+        id: doc.id,
+        title: doc.title,
+        url: doc.url,
+        content: doc.content,
+        similarity: doc.similarity
+      }));
       
     } catch (error) {
+      if (this.isAbortError(error)) {
+        throw error;
+      }
       console.error('Error finding similar documents by embedding:', error);
       return [];
     }
   }
 
+  /**
+   * Nearest neighbours of stored documents ("more like this") - no embedding call
+   * The query is the centroid of the documents' stored vectors, moved away from the
+   * centroid of the negative documents
+   * @param {Array} ids - Document ids to find neighbours of
+   * @param {Object} options - { negativeIds, limit, minSimilarity, filters, deprecationPolicy, signal, onProgress }
+   * @returns {Object} { sources, results, hiddenDeprecated, missing }
+   *   results: document rows with similarity, relationship and demoted, best first
+   *   missing: requested ids (positive or negative) without a stored embedding
+   */
+  async findSimilar(ids, {
+    negativeIds = [],
+    limit = 10,
+    minSimilarity = 0.3,
+    filters = {},
+    deprecationPolicy = 'demote',
+    signal = null,
+    onProgress = null
+  } = {}) {
+    if (!DEPRECATION_POLICIES.includes(deprecationPolicy)) {
+      throw new InvalidArgumentError(`Unknown deprecation policy "${deprecationPolicy}". Use one of: ${DEPRECATION_POLICIES.join(', ')}`, { argument: 'deprecationPolicy', allowed: DEPRECATION_POLICIES });
+    }
+
+    const store = this.getVectorStore();
+    const vectorsOf = list => list
+      .map(id => ({ id, vector: store.getVector(id) }))
+      .filter(e => e.vector !== null);
+    const positives = vectorsOf(ids);
+    const negatives = vectorsOf(negativeIds);
+    const found = new Set([...positives, ...negatives].map(e => e.id));
+    const missing = [...new Set([...ids, ...negativeIds])].filter(id => !found.has(id));
+    if (positives.length === 0) {
+      throw new NotFoundError(`No stored embedding for ${ids.join(', ')} (unknown document IDs?)`, { requested_ids: ids });
+    }
+
+    const queryVector = this.computeCentroid(positives);
+    if (negatives.length > 0) {
+      const away = this.computeCentroid(negatives);
+      for (let i = 0; i < queryVector.length; i++) {
+        queryVector[i] -= NEGATIVE_WEIGHT * away[i];
+      }
+    }
+
+    // Deprecated neighbours need current documents ranked behind them to take their place
+    const depth = deprecationPolicy === 'ignore' ? limit : Math.max(limit * 2, 20);
+    let ranked = await this.rankByVector(queryVector, {
+      limit: depth,
+      minSimilarity,
+      excludeIds: found,
+      filter: new SearchFilter(filters),
+      signal,
+      onProgress
+    });
+
+    let hiddenDeprecated = 0;
+    if (deprecationPolicy !== 'ignore') {
+      const { ranked: kept, hidden } = this.applyDeprecationPolicy(ranked, deprecationPolicy);
+      ranked = kept;
+      hiddenDeprecated = hidden;
+    }
+
+    // Relationship labels compare neighbours with the source documents
+    const sources = this.loadMetadata(positives.map(e => e.id));
+    const results = this.classifyRelationships(
+      this.loadRankedDocuments(ranked.slice(0, limit)),
+      sources,
+      sources.map(doc => doc.title).join(' ')
+    );
+
+    return { sources, results, hiddenDeprecated, missing };
+  }
+
   // 🏷️ Classify relationship types for better UX
   classifyRelationships(candidates, mainResults, originalQuery) {
     if (!candidates || candidates.length === 0) {
@@ -565,12 +1939,12 @@ export class AppleSearchEngine {
       // Get document from database
       const doc = this.getDocument(docId);
       if (!doc) {
-        throw new Error(`Document ${docId} not found`);
+        throw new NotFoundError(`Document ${docId} not found`, { id: docId });
       }
 
       // Extract code examples directly (no complex legacy code)
       const examples = this.extractCodeExamples(doc);
-      console.log(`📋 Extracted ${examples.length} code examples from ${doc.title}`);
+      console.error(`📋 Extracted ${examples.length} code examples from ${doc.title}`);
       
       return examples;
     } catch (error) {
@@ -1065,6 +2439,23 @@ export class AppleSearchEngine {
       this.db.close();
       this.db = null;
     }
+    this.vectorStore.clear();
+    this.queryCache.close();
+    this.searchCursors.clear();
+    this.annIndex = null;
+    this.annIndexChecked = false;
+    this.lexicalIndex = null;
+    if (this.indexDb) {
+      this.indexDb.close();
+      this.indexDb = null;
+    }
+    this.indexDbChecked = false;
+    this.fingerprint = null;
+    this.symbolIndex.clear();
+    this.replacementGraph = null;
+    this.compatibilityTable = null;
+    this.compatibilityAnalyzer.usePrecomputed(null);
+    this.compatibilityAnalyzer.clearCache();
     this.initialized = false;
     console.error('Apple Search Engine closed');
   }
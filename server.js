@@ -2,12 +2,31 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  McpError,
+  ErrorCode
+} from '@modelcontextprotocol/sdk/types.js';
 import pLimit from 'p-limit';
 import dotenv from 'dotenv';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { AppleSearchEngine } from './search.js';
+import { AppleSearchEngine, SEARCH_MODES, DEPRECATION_POLICIES } from './search.js';
+import { DOCUMENT_TYPES, classifyDocumentType } from './search-filters.js';
+import { WORKFLOW_PROMPTS, findPrompt, missingArguments, formatExcerpts } from './workflow-prompts.js';
+import { McpHttpServer } from './http-transport.js';
+import { OUTPUT_SCHEMAS } from './output-schemas.js';
+import { ToolArgumentValidator } from './tool-arguments.js';
+import { ProgressReporter } from './progress.js';
+import { buildTableOfContents, findSection, sliceContent } from './document-sections.js';
+import { InvalidArgumentError, NotFoundError, OperationTimeoutError, OperationCancelledError, EmbeddingProviderError, abortReason, throwIfAborted } from './errors.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -47,16 +66,53 @@ const SERVER_INFO = {
 
 const CAPABILITIES = {
   capabilities: {
-    tools: {}
+    tools: {},
+    resources: {},
+    prompts: {}
   }
 };
 
-class AppleSearchMCPServer {
+// Documents as MCP resources: apple-doc://{id} and apple-doc://framework/{name}
+const RESOURCE_SCHEME = 'apple-doc://';
+const FRAMEWORK_RESOURCE_PREFIX = 'framework/';
+const RESOURCE_PAGE_SIZE = 100;
+const FRAMEWORK_RESOURCE_LIMIT = 1000;
+// MCP spec error code for an unknown resource URI (not in the SDK's ErrorCode enum)
+const RESOURCE_NOT_FOUND = -32002;
+
+// get_doc batches without maxChars/length are capped per document (page on with offset)
+const DEFAULT_BATCH_MAX_CHARS = parseInt(process.env.GET_DOC_BATCH_MAX_CHARS) || 8000;
+
+/**
+ * MCP error whose JSON-RPC message is the plain explanation
+ * McpError prefixes its message with "MCP error <code>: " and the SDK sends that message as-is,
+ * so clients, which add the prefix themselves, would show it twice. The SDK drops `data` from
+ * responses (before 1.23), so scalar details are named in the message as well:
+ * "Invalid cursor. ... (argument: cursor)"
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Human readable explanation
+ * @param {Object} data - Machine readable details
+ * @returns {McpError}
+ */
+function protocolError(code, message, data) {
+  const details = Object.entries(data || {})
+    .filter(([, value]) => value !== null && value !== undefined &&
+      (typeof value !== 'object' || (Array.isArray(value) && value.every(item => typeof item !== 'object'))))
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+
+  const error = new McpError(code, message, data);
+  error.message = details.length > 0 ? `${message} (${details.join('; ')})` : message;
+  return error;
+}
+
+export class AppleSearchMCPServer {
   constructor() {
-    this.server = new Server(SERVER_INFO, CAPABILITIES);
+    this.server = null;
+    this.httpServer = null;
     this.searchEngine = null;
     this.initPromise = null;
     this.sqliteQueue = pLimit(1); // Queue to prevent SQLite race conditions
+    this.toolArguments = new ToolArgumentValidator(this.getToolDefinitions());
     
     this.setupErrorHandling();
   }
@@ -76,6 +132,10 @@ class AppleSearchMCPServer {
   }
 
   async cleanup() {
+    if (this.httpServer) {
+      console.error('[apple-docs-mcp] Closing HTTP sessions...');
+      await this.httpServer.close();
+    }
     if (this.searchEngine) {
       console.error('[apple-docs-mcp] Shutting down search engine...');
       this.searchEngine.close();
@@ -83,88 +143,278 @@ class AppleSearchMCPServer {
   }
 
   // Lazy engine initialization with timeout
-  async initializeEngine() {
+  // context: { signal, progress } of the tool call waiting for it (see callTool)
+  async initializeEngine(context = {}) {
     if (this.searchEngine) {
       return this.searchEngine;
     }
 
-    if (this.initPromise) {
-      return this.initPromise;
+    if (!this.initPromise) {
+      this.initPromise = this.withTimeout(async () => {
+        console.error('[apple-docs-mcp] Initializing search engine...');
+        const engine = new AppleSearchEngine();
+        await engine.init(true); // With embedding provider
+        // Published only once usable: callers check searchEngine before waiting
+        this.searchEngine = engine;
+        console.error('[apple-docs-mcp] Search engine successfully initialized');
+        return engine;
+      }, 30000, 'Engine initialization').catch(error => {
+        // The next call retries instead of getting the same failure forever
+        this.initPromise = null;
+        throw error;
+      });
     }
 
-    this.initPromise = this.withTimeout(async () => {
-      console.error('[apple-docs-mcp] Initializing search engine...');
-      this.searchEngine = new AppleSearchEngine();
-      await this.searchEngine.init(true); // With OpenAI API
-      console.error('[apple-docs-mcp] Search engine successfully initialized');
-      return this.searchEngine;
-    }, 30000, 'Engine initialization');
+    // Initialization is shared: a cancelled call stops waiting, the engine keeps loading
+    if (context.progress) {
+      context.progress.report('Initializing search engine');
+    }
+    return this.untilAborted(this.initPromise, context.signal);
+  }
 
-    return this.initPromise;
+  /**
+   * Tool result with structuredContent (matching the tool's outputSchema)
+   * and the same data as JSON text for clients without structured output support
+   */
+  toolResult(data) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(data, null, 2)
+        }
+      ],
+      structuredContent: data
+    };
+  }
+
+  /**
+   * Tool execution error (isError: true) - the model sees it and can correct the call
+   * No structuredContent: error results are not checked against the outputSchema
+   */
+  toolError(message, details = {}) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify({ error: message, ...details }, null, 2)
+        }
+      ],
+      isError: true
+    };
   }
 
-  // Timeout wrapper
-  async withTimeout(operation, timeoutMs, operationName) {
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
-        reject(new Error(`Operation timeout: ${operationName} (${timeoutMs}ms)`));
-      }, timeoutMs);
+  /**
+   * Run an operation with a time limit
+   * operation(signal) gets an AbortSignal that fires on timeout or when the request's
+   * signal fires (client cancellation), so it can stop embedding requests and scans
+   * @param {AbortSignal} signal - Optional request signal
+   */
+  async withTimeout(operation, timeoutMs, operationName, signal = null) {
+    const controller = new AbortController();
+    const aborted = new Promise((_, reject) => {
+      controller.signal.addEventListener('abort', () => reject(abortReason(controller.signal)), { once: true });
     });
+    const cancel = () => controller.abort(abortReason(signal));
+    if (signal) {
+      if (signal.aborted) {
+        cancel();
+      } else {
+        signal.addEventListener('abort', cancel, { once: true });
+      }
+    }
+    const timer = setTimeout(() => {
+      controller.abort(new OperationTimeoutError(operationName, timeoutMs));
+    }, timeoutMs);
+
+    const work = Promise.resolve().then(() => operation(controller.signal));
 
     try {
-      return await Promise.race([operation(), timeoutPromise]);
+      return await Promise.race([work, aborted]);
     } catch (error) {
-      console.error(`[apple-docs-mcp] Error in ${operationName}:`, error);
-      throw this.convertToMcpError(error);
+      if (!(error instanceof OperationCancelledError)) {
+        console.error(`[apple-docs-mcp] Error in ${operationName}:`, error);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
     }
   }
 
-  // Convert errors to proper MCP format
+  // Wait for shared work, but stop waiting when the request is cancelled
+  untilAborted(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+    return new Promise((resolve, reject) => {
+      const cancel = () => reject(abortReason(signal));
+      if (signal.aborted) {
+        return cancel();
+      }
+      signal.addEventListener('abort', cancel, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', cancel));
+    });
+  }
+
+  /**
+   * Run a tool body in the SQLite queue (one at a time)
+   * A call cancelled while it waited gives up its slot without touching the database
+   */
+  runQueued(context, task) {
+    return this.sqliteQueue(async () => {
+      throwIfAborted(context.signal);
+      return task();
+    });
+  }
+
+  /**
+   * Map an error to an MCP protocol error
+   * Bad arguments → InvalidParams, everything else → InternalError;
+   * the message names the machine-readable details (see protocolError)
+   */
   convertToMcpError(error) {
-    if (error.message.includes('401')) {
-      return new Error('Invalid OpenAI API key');
-    } else if (error.message.includes('429')) {
-      return new Error('OpenAI API rate limit exceeded. Please try again later');
-    } else if (error.message.includes('ETIMEDOUT')) {
-      return new Error('OpenAI connection timeout');
+    if (error instanceof McpError) {
+      return error;
     }
-    return error;
-  }
-
-  setupTools() {
-    // Tool 1: Document search (preview)
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
-
-      if (name === 'search_docs') {
-        return this.handleSearchDocs(args);
-      } else if (name === 'get_doc') {
-        return this.handleGetDoc(args);
-      } else if (name === 'get_stats') {
-        return this.handleGetStats(args);
-      } else if (name === 'get_code_examples') {
-        return this.handleGetCodeExamples(args);
-      } else {
-        throw new Error(`Unknown tool: ${name}`);
+    if (error instanceof InvalidArgumentError) {
+      return protocolError(ErrorCode.InvalidParams, error.message, error.details);
+    }
+    if (error instanceof EmbeddingProviderError) {
+      return protocolError(ErrorCode.InternalError, error.message, {
+        reason: `embedding_${error.reason}`,
+        provider: error.provider,
+        status: error.status
+      });
+    }
+    if (error instanceof OperationTimeoutError) {
+      return protocolError(ErrorCode.InternalError, error.message, {
+        reason: 'timeout',
+        operation: error.operation,
+        timeoutMs: error.timeoutMs
+      });
+    }
+    if (error instanceof OperationCancelledError) {
+      // The SDK sends no response to a cancelled request; this only reaches logs
+      return protocolError(ErrorCode.InternalError, error.message, { reason: 'cancelled' });
+    }
+    return protocolError(ErrorCode.InternalError, error.message || 'Internal error', { reason: 'internal' });
+  }
+
+  /**
+   * Validate arguments against the tool's inputSchema (defaults applied), then run it
+   * Missing documents come back as isError results, other failures as MCP errors
+   * @param {Object} extra - Request handler extra: signal (notifications/cancelled), progress token
+   */
+  async callTool(name, args, extra = {}) {
+    const handlers = {
+      search_docs: (validArgs, context) => this.handleSearchDocs(validArgs, context),
+      get_doc: (validArgs, context) => this.handleGetDoc(validArgs, context),
+      get_stats: (validArgs, context) => this.handleGetStats(validArgs, context),
+      get_code_examples: (validArgs, context) => this.handleGetCodeExamples(validArgs, context),
+      find_symbol: (validArgs, context) => this.handleFindSymbol(validArgs, context),
+      find_similar: (validArgs, context) => this.handleFindSimilar(validArgs, context),
+      compare_apis: (validArgs, context) => this.handleCompareApis(validArgs, context),
+      check_availability: (validArgs, context) => this.handleCheckAvailability(validArgs, context),
+      get_replacement: (validArgs, context) => this.handleGetReplacement(validArgs, context),
+      scan_swift_code: (validArgs, context) => this.handleScanSwiftCode(validArgs, context)
+    };
+    const context = {
+      signal: extra.signal || null,
+      progress: new ProgressReporter(extra)
+    };
+
+    try {
+      const validArgs = this.toolArguments.validate(name, args);
+      return await handlers[name](validArgs, context);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return this.toolError(error.message, error.details);
       }
+      throw this.convertToMcpError(error);
+    }
+  }
+
+  setupTools(server) {
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      return this.callTool(request.params.name, request.params.arguments, extra);
     });
 
-    // APPLE DOCUMENTATION SEARCH TOOLS - Complete workflow for iOS/macOS development
-    // 🎯 STRATEGY: search_docs (explore) → get_doc (analyze) → iterate (refine)
-    // 📚 DATABASE: 16,253 Apple docs with semantic search via text-embedding-3-large
-    // 🔄 WORKFLOW: Broad queries → narrow focus → deep analysis → implementation ready
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      return {
-        tools: [
-          {
-            name: 'search_docs',
-            description: `🔍 SEMANTIC SEARCH through 16,253 Apple documentation pages with intelligent relevance scoring.
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: this.getToolDefinitions() };
+    });
+  }
+
+  // APPLE DOCUMENTATION SEARCH TOOLS - Complete workflow for iOS/macOS development
+  // 🎯 STRATEGY: search_docs (explore) → get_doc (analyze) → iterate (refine)
+  // 📚 DATABASE: 16,253 Apple docs with semantic search via text-embedding-3-large
+  // 🔄 WORKFLOW: Broad queries → narrow focus → deep analysis → implementation ready
+  getToolDefinitions() {
+    // Pre-ranking filters shared by search_docs and find_similar
+    const filterProperties = {
+      platforms: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'PLATFORM FILTER: Keep only docs supporting at least one of these platforms. Values: iOS, iPadOS, macOS, Mac Catalyst, watchOS, tvOS, visionOS.'
+      },
+      frameworks: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'FRAMEWORK FILTER: Keep only docs from at least one of these frameworks, e.g. ["SwiftUI", "RealityKit"].'
+      },
+      excludeFrameworks: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'FRAMEWORK EXCLUSION: Drop docs from these frameworks, e.g. ["UIKit"] for SwiftUI-only answers.'
+      },
+      types: {
+        type: 'array',
+        items: { type: 'string', enum: DOCUMENT_TYPES },
+        description: 'DOCUMENT TYPE FILTER: Keep only these kinds of pages - "api_reference" (symbols), "wwdc_transcript" (session videos), "hig" (Human Interface Guidelines), "sample_code" (sample projects), "article" (guides and overviews).'
+      }
+    };
+
+    // { "iOS": "16.0", "macOS": "13.0" } - platform names are matched case-insensitively
+    const deploymentTargetSchema = {
+      type: 'object',
+      additionalProperties: { type: 'string', pattern: '^\\d+(\\.\\d+){0,2}$' }
+    };
+
+    return [
+      {
+        name: 'search_docs',
+        description: `🔍 SEMANTIC SEARCH through 16,253 Apple documentation pages with intelligent relevance scoring.
 
 SEARCH STRATEGY:
 • BROAD→NARROW: Start with general concepts ("SwiftUI animation") then narrow down ("SwiftUI keyframe animator")
 • ITERATE: If results aren't specific enough, reformulate with more precise terms
 • EXPLORE: Use limit 8-10 for initial exploration, limit 3-5 for focused searches
 • 🔗 RELATED MODE: Set includeRelated=true to auto-discover connected topics
+• 🔤 EXACT NAMES: Paste API names as-is ("scrollTargetBehavior(_:)", "NSPersistentCloudKitContainer") - hybrid mode matches them lexically
+
+SEARCH MODES:
+• hybrid (default): Semantic + full-text (BM25) rankings fused with reciprocal rank fusion
+• semantic: Embedding similarity only - best for conceptual questions
+• lexical: Full-text only - exact API names and phrases, no OpenAI call
+FILTERS (applied before ranking, so limit isn't eaten by irrelevant results):
+• platforms: ["watchOS"] → only docs supporting at least one listed platform
+• frameworks: ["SwiftUI", "RealityKit"] → only docs from at least one listed framework
+• excludeFrameworks: ["UIKit"] → drop docs from these frameworks
+• types: ["sample_code", "wwdc_transcript"] → only these document types (api_reference, wwdc_transcript, hig, sample_code, article)
+• deploymentTarget: {"iOS": "16.0"} → drop APIs introduced later (or obsoleted) on every listed platform; each result's compatibility.availability has introduced/deprecated/obsoleted versions per platform
+
+DEPRECATED APIs (deprecationPolicy):
+• demote (default): deprecated/superseded APIs rank after current ones; deprecationWarning.replacement points to the modern API when the page names one
+• hide (or excludeDeprecated=true): drop them from results and related documents
+• ignore: rank purely by relevance
+
+PAGINATION: Responses carry nextCursor while more results exist (up to 100 per query). Repeat the same query with cursor=nextCursor for the next page - no new ranking or embedding call, no duplicates. Filters, mode and policy come from the cursor.
+
+FACETS: Every response counts types, platforms and frameworks over the top 100 matches - use them to pick the next filter
+
+• OFFLINE: Without OPENAI_API_KEY every search runs locally (full-text, or title matching if the full-text index is unavailable). Check searchMode in the response: "offline-lexical" / "offline-title"
 
 QUERY EXAMPLES:
 ✅ GOOD: "SwiftUI custom transition animation", "Core Data CloudKit conflict resolution"  
@@ -188,94 +438,155 @@ RELEVANCE SCORES:
 • Use includeRelated=false to disable and get only main search results
 
 WORKFLOW: Use search_docs for exploration → get_doc for detailed analysis → repeat with refined queries.`,
-            inputSchema: {
-              type: 'object',
-              properties: {
-                query: {
-                  type: 'string',
-                  description: 'SEARCH QUERY: Use 2-4 specific keywords. Examples: "SwiftUI custom animation", "Core Data fetch performance", "UIKit navigation delegate methods"'
-                },
-                limit: {
-                  type: 'number',
-                  description: 'RESULT COUNT: 8-10 for exploration, 3-5 for focused search. More results = broader overview.',
-                  default: 10
-                },
-                minSimilarity: {
-                  type: 'number',
-                  description: 'RELEVANCE THRESHOLD: 0.3 (default) for broad search, 0.5+ for highly specific results. Lower = more results.',
-                  default: 0.3
-                },
-                includeContent: {
-                  type: 'boolean',
-                  description: 'CONTENT PREVIEW: Always true for decision making. Provides snippet to evaluate relevance.',
-                  default: true
-                },
-                maxContentChars: {
-                  type: 'number',
-                  description: 'SNIPPET SIZE: 150-200 for quick scan, 300+ for detailed preview. Balance overview vs detail.',
-                  default: 200
-                },
-                includeRelated: {
-                  type: 'boolean',
-                  description: '🔗 VECTOR-BASED AUTO-DISCOVER: Find semantically related documents using embeddings similarity (NOW ENABLED BY DEFAULT). Adds 3-6 intelligently classified docs (🔄 Migration guides, 🆕 Modern alternatives, ⚡ Performance tips, 📋 Code examples). Set to false to show only main results.',
-                  default: true
-                },
-                showCodePreview: {
-                  type: 'boolean',
-                  description: '💻 CODE PREVIEW: Show preview of first Swift code block in each result. Perfect for AI agents to quickly see if document contains useful code examples. Use with get_code_examples(docId) for full code extraction.',
-                  default: false
-                }
-              },
-              required: ['query']
+        outputSchema: OUTPUT_SCHEMAS.search_docs,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              minLength: 1,
+              description: 'SEARCH QUERY: Use 2-4 specific keywords. Examples: "SwiftUI custom animation", "Core Data fetch performance", "UIKit navigation delegate methods"'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 100,
+              description: 'RESULT COUNT: 8-10 for exploration, 3-5 for focused search. More results = broader overview.',
+              default: 10
+            },
+            minSimilarity: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              description: 'RELEVANCE THRESHOLD: 0.3 (default) for broad search, 0.5+ for highly specific results. Lower = more results.',
+              default: 0.3
+            },
+            includeContent: {
+              type: 'boolean',
+              description: 'CONTENT PREVIEW: Always true for decision making. Provides snippet to evaluate relevance.',
+              default: true
+            },
+            maxContentChars: {
+              type: 'integer',
+              minimum: 0,
+              description: 'SNIPPET SIZE: 150-200 for quick scan, 300+ for detailed preview. Balance overview vs detail.',
+              default: 200
+            },
+            includeRelated: {
+              type: 'boolean',
+              description: '🔗 VECTOR-BASED AUTO-DISCOVER: Find semantically related documents using embeddings similarity (NOW ENABLED BY DEFAULT). Adds 3-6 intelligently classified docs (🔄 Migration guides, 🆕 Modern alternatives, ⚡ Performance tips, 📋 Code examples). Set to false to show only main results.',
+              default: true
+            },
+            showCodePreview: {
+              type: 'boolean',
+              description: '💻 CODE PREVIEW: Show preview of first Swift code block in each result. Perfect for AI agents to quickly see if document contains useful code examples. Use with get_code_examples(docId) for full code extraction.',
+              default: false
+            },
+            mode: {
+              type: 'string',
+              enum: SEARCH_MODES,
+              description: 'SEARCH STRATEGY: "hybrid" (default) fuses semantic and full-text rankings, "semantic" for concepts only, "lexical" for exact API names and phrases.',
+              default: 'hybrid'
+            },
+            ...filterProperties,
+            deprecationPolicy: {
+              type: 'string',
+              enum: DEPRECATION_POLICIES,
+              description: 'DEPRECATED APIs: "demote" (default) ranks deprecated/superseded APIs after current ones, "hide" drops them, "ignore" ranks by relevance only.',
+              default: 'demote'
+            },
+            deploymentTarget: {
+              ...deploymentTargetSchema,
+              description: 'DEPLOYMENT TARGET: Minimum OS versions your app supports, e.g. {"iOS": "16.0", "macOS": "13.0"}. Drops APIs that are not available at these versions on any listed platform; pages without availability (articles, videos) are kept.'
+            },
+            excludeDeprecated: {
+              type: 'boolean',
+              description: 'HIDE DEPRECATED: Shortcut for deprecationPolicy "hide" - only current APIs are returned.',
+              default: false
+            },
+            cursor: {
+              type: 'string',
+              minLength: 1,
+              description: 'NEXT PAGE: nextCursor from a previous response for the same query. Returns the following results of the same ranking.'
+            },
+            includeFacets: {
+              type: 'boolean',
+              description: 'FACET COUNTS: Include hit counts per document type, platform and framework over the top 100 matches.',
+              default: true
             }
           },
-          {
-            name: 'get_doc',
-            description: `📖 DEEP DIVE: Get complete document content with unlimited size - perfect for thorough analysis.
+          required: ['query'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_doc',
+        description: `📖 DEEP DIVE: Get document content - whole, one section, or page by page.
 
 CONTENT RICHNESS:
 • FULL TEXT: Complete Apple documentation (up to 18K+ characters)
 • CODE BLOCKS: Multiple Swift examples with syntax highlighting
 • METADATA: Content length, code block count, document type
-• STRUCTURE: Sections, discussions, usage examples
+• TABLE OF CONTENTS: Headings with character offsets
 
 USAGE PATTERNS:
 • SINGLE DOC: Pass string ID for one document
-• BATCH ANALYSIS: Pass array of up to 10 IDs for comparison
+• BATCH ANALYSIS: Pass array of up to 10 IDs for comparison (each capped at ${DEFAULT_BATCH_MAX_CHARS} characters unless maxChars/length is given)
+• ONE SECTION: section: "Discussion" or "Parameters" returns just that part
+• PAGING: offset/length (or maxChars) for long WWDC transcripts - continue from nextOffset
 • FOLLOW-UP: Use after search_docs to get complete details of promising results
 
 WHAT YOU GET:
 • title: Document title
 • url: Direct link to Apple Developer docs
-• content: Complete text with markdown formatting
-• contentLength: Size in characters for analysis
+• content: Requested text with markdown formatting
+• toc: Headings (title, level, offset, length) to pick a section from
+• contentLength: Size of the whole document in characters
+• totalLength / truncated / nextOffset: Where the returned page sits in the requested text
 • codeBlocks: Number of code examples
 
-STRATEGY: Get full documents when search_docs snippets look promising but lack detail. No size limits - get everything you need for implementation.`,
-            inputSchema: {
-              type: 'object',
-              properties: {
-                id: {
-                  oneOf: [
-                    { 
-                      type: 'string', 
-                      description: 'SINGLE DOCUMENT: ID from search_docs result for focused analysis of one topic' 
-                    },
-                    { 
-                      type: 'array', 
-                      items: { type: 'string' }, 
-                      maxItems: 10,
-                      description: 'BATCH ANALYSIS: Up to 10 IDs for comparing related documents or getting comprehensive coverage'
-                    }
-                  ]
-                }
-              },
-              required: ['id']
+STRATEGY: Get the table of contents with a small maxChars first on long documents, then pull the sections you need.`,
+        outputSchema: OUTPUT_SCHEMAS.get_doc,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: ['string', 'array'],
+              minLength: 1,
+              items: { type: 'string', minLength: 1 },
+              minItems: 1,
+              maxItems: 10,
+              description: 'SINGLE DOCUMENT: ID from search_docs result for focused analysis of one topic. BATCH ANALYSIS: array of up to 10 IDs for comparing related documents or getting comprehensive coverage.'
+            },
+            section: {
+              type: 'string',
+              minLength: 1,
+              description: 'Return only this section, matched case-insensitively against the headings in toc (e.g. "Discussion", "Parameters"). An exact heading wins over a prefix.'
+            },
+            offset: {
+              type: 'integer',
+              minimum: 0,
+              default: 0,
+              description: 'First character to return, relative to the section when one is given. Use nextOffset from the previous call to continue.'
+            },
+            length: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Number of characters to return from offset (page size)'
+            },
+            maxChars: {
+              type: 'integer',
+              minimum: 1,
+              description: `Maximum characters per document - applies to each document of a batch (default ${DEFAULT_BATCH_MAX_CHARS} for batches, unlimited for a single document)`
             }
           },
-          {
-            name: 'get_stats',
-            description: `📊 DATABASE OVERVIEW: Quick health check and scope understanding of the Apple documentation database.
+          required: ['id'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_stats',
+        description: `📊 DATABASE OVERVIEW: Quick health check and scope understanding of the Apple documentation database.
 
 DATABASE SCALE:
 • 16,253 total documents from Apple Developer documentation
@@ -286,7 +597,11 @@ WHAT YOU GET:
 • totalDocuments: Exact count of available docs
 • model: AI model used for semantic search quality
 • dimensions: Vector dimensions for search precision
+• embeddingProvider: Which provider embeds queries (openai, openai-compatible, local) and any configuration error
 • sampleTitles: Random titles to understand content types
+• capabilities: Which search modes are active (semantic, lexical, hybrid, offline)
+• queryCache: Persistent query embedding cache size, hits, misses and hit rate
+• searchCursors: Ranked lists currently kept for search_docs pagination
 
 WHEN TO USE:
 • First interaction: Understand database scope
@@ -295,15 +610,16 @@ WHEN TO USE:
 • Health check: Confirm database connection
 
 Quick reference: This database contains comprehensive Apple platform documentation with semantic search capabilities.`,
-            inputSchema: {
-              type: 'object',
-              properties: {},
-              additionalProperties: false
-            }
-          },
-          {
-            name: 'get_code_examples', 
-            description: `🔗 CONTEXTUAL CODE EXTRACTION: Extract code examples from a specific document you already found.
+        outputSchema: OUTPUT_SCHEMAS.get_stats,
+        inputSchema: {
+          type: 'object',
+          properties: {},
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_code_examples', 
+        description: `🔗 CONTEXTUAL CODE EXTRACTION: Extract code examples from a specific document you already found.
 
 WORKFLOW INTEGRATION:
 • Use after search_docs: See codeBlocks: 5 → get_code_examples(doc_id) → get those 5 examples
@@ -322,49 +638,320 @@ USAGE PATTERN:
 3. get_code_examples(document_id) → get all 7 examples with context
 
 PERFECT FOR: AI agents who want to drill down into specific documents after initial search.`,
-            inputSchema: {
-              type: 'object',
-              properties: {
-                docId: {
-                  type: 'string',
-                  description: 'DOCUMENT ID: The id field from search_docs results. Extract code examples from this specific document.'
-                }
-              },
-              required: ['docId']
+        outputSchema: OUTPUT_SCHEMAS.get_code_examples,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            docId: {
+              type: 'string',
+              minLength: 1,
+              description: 'DOCUMENT ID: The id field from search_docs results. Extract code examples from this specific document.'
             }
-          }
-        ]
-      };
-    });
+          },
+          required: ['docId'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'find_symbol',
+        description: `🎯 EXACT SYMBOL LOOKUP: Resolve an API name to its reference page(s) - no semantic search, no embedding call.
+
+WHEN TO USE:
+• You already know the identifier: "NavigationStack", "UIViewController.viewDidLoad()", "URLSession.data(for:)"
+• Objective-C names work too: "-[UITableView reloadData]", "tableView:cellForRowAtIndexPath:"
+• Use search_docs instead for concepts and questions
+
+MATCHING:
+• Titles and URL paths of reference pages, case-insensitive, with typo tolerance ("NavigatonStack")
+• "Type.member" narrows members to that type; partial labels match ("data(for:)" → data(for:delegate:))
+• Same name in several frameworks → ambiguous: true with the frameworks listed; pass framework to pick one
+
+NEXT STEP: get_doc(id) for the full page.`,
+        outputSchema: OUTPUT_SCHEMAS.find_symbol,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              minLength: 1,
+              description: 'SYMBOL: Swift or Objective-C identifier, optionally qualified with its type: "NavigationStack", "URLSession.data(for:)", "-[UIView layoutSubviews]".'
+            },
+            framework: {
+              type: 'string',
+              minLength: 1,
+              description: 'FRAMEWORK: Only pages from this framework, e.g. "UIKit" vs "AppKit" for viewDidLoad().'
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 20,
+              description: 'MAX MATCHES: Best candidates to return.',
+              default: 5
+            }
+          },
+          required: ['name'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'find_similar',
+        description: `🧭 MORE LIKE THIS: Nearest neighbours of documents you already have - ranked by their stored embeddings, no OpenAI call.
+
+WHEN TO USE:
+• After get_doc: "show me pages like this one"
+• Several IDs: neighbours of what they have in common
+• negativeIds: steer away from a direction ("like this sample, but not the UIKit ones")
+
+WHAT YOU GET:
+• results with similarity and a relationship label (🔄 Migration Guide, 🆕 Modern Alternative, 📋 Code Example, 📚 API Reference...)
+• The same platform, framework, type and deprecation filters as search_docs
+
+Works offline: only stored document vectors are used.`,
+        outputSchema: OUTPUT_SCHEMAS.find_similar,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: ['string', 'array'],
+              minLength: 1,
+              items: { type: 'string', minLength: 1 },
+              minItems: 1,
+              maxItems: 10,
+              description: 'SOURCE DOCUMENTS: ID (or up to 10 IDs) from search_docs, get_doc or find_symbol to find neighbours of.'
+            },
+            negativeIds: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              maxItems: 10,
+              description: 'STEER AWAY: IDs of documents the results should be less like.',
+              default: []
+            },
+            limit: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 50,
+              description: 'RESULT COUNT: Neighbours to return.',
+              default: 10
+            },
+            minSimilarity: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              description: 'RELEVANCE THRESHOLD: Minimum cosine similarity to the source documents.',
+              default: 0.3
+            },
+            includeContent: {
+              type: 'boolean',
+              description: 'CONTENT PREVIEW: Include a short snippet of each neighbour.',
+              default: true
+            },
+            ...filterProperties,
+            deprecationPolicy: {
+              type: 'string',
+              enum: DEPRECATION_POLICIES,
+              description: 'DEPRECATED APIs: "demote" (default) ranks deprecated/superseded APIs after current ones, "hide" drops them, "ignore" ranks by similarity only.',
+              default: 'demote'
+            }
+          },
+          required: ['id'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'compare_apis',
+        description: `⚖️ SIDE-BY-SIDE COMPARISON: Line up 2-5 documents instead of fetching and diffing them yourself.
+
+WHEN TO USE:
+• "ObservableObject vs @Observable", "SceneKit vs RealityKit", "NavigationView vs NavigationStack"
+• Find the IDs first with find_symbol or search_docs
+
+WHAT YOU GET (per API):
+• platforms and minimum versions
+• frameworks
+• deprecation status, with the replacement when the page names one
+• hardware limitations (LiDAR, TrueDepth, device only)
+• code example count by category
+• summary: one or two sentences on what it is for
+
+COMPARISON: shared platforms and frameworks, platforms only some APIs support, which APIs are deprecated or hardware-limited, which has the most code examples.`,
+        outputSchema: OUTPUT_SCHEMAS.compare_apis,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            ids: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              minItems: 2,
+              maxItems: 5,
+              description: 'DOCUMENTS: 2 to 5 IDs from search_docs or find_symbol, in the order to compare them.'
+            }
+          },
+          required: ['ids'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'check_availability',
+        description: `✅ DEPLOYMENT TARGET CHECK: Can these APIs be used in an app supporting iOS 16 / macOS 13? The review check for PRs that adopt new SDK APIs.
+
+FOR EACH SYMBOL:
+• available: usable at the deployment target
+• needs_guard: introduced later - wrap in the returned guard, e.g. if #available(iOS 17.0, *)
+• deprecated: deprecated on a targeted platform, with the replacement when the page names one
+• unavailable: not on any targeted platform (or obsoleted)
+• not_found: no reference page (a close name comes back as suggestion)
+
+Names are resolved like find_symbol ("NavigationStack", "View.scrollTargetBehavior(_:)", "-[UIView layoutSubviews]"); platforms lists the introduced/deprecated/obsoleted versions behind each verdict. No embedding call.`,
+        outputSchema: OUTPUT_SCHEMAS.check_availability,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbols: {
+              type: 'array',
+              items: { type: 'string', minLength: 1 },
+              minItems: 1,
+              maxItems: 50,
+              description: 'SYMBOLS: Swift or Objective-C API names to check, optionally qualified with their type.'
+            },
+            deploymentTarget: {
+              ...deploymentTargetSchema,
+              minProperties: 1,
+              description: 'DEPLOYMENT TARGET: Minimum OS versions the app supports, e.g. {"iOS": "16.0", "macOS": "13.0"}.'
+            },
+            framework: {
+              type: 'string',
+              minLength: 1,
+              description: 'FRAMEWORK: Resolve names in this framework only, e.g. "UIKit" vs "AppKit".'
+            }
+          },
+          required: ['symbols', 'deploymentTarget'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_replacement',
+        description: `🔀 REPLACEMENT LOOKUP: What replaced a deprecated API, and what a current API replaced.
+
+WHEN TO USE:
+• "What should I use instead of NavigationView?" → NavigationStack
+• Migrating code: find the successor page of each deprecated call
+• "What did NavigationStack replace?" → replaces
+
+WHAT YOU GET:
+• deprecation status and the evidence for it
+• replacement: the API the page points to, with its document when one matches
+• chain: further replacements when the replacement is deprecated too, the latest last
+• replaces: deprecated APIs that name this one as their replacement
+
+Pass an id from search_docs/find_symbol, or a name resolved like find_symbol. No embedding call.`,
+        outputSchema: OUTPUT_SCHEMAS.get_replacement,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              minLength: 1,
+              description: 'DOCUMENT: ID from search_docs or find_symbol. Use either id or name.'
+            },
+            name: {
+              type: 'string',
+              minLength: 1,
+              description: 'SYMBOL: Swift or Objective-C API name, e.g. "NavigationView" or "UIWebView". Use either id or name.'
+            },
+            framework: {
+              type: 'string',
+              minLength: 1,
+              description: 'FRAMEWORK: Resolve name in this framework only, e.g. "UIKit" vs "AppKit".'
+            }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'scan_swift_code',
+        description: `🔍 SWIFT CODE REVIEW: Paste a Swift file, get the Apple APIs it uses that are deprecated, too new for the deployment target, or need specific hardware.
+
+WHAT IS CHECKED:
+• types (NavigationView), methods (URLSession.data(from:)), SwiftUI modifiers (.foregroundColor), property wrappers and macros (@StateObject, @Observable)
+• names resolve like find_symbol; methods and modifiers only within the file's imports
+• your own types and functions are skipped
+
+ISSUES (per API, with line numbers and doc links):
+• deprecated: with the replacement when the page names one
+• needs_guard: introduced after the deployment target - uses inside a matching if #available / @available region don't count
+• unavailable: not on any targeted platform
+• hardware_limited: LiDAR, TrueDepth, device only...
+
+Lexical scan, not a compiler: overloads resolve by name. No embedding call.`,
+        outputSchema: OUTPUT_SCHEMAS.scan_swift_code,
+        inputSchema: {
+          type: 'object',
+          properties: {
+            code: {
+              type: 'string',
+              minLength: 1,
+              maxLength: 200000,
+              description: 'CODE: Contents of one Swift file.'
+            },
+            deploymentTarget: {
+              ...deploymentTargetSchema,
+              description: 'DEPLOYMENT TARGET: Minimum OS versions the app supports, e.g. {"iOS": "16.0"}. Without it only deprecation and hardware limits are checked.'
+            }
+          },
+          required: ['code'],
+          additionalProperties: false
+        }
+      }
+    ];
   }
 
-  // Document search handler
-  async handleSearchDocs(args) {
+  // Document search handler (arguments are validated, defaults applied)
+  async handleSearchDocs(args, context) {
     const {
       query,
-      limit = 10,
-      minSimilarity = 0.3,
-      includeContent = true,
-      maxContentChars = 300,
-      includeRelated = true, // 🆕 NOW ENABLED BY DEFAULT
-      showCodePreview = false // 🆕 CONTEXTUAL CODE PREVIEW
+      limit,
+      minSimilarity,
+      includeContent,
+      maxContentChars,
+      includeRelated, // 🆕 ENABLED BY DEFAULT
+      showCodePreview, // 🆕 CONTEXTUAL CODE PREVIEW
+      mode,
+      platforms = [],
+      frameworks = [],
+      excludeFrameworks = [],
+      types = [],
+      includeFacets,
+      deprecationPolicy,
+      deploymentTarget = null,
+      excludeDeprecated,
+      cursor = null
     } = args;
 
-    if (!query || typeof query !== 'string') {
-      throw new Error('Parameter query is required and must be a string');
-    }
+    // Pre-ranking filters
+    const filters = { platforms, frameworks, excludeFrameworks, types };
+    const effectivePolicy = excludeDeprecated ? 'hide' : deprecationPolicy;
 
-    // 🔧 Related documents enabled by default (handles undefined as true)
-    const shouldIncludeRelated = includeRelated === undefined ? true : (includeRelated !== false && includeRelated !== 'false');
-
-    return this.sqliteQueue(async () => {
-      const engine = await this.initializeEngine();
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
       
-      // 1. Main search (as before)
-      const results = await this.withTimeout(
-        () => engine.search(query, limit, minSimilarity),
+      // 1. Main search (a cursor continues an earlier ranking with its original options)
+      const { mode: searchMode, results, facets, hiddenDeprecated, hiddenUnavailable, offset, nextCursor } = await this.withTimeout(
+        signal => engine.searchDocuments(query, {
+          limit,
+          minSimilarity,
+          mode: engine.resolveSearchMode(mode),
+          filters,
+          facets: includeFacets,
+          deprecationPolicy: effectivePolicy,
+          deploymentTarget,
+          paginate: true,
+          cursor,
+          signal,
+          onProgress: message => context.progress.report(message)
+        }),
         30000,
-        `Search: "${query}"`
+        `Search: "${query}"`,
+        context.signal
       );
 
       const formattedResults = results.map(result => {
@@ -375,7 +962,9 @@ PERFECT FOR: AI agents who want to drill down into specific documents after init
           id: result.id,
           title: result.title,
           url: result.url,
-          similarity: Math.round(result.similarity * 10000) / 100, // Percentage with 2 decimals
+          uri: this.documentUri(result.id),
+          type: result.type,
+          similarity: this.formatSimilarity(result.similarity),
           snippet: includeContent ? 
             (cleanedContent.length > maxContentChars ? 
               cleanedContent.substring(0, maxContentChars) + '...' : 
@@ -423,6 +1012,11 @@ PERFECT FOR: AI agents who want to drill down into specific documents after init
             };
           }
 
+          // Per-platform introduced/deprecated/obsoleted versions
+          if (compat.availability && Object.keys(compat.availability).length > 0) {
+            baseResult.compatibility.availability = compat.availability;
+          }
+
           // Technology information
           if (compat.technologies && compat.technologies.primary) {
             baseResult.compatibility.technologies = {
@@ -451,25 +1045,73 @@ PERFECT FOR: AI agents who want to drill down into specific documents after init
               confidence: compat.deprecation.confidence,
               evidence: compat.deprecation.evidence
             };
+            if (result.demoted) {
+              baseResult.deprecationWarning.demoted = true;
+            }
+            if (result.replacement) {
+              baseResult.deprecationWarning.replacement = result.replacement;
+            }
           }
         }
 
+        // Show which ranking found the document when more than one was used
+        if (searchMode === 'hybrid') {
+          baseResult.matchedBy = result.matchedBy;
+        }
+
         return baseResult;
       });
 
       let response = {
         query: query,
+        // Offline results come from the local database only - mark them clearly
+        searchMode: engine.isOffline() ? `offline-${searchMode}` : searchMode,
         total: results.length,
+        offset: offset,
         results: formattedResults
       };
 
-      // 2. 🆕 RELATED DOCUMENTS (only if requested)
-      if (shouldIncludeRelated && results.length > 0) {
+      if (nextCursor) {
+        response.nextCursor = nextCursor;
+      }
+
+      // Filters, facets and policy belong to the first page; later pages reuse its ranking
+      if (!cursor) {
+        const appliedFilters = Object.fromEntries(Object.entries(filters).filter(([, values]) => values.length > 0));
+        if (Object.keys(appliedFilters).length > 0) {
+          response.filters = appliedFilters;
+        }
+
+        if (facets) {
+          response.facets = facets;
+        }
+
+        response.deprecationPolicy = effectivePolicy;
+        if (hiddenDeprecated > 0) {
+          response.hiddenDeprecated = hiddenDeprecated;
+        }
+
+        const target = engine.resolveDeploymentTarget(deploymentTarget);
+        if (target) {
+          response.deploymentTarget = target;
+          response.hiddenUnavailable = hiddenUnavailable;
+        }
+      }
+
+      if (engine.isOffline()) {
+        const reason = engine.getEmbeddingInfo().error || 'no embedding provider';
+        response.notice = `Semantic search is disabled (${reason}): results come from local full-text matching.`;
+      }
+
+      // 2. 🆕 RELATED DOCUMENTS (only if requested, first page only)
+      if (includeRelated && !cursor && results.length > 0) {
         try {
+          context.progress.report('Finding related documents');
           const relatedDocs = await this.withTimeout(
-            () => engine.findRelatedDocuments(results.slice(0, 3), query),
+            signal => engine.findRelatedDocuments(results.slice(0, 3), query, { filters, deprecationPolicy: effectivePolicy, deploymentTarget, signal }),
             15000,
-            `Finding related docs for: "${query}"`
+            `Finding related docs for: "${query}"`,
+            context.signal
           );
           
           if (relatedDocs.length > 0) {
@@ -481,7 +1123,8 @@ PERFECT FOR: AI agents who want to drill down into specific documents after init
                 id: doc.id,
                 title: doc.title,
                 url: doc.url,
-                similarity: Math.round(doc.similarity * 10000) / 100,
+                type: classifyDocumentType(doc),
+                similarity: this.formatSimilarity(doc.similarity),
                 relationship: doc.relationship,
                 snippet: includeContent ? 
                   (cleanedRelatedContent.length > 150 ? 
@@ -494,190 +1137,686 @@ PERFECT FOR: AI agents who want to drill down into specific documents after init
             response.totalWithRelated = results.length + relatedDocs.length;
           }
         } catch (error) {
+          if (error instanceof OperationCancelledError) {
+            throw error;
+          }
           console.error('Error finding related documents:', error);
           response.relatedError = 'Failed to find related documents';
         }
       }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(response, null, 2)
-          }
-        ]
-      };
+      return this.toolResult(response);
     });
   }
 
-  // Document retrieval handler
-  async handleGetDoc(args) {
-    const { id } = args;
-
-    if (!id) {
-      throw new Error('Parameter id is required');
+  // Cosine similarity as a percentage with 2 decimals (null for lexical-only matches)
+  formatSimilarity(similarity) {
+    if (similarity === null || similarity === undefined) {
+      return null;
     }
+    return Math.round(similarity * 10000) / 100;
+  }
 
-    // Handle MCP's conversion of arrays to JSON strings
-    // MCP SDK converts ["id1", "id2"] to "[\"id1\", \"id2\"]" string
-    let processedId = id;
-    if (typeof id === 'string' && id.startsWith('[') && id.endsWith(']')) {
-      try {
-        processedId = JSON.parse(id);
-      } catch (e) {
-        // Keep original id if parsing fails
-      }
-    }
+  // Document retrieval handler
+  async handleGetDoc(args, context) {
+    const ids = Array.isArray(args.id) ? args.id : [args.id];
 
-    return this.sqliteQueue(async () => {
-      const engine = await this.initializeEngine();
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
 
-      let documents;
-      let isArray = false;
+      const documents = await this.withTimeout(
+        () => engine.getDocuments(ids),
+        30000,
+        `Retrieving documents: ${ids.join(', ')}`,
+        context.signal
+      );
 
-      if (Array.isArray(processedId)) {
-        if (processedId.length === 0) {
-          throw new Error('Array of IDs cannot be empty');
-        }
-        if (processedId.length > 10) {
-          throw new Error('Maximum 10 documents at once');
-        }
-        isArray = true;
-        documents = await this.withTimeout(
-          () => engine.getDocuments(processedId),
-          30000,
-          `Retrieving documents: ${processedId.join(', ')}`
-        );
-      } else {
-        documents = await this.withTimeout(
-          () => engine.getDocument(processedId),
-          30000,
-          `Retrieving document: ${processedId}`
-        );
-        documents = documents ? [documents] : [];
+      if (documents.length === 0) {
+        throw new NotFoundError(ids.length === 1 ? `Document ${ids[0]} not found` : 'Documents not found', { requested_ids: ids });
       }
 
-      if (!documents || documents.length === 0) {
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                error: 'Documents not found',
-                requested_ids: Array.isArray(processedId) ? processedId : [processedId],
-                found: 0
-              }, null, 2)
-            }
-          ]
-        };
-      }
+      // A batch without an explicit size is capped so 10 long documents stay readable
+      const { section = null, offset, length = null } = args;
+      const maxChars = args.maxChars ?? (ids.length > 1 && length === null ? DEFAULT_BATCH_MAX_CHARS : null);
+      const pageSize = Math.min(length ?? Infinity, maxChars ?? Infinity);
 
       const enrichedDocs = documents.map(doc => {
         // 🧹 CLEAN FULL DOCUMENTS TOO - Complete content enhancement
         const cleanedContent = engine.enhanceContentQuality(doc.content);
         const codeBlocks = (cleanedContent.match(/```[\s\S]*?```/g) || []).length;
-        
+        const toc = buildTableOfContents(cleanedContent);
+
+        // Offsets are relative to the requested section
+        const match = section ? findSection(toc, section) : null;
+        const text = match ? cleanedContent.substr(match.offset, match.length) : cleanedContent;
+        const page = section && !match
+          ? { content: '', offset: 0, totalLength: 0, truncated: false, nextOffset: null }
+          : sliceContent(text, offset, pageSize);
+
         return {
           id: doc.id,
           title: doc.title,
           url: doc.url,
+          uri: this.documentUri(doc.id),
           type: doc.type || null,
-          content: cleanedContent,  // Return cleaned content
+          content: page.content,  // Return cleaned content
           contentLength: cleanedContent.length,
-          codeBlocks: codeBlocks
+          codeBlocks: codeBlocks,
+          toc,
+          section: match ? match.title : null,
+          ...(section ? { sectionFound: Boolean(match) } : {}),
+          offset: page.offset,
+          totalLength: page.totalLength,
+          truncated: page.truncated,
+          nextOffset: page.nextOffset
         };
       });
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              found: documents.length,
-              documents: enrichedDocs
-            }, null, 2)
-          }
-        ]
+      if (section && enrichedDocs.every(doc => !doc.sectionFound)) {
+        throw new NotFoundError(`Section "${section}" not found`, {
+          section,
+          availableSections: Object.fromEntries(enrichedDocs.map(doc => [doc.id, doc.toc.map(entry => entry.title)]))
+        });
+      }
+
+      const response = {
+        found: documents.length,
+        documents: enrichedDocs
       };
+      if (maxChars !== null) {
+        response.maxChars = maxChars;
+      }
+
+      const foundIds = new Set(documents.map(doc => doc.id));
+      const notFound = ids.filter(id => !foundIds.has(id));
+      if (notFound.length > 0) {
+        response.notFound = notFound;
+      }
+
+      return this.toolResult(response);
     });
   }
 
   // Statistics handler
-  async handleGetStats(args) {
-    return this.sqliteQueue(async () => {
-      const engine = await this.initializeEngine();
+  async handleGetStats(args, context) {
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
       
       const stats = await this.withTimeout(
         () => engine.getStats(),
         10000,
-        'Retrieving statistics'
+        'Retrieving statistics',
+        context.signal
       );
-
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              database: 'embeddings.db',
-              totalDocuments: stats.totalDocuments,
-              model: 'text-embedding-3-large',
-              dimensions: 3072,
-              sampleTitles: stats.sampleTitles
-            }, null, 2)
-          }
-        ]
-      };
+      const capabilities = engine.getCapabilities();
+      const embedding = engine.getEmbeddingInfo();
+
+      return this.toolResult({
+        database: 'embeddings.db',
+        totalDocuments: stats.totalDocuments,
+        model: embedding.model || 'text-embedding-3-large',
+        dimensions: embedding.storedDimensions || 3072,
+        embeddingProvider: embedding,
+        capabilities: capabilities,
+        queryCache: engine.queryCache.getStats(),
+        searchCursors: engine.searchCursors.getStats(),
+        compatibilityCache: engine.compatibilityAnalyzer.getCacheStats(),
+        sampleTitles: stats.sampleTitles
+      });
     });
   }
 
   // Contextual code examples extraction from specific document
-  async handleGetCodeExamples(args) {
+  async handleGetCodeExamples(args, context) {
     const { docId } = args;
 
-    if (!docId || typeof docId !== 'string') {
-      throw new Error('Parameter docId is required and must be a string');
-    }
-
-    return this.sqliteQueue(async () => {
-      const engine = await this.initializeEngine();
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
       
       const examples = await this.withTimeout(
         () => engine.extractCodeFromDocument(docId),
         15000, // Faster than full search since working with one document
-        `Extract code from document: ${docId}`
+        `Extract code from document: ${docId}`,
+        context.signal
+      );
+
+      return this.toolResult({
+        docId: docId,
+        total: examples.length,
+        examples: examples
+      });
+    });
+  }
+
+  // Exact symbol lookup handler (titles and URL paths, no embedding call)
+  async handleFindSymbol(args, context) {
+    const { name, framework = null, limit } = args;
+
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
+
+      const { parsed, matches, ambiguous, frameworks } = await this.withTimeout(
+        () => engine.findSymbol(name, { framework, limit }),
+        15000,
+        `Finding symbol: ${name}`,
+        context.signal
       );
 
+      if (matches.length === 0) {
+        throw new NotFoundError(`No reference page found for ${name}${framework ? ` in ${framework}` : ''}`, {
+          name,
+          framework,
+          hint: 'Check the spelling or use search_docs for a description of the API'
+        });
+      }
+
+      const response = {
+        name,
+        parsed,
+        total: matches.length,
+        matches: matches.map(match => ({ ...match, uri: this.documentUri(match.id) })),
+        ambiguous
+      };
+      if (ambiguous) {
+        response.frameworks = frameworks;
+        response.hint = `${parsed.name} exists in ${frameworks.join(', ')}. Pass framework to pick one.`;
+      }
+
+      return this.toolResult(response);
+    });
+  }
+
+  // "More like this": neighbours of stored document vectors
+  async handleFindSimilar(args, context) {
+    const {
+      id,
+      negativeIds,
+      limit,
+      minSimilarity,
+      includeContent,
+      platforms = [],
+      frameworks = [],
+      excludeFrameworks = [],
+      types = [],
+      deprecationPolicy
+    } = args;
+    const ids = Array.isArray(id) ? id : [id];
+    const filters = { platforms, frameworks, excludeFrameworks, types };
+
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
+
+      const { sources, results, hiddenDeprecated, missing } = await this.withTimeout(
+        signal => engine.findSimilar(ids, {
+          negativeIds,
+          limit,
+          minSimilarity,
+          filters,
+          deprecationPolicy,
+          signal,
+          onProgress: message => context.progress.report(message)
+        }),
+        15000,
+        `Finding documents similar to: ${ids.join(', ')}`,
+        context.signal
+      );
+
+      const response = {
+        sources: sources.map(doc => ({ id: doc.id, title: doc.title, url: doc.url })),
+        total: results.length,
+        results: results.map(doc => {
+          const cleanedContent = engine.enhanceContentQuality(doc.content);
+          const result = {
+            id: doc.id,
+            title: doc.title,
+            url: doc.url,
+            uri: this.documentUri(doc.id),
+            type: classifyDocumentType(doc),
+            similarity: this.formatSimilarity(doc.similarity),
+            relationship: doc.relationship,
+            snippet: includeContent
+              ? (cleanedContent.length > 150 ? cleanedContent.substring(0, 150) + '...' : cleanedContent)
+              : null
+          };
+          if (doc.demoted) {
+            result.demoted = true;
+          }
+          return result;
+        }),
+        deprecationPolicy
+      };
+
+      const appliedFilters = Object.fromEntries(Object.entries(filters).filter(([, values]) => values.length > 0));
+      if (Object.keys(appliedFilters).length > 0) {
+        response.filters = appliedFilters;
+      }
+      if (negativeIds.length > 0) {
+        response.negativeIds = negativeIds;
+      }
+      if (hiddenDeprecated > 0) {
+        response.hiddenDeprecated = hiddenDeprecated;
+      }
+      if (missing.length > 0) {
+        response.notFound = missing;
+      }
+
+      return this.toolResult(response);
+    });
+  }
+
+  // Side-by-side comparison of documents
+  async handleCompareApis(args, context) {
+    const { ids } = args;
+
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
+
+      const { apis, comparison, missing } = await this.withTimeout(
+        () => engine.compareDocuments(ids),
+        15000,
+        `Comparing documents: ${ids.join(', ')}`,
+        context.signal
+      );
+
+      const response = {
+        total: apis.length,
+        apis: apis.map(api => ({ ...api, uri: this.documentUri(api.id) })),
+        comparison
+      };
+      if (missing.length > 0) {
+        response.notFound = missing;
+      }
+
+      return this.toolResult(response);
+    });
+  }
+
+  // Deployment target check for a list of API names
+  async handleCheckAvailability(args, context) {
+    const { symbols, deploymentTarget, framework = null } = args;
+
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
+
+      const { deploymentTarget: target, results } = await this.withTimeout(
+        () => engine.checkAvailability(symbols, deploymentTarget, { framework }),
+        15000,
+        `Checking availability of ${symbols.length} symbols`,
+        context.signal
+      );
+
+      const summary = {};
+      for (const result of results) {
+        summary[result.status] = (summary[result.status] || 0) + 1;
+      }
+
+      return this.toolResult({
+        deploymentTarget: target,
+        total: results.length,
+        summary,
+        results: results.map(result => result.id ? { ...result, uri: this.documentUri(result.id) } : result)
+      });
+    });
+  }
+
+  // Successor and predecessors of an API in the deprecation replacement graph
+  async handleGetReplacement(args, context) {
+    const { id = null, name = null, framework = null } = args;
+    if (Boolean(id) === Boolean(name)) {
+      throw new InvalidArgumentError('Pass either id or name', { argument: id ? 'name' : 'id' });
+    }
+    if (framework && id) {
+      throw new InvalidArgumentError('framework only applies to name lookups', { argument: 'framework' });
+    }
+
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
+
+      const result = await this.withTimeout(
+        () => engine.findReplacement({ id, name, framework }),
+        15000,
+        `Looking up the replacement of ${id || name}`,
+        context.signal
+      );
+
+      const withUri = doc => doc && doc.id ? { ...doc, uri: this.documentUri(doc.id) } : doc;
+      return this.toolResult({
+        ...withUri(result),
+        replacement: withUri(result.replacement),
+        chain: result.chain.map(withUri),
+        replaces: result.replaces.map(withUri)
+      });
+    });
+  }
+
+  // Deprecated, unavailable and hardware-limited API usage in a Swift file
+  async handleScanSwiftCode(args, context) {
+    const { code, deploymentTarget = null } = args;
+
+    return this.runQueued(context, async () => {
+      const engine = await this.initializeEngine(context);
+
+      const scan = await this.withTimeout(
+        () => engine.scanSwiftCode(code, deploymentTarget),
+        30000,
+        `Scanning ${code.split('\n').length} lines of Swift`,
+        context.signal
+      );
+
+      const summary = { identifiers: scan.identifiers, resolved: scan.resolved, findings: scan.findings.length };
+      for (const finding of scan.findings) {
+        for (const issue of finding.issues) {
+          summary[issue] = (summary[issue] || 0) + 1;
+        }
+      }
+
+      const response = {
+        deploymentTarget: scan.deploymentTarget,
+        imports: scan.imports,
+        summary,
+        findings: scan.findings.map(finding => ({ ...finding, uri: this.documentUri(finding.id) }))
+      };
+      if (scan.truncated) {
+        response.truncated = true;
+      }
+      return this.toolResult(response);
+    });
+  }
+
+  setupResources(server) {
+    // Every document, paged by cursor (16k+ entries don't fit one response)
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const offset = this.decodeListCursor(request.params?.cursor);
+
+      return this.sqliteQueue(async () => {
+        const engine = await this.initializeEngine();
+        const { documents, total } = engine.listDocuments(offset, RESOURCE_PAGE_SIZE);
+        const nextOffset = offset + documents.length;
+
+        const response = {
+          resources: documents.map(doc => ({
+            uri: this.documentUri(doc.id),
+            name: doc.title || doc.id,
+            description: doc.description ? doc.description.substring(0, 200) : undefined,
+            mimeType: 'text/markdown'
+          }))
+        };
+        if (nextOffset < total) {
+          response.nextCursor = Buffer.from(String(nextOffset)).toString('base64url');
+        }
+        return response;
+      });
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: `${RESOURCE_SCHEME}{id}`,
+            name: 'Apple documentation page',
+            description: 'Full cleaned content of one document. id is the id field from search_docs results.',
+            mimeType: 'text/markdown'
+          },
+          {
+            uriTemplate: `${RESOURCE_SCHEME}${FRAMEWORK_RESOURCE_PREFIX}{name}`,
+            name: 'Apple framework index',
+            description: `Titles and resource URIs of the documents in a framework (first ${FRAMEWORK_RESOURCE_LIMIT}), e.g. ${RESOURCE_SCHEME}${FRAMEWORK_RESOURCE_PREFIX}SwiftUI`,
+            mimeType: 'text/markdown'
+          }
+        ]
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const target = this.parseResourceUri(uri);
+
+      return this.sqliteQueue(async () => {
+        const engine = await this.initializeEngine();
+
+        if (target.framework) {
+          const { name, documents, total } = engine.getFrameworkDocuments(target.framework, FRAMEWORK_RESOURCE_LIMIT);
+          if (total === 0) {
+            throw protocolError(RESOURCE_NOT_FOUND, `No documents found for framework: ${target.framework}`, { uri });
+          }
+
+          const lines = [
+            `# ${name}`,
+            '',
+            total > documents.length
+              ? `${total} documents (first ${documents.length} by title)`
+              : `${total} documents`,
+            '',
+            ...documents.map(doc => `- ${doc.title} (${classifyDocumentType(doc)}): ${this.documentUri(doc.id)}`)
+          ];
+          return {
+            contents: [{ uri, mimeType: 'text/markdown', text: lines.join('\n') }]
+          };
+        }
+
+        const doc = engine.getDocument(target.id);
+        if (!doc) {
+          throw protocolError(RESOURCE_NOT_FOUND, `Document not found: ${target.id}`, { uri });
+        }
+
+        // Most pages open with their own "# Title" heading - keep it on top, source below it
+        const content = engine.enhanceContentQuality(doc.content);
+        const headingMatch = content.match(/^# .*\n*/);
+        const heading = headingMatch ? headingMatch[0].trim() : `# ${doc.title}`;
+        const body = headingMatch ? content.slice(headingMatch[0].length) : content;
+
+        const text = [
+          heading,
+          '',
+          `Source: ${doc.url}`,
+          `Type: ${classifyDocumentType(doc)}`,
+          '',
+          body
+        ].join('\n');
+        return {
+          contents: [{ uri, mimeType: 'text/markdown', text }]
+        };
+      });
+    });
+  }
+
+  setupPrompts(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: WORKFLOW_PROMPTS.map(({ name, title, description, arguments: promptArguments }) => ({
+          name,
+          title,
+          description,
+          arguments: promptArguments
+        }))
+      };
+    });
+
+    // Templates are filled with excerpts of the documents their searches find
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+      const prompt = findPrompt(name);
+
+      if (!prompt) {
+        throw protocolError(ErrorCode.InvalidParams, `Unknown prompt: ${name}. Available: ${WORKFLOW_PROMPTS.map(p => p.name).join(', ')}`);
+      }
+      const missing = missingArguments(prompt, args);
+      if (missing.length > 0) {
+        throw protocolError(ErrorCode.InvalidParams, `Prompt ${name} requires argument(s): ${missing.join(', ')}`);
+      }
+
+      const docs = await this.sqliteQueue(async () => {
+        const engine = await this.initializeEngine();
+        return this.withTimeout(
+          () => this.fetchPromptDocuments(engine, prompt.searches(args)),
+          30000,
+          `Prompt: ${name}`
+        );
+      });
+
       return {
-        content: [
+        description: prompt.description,
+        messages: [
           {
-            type: 'text',
-            text: JSON.stringify({
-              docId: docId,
-              total: examples.length,
-              examples: examples
-            }, null, 2)
+            role: 'user',
+            content: { type: 'text', text: prompt.render(args, formatExcerpts(docs)) }
           }
         ]
       };
     });
   }
 
+  /**
+   * Run a prompt's searches and collect distinct documents, best matches first
+   * A failing search is skipped so the prompt still renders with what was found
+   * @param {Array} searches - [{ query, filters, limit }]
+   * @returns {Array} [{ id, title, url, uri, content }] with cleaned content
+   */
+  async fetchPromptDocuments(engine, searches) {
+    const docs = new Map();
+
+    for (const { query, filters = {}, limit = 3 } of searches) {
+      try {
+        const { results } = await engine.searchDocuments(query, {
+          limit,
+          mode: engine.resolveSearchMode('hybrid'),
+          filters,
+          deprecationPolicy: 'demote'
+        });
+        for (const result of results) {
+          if (!docs.has(result.id)) {
+            docs.set(result.id, {
+              id: result.id,
+              title: result.title,
+              url: result.url,
+              uri: this.documentUri(result.id),
+              content: engine.enhanceContentQuality(result.content)
+            });
+          }
+        }
+      } catch (error) {
+        console.error(`[apple-docs-mcp] Prompt search failed for "${query}":`, error.message);
+      }
+    }
+
+    return [...docs.values()];
+  }
+
+  // apple-doc://{id} - ids are URI-encoded so any id round-trips
+  documentUri(id) {
+    return `${RESOURCE_SCHEME}${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Parse an apple-doc:// URI
+   * @returns {Object} { id } for a document, { framework } for a framework index
+   */
+  parseResourceUri(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(RESOURCE_SCHEME)) {
+      throw protocolError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}. Expected ${RESOURCE_SCHEME}{id} or ${RESOURCE_SCHEME}${FRAMEWORK_RESOURCE_PREFIX}{name}`);
+    }
+
+    const rest = uri.slice(RESOURCE_SCHEME.length);
+    try {
+      if (rest.startsWith(FRAMEWORK_RESOURCE_PREFIX)) {
+        const framework = decodeURIComponent(rest.slice(FRAMEWORK_RESOURCE_PREFIX.length));
+        if (framework) {
+          return { framework };
+        }
+      } else if (rest) {
+        return { id: decodeURIComponent(rest) };
+      }
+    } catch {
+      // Malformed percent-encoding, reported below
+    }
+    throw protocolError(ErrorCode.InvalidParams, `Invalid resource URI: ${uri}`);
+  }
+
+  // resources/list cursor → row offset
+  decodeListCursor(cursor) {
+    if (!cursor) {
+      return 0;
+    }
+    const offset = parseInt(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw protocolError(ErrorCode.InvalidParams, 'Invalid cursor for resources/list');
+    }
+    return offset;
+  }
+
+  // One MCP Server per connection; all of them share this search engine and queue
+  createMcpServer() {
+    const server = new Server(SERVER_INFO, CAPABILITIES);
+    this.setupTools(server);
+    this.setupResources(server);
+    this.setupPrompts(server);
+    return server;
+  }
+
+  /**
+   * Transport selection: --http / MCP_TRANSPORT=http serves HTTP, otherwise stdio
+   * @returns {Object} { transport, host, port, authToken, sessionTimeoutMinutes }
+   */
+  getTransportConfig(argv = process.argv, env = process.env) {
+    const option = name => {
+      const position = argv.indexOf(`--${name}`);
+      return position !== -1 && position + 1 < argv.length ? argv[position + 1] : undefined;
+    };
+
+    return {
+      transport: argv.includes('--http') ? 'http' : (env.MCP_TRANSPORT || 'stdio'),
+      host: option('host') || env.MCP_HTTP_HOST || '127.0.0.1',
+      port: parseInt(option('port') || env.MCP_HTTP_PORT) || 3000,
+      authToken: env.MCP_AUTH_TOKEN || null,
+      sessionTimeoutMinutes: parseFloat(env.MCP_SESSION_TIMEOUT_MINUTES) || 30,
+      allowedHosts: (env.MCP_ALLOWED_HOSTS || '').split(',').map(name => name.trim()).filter(Boolean),
+      allowedOrigins: (env.MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    };
+  }
+
   async run() {
     console.error('[apple-docs-mcp] Starting MCP server...');
-    
-    // Register handlers before connection
-    this.setupTools();
-    
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
+    const config = this.getTransportConfig();
+
+    if (config.transport === 'http') {
+      this.httpServer = new McpHttpServer({
+        createServer: () => this.createMcpServer(),
+        host: config.host,
+        port: config.port,
+        authToken: config.authToken,
+        sessionTimeoutMinutes: config.sessionTimeoutMinutes,
+        allowedHosts: config.allowedHosts,
+        allowedOrigins: config.allowedOrigins,
+        // Health must not trigger the (slow) engine initialization
+        getHealth: () => ({
+          engine: this.searchEngine ? 'ready' : 'not initialized',
+          offline: this.searchEngine ? this.searchEngine.isOffline() : null
+        })
+      });
+      await this.httpServer.start();
+      // Load the database up front: the first request shouldn't pay for it
+      this.initializeEngine().catch(error => {
+        console.error('[apple-docs-mcp] Engine initialization failed:', error.message);
+      });
+    } else if (config.transport === 'stdio') {
+      // Register handlers before connection
+      this.server = this.createMcpServer();
+      const transport = new StdioServerTransport();
+      await this.server.connect(transport);
+    } else {
+      throw new Error(`Unknown MCP_TRANSPORT "${config.transport}". Use stdio or http.`);
+    }
     
     console.error('[apple-docs-mcp] MCP server started and ready');
   }
 }
 
-// Start server
-const server = new AppleSearchMCPServer();
-server.run().catch(error => {
-  console.error('[apple-docs-mcp] Critical startup error:', error);
-  process.exit(1);
-});
\ No newline at end of file
+// Start the server when run directly (node server.js, or an npm bin symlink to it), not when imported
+const isMainModule = process.argv[1] && fs.realpathSync(process.argv[1]) === __filename;
+if (isMainModule) {
+  const server = new AppleSearchMCPServer();
+  server.run().catch(error => {
+    console.error('[apple-docs-mcp] Critical startup error:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
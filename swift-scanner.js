@@ -0,0 +1,264 @@
+/**
+ * Swift Source Scanner for scan_swift_code
+ * Extracts the API identifiers a Swift file uses - types, methods, SwiftUI
+ * modifiers and property wrappers - with their line numbers, plus the
+ * #available / @available regions that already guard newer APIs
+ * Lexical only: comments and string literals are blanked, nothing is type-checked
+ */
+
+import { canonicalPlatform, compareVersions } from './compatibility-analyzer.js';
+
+// Language attributes that aren't APIs (@State, @Observable, @MainActor are kept)
+const LANGUAGE_ATTRIBUTES = new Set([
+  'available', 'objc', 'objcMembers', 'nonobjc', 'escaping', 'autoclosure', 'discardableResult',
+  'main', 'frozen', 'inlinable', 'usableFromInline', 'unknown', 'dynamicMemberLookup',
+  'dynamicCallable', 'propertyWrapper', 'resultBuilder', 'testable', 'preconcurrency',
+  'retroactive', 'unchecked', 'Sendable', 'convention', 'inline', 'IBAction', 'IBOutlet',
+  'IBDesignable', 'IBInspectable', 'NSManaged', 'NSCopying', 'UIApplicationMain',
+  'NSApplicationMain', 'globalActor', 'requires_stored_property_inits', 'warn_unqualified_access',
+  'backDeployed', 'freestanding', 'attached', 'isolated', 'nonisolated', 'unsafe'
+]);
+
+// Capitalized names that are part of the language, not the SDK
+const LANGUAGE_TYPES = new Set(['Self', 'Type', 'Protocol', 'Any', 'AnyObject']);
+
+const TYPE_DECLARATION = /\b(?:class|struct|enum|protocol|actor|typealias|associatedtype|macro)\s+([A-Za-z_]\w*)/g;
+const GENERIC_PARAMETER = /<\s*([A-Z]\w*)(?=\s*[:,>])/g;
+const ATTRIBUTE = /@([A-Za-z_]\w*)/g;
+const TYPE_NAME = /(?<![.\w@$])([A-Z][A-Za-z0-9_]*)\b/g;
+const QUALIFIED_CALL = /(?<![.\w])([A-Z]\w*)\.([a-z_]\w*)\s*(?=[({])/g;
+const MEMBER_CALL = /\.([a-z_]\w*)\s*(?=[({])/g;
+const AVAILABILITY_CHECK = /([#@])available\s*\(([^()]*)\)/g;
+
+/**
+ * Blank out comments and string literals, keeping every newline so lines still match
+ */
+export function stripCommentsAndStrings(source) {
+  const out = [];
+  const at = (token, i) => source.startsWith(token, i);
+  const blank = (from, to) => {
+    for (let j = from; j < to; j++) {
+      out.push(source[j] === '\n' ? '\n' : ' ');
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const start = i;
+    if (at('//', i)) {
+      while (i < source.length && source[i] !== '\n') {
+        i++;
+      }
+      blank(start, i);
+    } else if (at('/*', i)) {
+      // Swift block comments nest
+      let depth = 0;
+      do {
+        if (at('/*', i)) {
+          depth++;
+          i += 2;
+        } else if (at('*/', i)) {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      } while (depth > 0 && i < source.length);
+      blank(start, i);
+    } else if (source[i] === '"' || (source[i] === '#' && /^#+"/.test(source.substring(i, i + 8)))) {
+      // "...", """...""" and raw strings #"..."#
+      const hashes = source.substring(i, i + 8).match(/^#*/)[0];
+      const multiline = at('"""', i + hashes.length);
+      const close = (multiline ? '"""' : '"') + hashes;
+      i += close.length;
+      while (i < source.length && !at(close, i) && (multiline || source[i] !== '\n')) {
+        // Escaped quotes don't end ordinary strings
+        i += source[i] === '\\' && hashes.length === 0 ? 2 : 1;
+      }
+      if (at(close, i)) {
+        i += close.length;
+      }
+      blank(start, Math.min(i, source.length));
+    } else {
+      out.push(source[i]);
+      i++;
+    }
+  }
+  return out.join('');
+}
+
+// 1-based line of each character offset
+function lineLocator(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      starts.push(i + 1);
+    }
+  }
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  };
+}
+
+// Offset of the brace closing the one at `open`, or the end of the text
+function matchingBrace(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) return i;
+  }
+  return text.length;
+}
+
+// Offset of the brace closing the scope that contains `offset`
+function enclosingScopeEnd(text, offset) {
+  let depth = 0;
+  for (let i = offset; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth < 0) return i;
+  }
+  return text.length;
+}
+
+/**
+ * Regions guarded by an availability check
+ *   if #available(iOS 17, *) { ... }            - the block
+ *   guard #available(iOS 17, *) else { ... }    - the rest of the enclosing scope
+ *   @available(iOS 17, *) func / struct ... {   - the declaration's body
+ * @returns {Array} [{ startLine, endLine, versions: { iOS: '17.0' } }]
+ */
+function findAvailabilityGuards(text, lineOf) {
+  const guards = [];
+  for (const match of text.matchAll(AVAILABILITY_CHECK)) {
+    const versions = {};
+    for (const part of match[2].split(',')) {
+      const entry = part.trim().match(/^([A-Za-z]+)\s+(\d+(?:\.\d+){0,2})$/);
+      const platform = entry && canonicalPlatform(entry[1]);
+      if (platform) {
+        versions[platform] = entry[2];
+      }
+    }
+    if (Object.keys(versions).length === 0) {
+      continue;
+    }
+
+    const after = match.index + match[0].length;
+    const open = text.indexOf('{', after);
+    if (open === -1) {
+      continue;
+    }
+    const isGuardStatement = match[1] === '#' && /\belse\s*$/.test(text.substring(after, open));
+    const end = isGuardStatement ? enclosingScopeEnd(text, open) : matchingBrace(text, open);
+    guards.push({ startLine: lineOf(match.index), endLine: lineOf(end), versions });
+  }
+  return guards;
+}
+
+/**
+ * Whether a line sits inside a guard covering every required version
+ * @param {Array} guards - From scanSwiftSource
+ * @param {number} line - 1-based line
+ * @param {Object} requires - { iOS: '17.0', macOS: '14.0' } from checkDeploymentTarget
+ */
+export function isGuarded(guards, line, requires) {
+  return guards.some(guard =>
+    guard.startLine <= line && line <= guard.endLine &&
+    Object.entries(requires).every(([platform, version]) =>
+      guard.versions[platform] && compareVersions(guard.versions[platform], version) >= 0
+    )
+  );
+}
+
+/**
+ * Extract the API identifiers used by a Swift file
+ * @param {string} source - Swift source
+ * @returns {Object} { imports, references, guards }
+ *   references: [{ name, container, kind, lines }] - kind: type | method | modifier | property_wrapper,
+ *               container is the type qualifying a call ("Task.sleep(for:)"), null otherwise
+ */
+export function scanSwiftSource(source) {
+  const text = stripCommentsAndStrings(String(source || ''));
+  const lineOf = lineLocator(text);
+
+  const imports = [...text.matchAll(/^\s*(?:@\w+\s+)*import\s+(?:(?:struct|class|enum|protocol|func|var|typealias)\s+)?([A-Za-z_]\w*)/gm)]
+    .map(match => match[1]);
+
+  // The file's own types, property wrappers, macros and generic parameters aren't SDK APIs
+  // Variable and function names are not collected: `let data = URLSession.shared.data(from:)`
+  // still calls the SDK's data(from:), so member calls are judged by their container instead
+  const declaredTypes = new Set([
+    ...[...text.matchAll(TYPE_DECLARATION)].map(match => match[1]),
+    ...[...text.matchAll(GENERIC_PARAMETER)].map(match => match[1])
+  ]);
+
+  const references = new Map();
+  const add = (kind, name, container, offset) => {
+    // Methods and modifiers share a key: the kind is settled by how the name is used
+    const key = `${kind === 'modifier' ? 'method' : kind}:${container || ''}.${name}`;
+    if (!references.has(key)) {
+      references.set(key, { name, container, kind, lines: [] });
+    }
+    const lines = references.get(key).lines;
+    const line = lineOf(offset);
+    if (lines[lines.length - 1] !== line) {
+      lines.push(line);
+    }
+  };
+
+  for (const match of text.matchAll(ATTRIBUTE)) {
+    if (!LANGUAGE_ATTRIBUTES.has(match[1]) && !declaredTypes.has(match[1])) {
+      add('property_wrapper', match[1], null, match.index);
+    }
+  }
+
+  // Lines of import statements name modules, not types
+  const importLines = new Set([...text.matchAll(/^\s*(?:@\w+\s+)*import\b/gm)].map(match => lineOf(match.index + match[0].length)));
+  for (const match of text.matchAll(TYPE_NAME)) {
+    const name = match[1];
+    if (!declaredTypes.has(name) && !LANGUAGE_TYPES.has(name) && !importLines.has(lineOf(match.index))) {
+      add('type', name, null, match.index);
+    }
+  }
+
+  // Calls on the file's own types (MyModel.load()) are skipped; the member pass leaves them alone too
+  const qualified = new Set();
+  for (const match of text.matchAll(QUALIFIED_CALL)) {
+    qualified.add(match.index + match[1].length);
+    if (!declaredTypes.has(match[1])) {
+      add('method', match[2], match[1], match.index);
+    }
+  }
+
+  for (const match of text.matchAll(MEMBER_CALL)) {
+    const name = match[1];
+    if (qualified.has(match.index) || name === 'init' || name === 'self') {
+      continue;
+    }
+    add('method', name, null, match.index);
+    // A dot starting a line or following a closing brace continues a modifier chain:
+    // Text("Hi")\n    .padding() and VStack { ... }.padding()
+    let back = match.index - 1;
+    while (back >= 0 && (text[back] === ' ' || text[back] === '\t')) {
+      back--;
+    }
+    if (back < 0 || text[back] === '\n' || text[back] === '}') {
+      references.get(`method:.${name}`).kind = 'modifier';
+    }
+  }
+
+  return {
+    imports,
+    references: [...references.values()].sort((a, b) => a.lines[0] - b.lines[0] || a.name.localeCompare(b.name)),
+    guards: findAvailabilityGuards(text, lineOf)
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * Symbol Index for exact API lookups
+ * Resolves identifiers ("NavigationStack", "UIViewController.viewDidLoad()",
+ * "URLSession.data(for:)", "-[UITableView reloadData]") to reference pages by
+ * their titles and /documentation/ URL paths - no embedding call
+ * Built once from lightweight document rows (no content) and kept in memory
+ */
+
+import { parseDocumentMetadata } from './search-filters.js';
+
+const DOCUMENTATION_PATH = '/documentation/';
+
+// Match quality by kind; container mismatches and non-reference pages lower it
+const MATCH_SCORES = {
+  exact: 1.0,
+  labels_prefix: 0.9,
+  case_insensitive: 0.85,
+  name_only: 0.8,
+  overload: 0.7,
+  fuzzy: 0.6
+};
+
+// Minimum name similarity (0-1) for a fuzzy match
+const FUZZY_THRESHOLD = 0.8;
+
+const lowerFirst = text => text.charAt(0).toLowerCase() + text.slice(1);
+
+/**
+ * Split "a.b(c:d:).e" on dots outside parentheses
+ */
+function splitPath(text) {
+  const segments = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === '.' && depth === 0) {
+      segments.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  segments.push(current);
+  return segments.map(segment => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Swift name of an Objective-C selector (approximate - labels are matched loosely)
+ * "tableView:cellForRowAtIndexPath:" → tableView(_:cellForRowAtIndexPath:)
+ * "initWithFrame:" → init(frame:), "dataTaskWithURL:" → dataTask(with:)
+ */
+function parseSelector(selector) {
+  const pieces = selector.split(':').map(piece => piece.trim()).filter(Boolean);
+  if (!selector.includes(':')) {
+    // No arguments: a method or a property, "-[UIView frame]" is "frame" in Swift
+    return { name: pieces[0], labels: null, selector: true };
+  }
+
+  let name = pieces[0];
+  let firstLabel = '_';
+  const withMatch = name.match(/^(.+?)With([A-Z]\w*)$/);
+  if (withMatch) {
+    name = withMatch[1];
+    firstLabel = name === 'init' ? lowerFirst(withMatch[2]) : 'with';
+  }
+  return { name, labels: [firstLabel, ...pieces.slice(1)], selector: true };
+}
+
+/**
+ * Parse a Swift or Objective-C identifier
+ *   "URLSession.data(for:)"            → { container: ['URLSession'], name: 'data', labels: ['for'] }
+ *   "-[UITableView reloadData]"        → { container: ['UITableView'], name: 'reloadData', labels: null }
+ *   "tableView:cellForRowAtIndexPath:" → { container: [], name: 'tableView', labels: ['_', 'cellForRowAtIndexPath'] }
+ * labels is null when no parameter list was given (matches any)
+ * @returns {Object|null} { container, name, labels, selector }, null when nothing is left to match
+ */
+export function parseSymbol(text) {
+  const cleaned = String(text || '')
+    .trim()
+    .replace(/^`+|`+$/g, '')
+    .replace(/^@/, '')
+    .replace(/<[^<>]*>/g, ''); // Generic arguments: Binding<Value> → Binding
+
+  const objcMethod = cleaned.match(/^[-+]\s*\[\s*([A-Za-z_]\w*)(?:\s*\(\w*\))?\s+([^\]]+?)\s*\]$/);
+  if (objcMethod) {
+    return { container: [objcMethod[1]], ...parseSelector(objcMethod[2].replace(/\s+/g, '')) };
+  }
+  if (/^[A-Za-z_]\w*:(?:[A-Za-z_]\w*:)*$/.test(cleaned)) {
+    return { container: [], ...parseSelector(cleaned) };
+  }
+
+  const segments = splitPath(cleaned);
+  if (segments.length === 0) {
+    return null;
+  }
+  const member = segments[segments.length - 1];
+  const container = segments.slice(0, -1);
+
+  const call = member.match(/^([^(]+)\((.*)\)$/);
+  if (!call) {
+    return { container, name: member, labels: null, selector: false };
+  }
+  const labels = call[2]
+    .split(':')
+    .map(label => label.trim())
+    .filter(Boolean);
+  return { container, name: call[1].trim(), labels, selector: false };
+}
+
+/**
+ * Levenshtein similarity in [0, 1]
+ */
+function nameSimilarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Query labels against page labels: equal, a prefix ("data(for:)" → data(for:delegate:)) or different
+function compareLabels(query, entry) {
+  if (query.labels === null || entry.labels === null) {
+    return query.labels === entry.labels || (query.labels || entry.labels).length === 0 ? 'exact' : 'name_only';
+  }
+  // Selector pieces keep ObjC suffixes: cellForRowAtIndexPath vs cellForRowAt
+  const same = (q, e) => query.selector
+    ? q.toLowerCase().startsWith(e.toLowerCase()) || e.toLowerCase().startsWith(q.toLowerCase())
+    : q === e;
+
+  if (query.labels.length === entry.labels.length && query.labels.every((label, i) => same(label, entry.labels[i]))) {
+    return 'exact';
+  }
+  if (query.labels.length > 0 && query.labels.length < entry.labels.length && query.labels.every((label, i) => same(label, entry.labels[i]))) {
+    return 'labels_prefix';
+  }
+  return 'overload';
+}
+
+export class SymbolIndex {
+  constructor() {
+    // Lower-cased base name → [entry]
+    this.byName = new Map();
+    this.size = 0;
+    this.loaded = false;
+  }
+
+  /**
+   * Index every reference page (URL under /documentation/) by title and URL leaf
+   * @param {Database} db - better-sqlite3 database handle
+   * @returns {SymbolIndex} this
+   */
+  load(db) {
+    const startTime = Date.now();
+    const rows = db.prepare('SELECT id, title, url, type, platforms, technologies FROM documents').iterate();
+
+    for (const row of rows) {
+      const entry = this.createEntry(row);
+      if (!entry) {
+        continue;
+      }
+      const names = new Set(entry.names.map(name => name.toLowerCase()));
+      for (const name of names) {
+        if (!this.byName.has(name)) {
+          this.byName.set(name, []);
+        }
+        this.byName.get(name).push(entry);
+      }
+      this.size++;
+    }
+
+    this.loaded = true;
+    console.error(`✅ Symbol index built: ${this.size} reference pages, ${this.byName.size} names in ${Date.now() - startTime}ms`);
+    return this;
+  }
+
+  /**
+   * @returns {Object|null} { meta, path, framework, names, titleSymbol, symbols } or null for non-reference pages
+   */
+  createEntry(row) {
+    const url = row.url || '';
+    const start = url.indexOf(DOCUMENTATION_PATH);
+    if (start === -1) {
+      return null;
+    }
+
+    // /documentation/uikit/uiviewcontroller/viewdidload() → ['uikit', 'uiviewcontroller', 'viewdidload()']
+    // Older URLs prefix a numeric id: 1621495-viewdidload
+    const path = url.substring(start + DOCUMENTATION_PATH.length)
+      .split(/[?#]/)[0]
+      .split('/')
+      .filter(Boolean)
+      .map(segment => {
+        try {
+          return decodeURIComponent(segment);
+        } catch {
+          return segment;
+        }
+      })
+      .map(segment => segment.replace(/^\d+-/, '').toLowerCase());
+    if (path.length === 0) {
+      return null;
+    }
+
+    // The title keeps the symbol's case ("viewDidLoad()"); prose titles fall back to the URL leaf
+    const title = (row.title || '').trim();
+    const titleSymbol = /^[A-Za-z_][\w.]*(?:\(.*\))?$/.test(title.replace(/<[^<>]*>/g, '')) ? parseSymbol(title) : null;
+    const urlSymbol = path.length > 1 ? parseSymbol(path[path.length - 1]) : null;
+    const symbols = [titleSymbol, urlSymbol].filter(Boolean);
+    if (symbols.length === 0) {
+      return null;
+    }
+
+    return {
+      meta: row,
+      path,
+      framework: parseDocumentMetadata(row).frameworkNames[0] || path[0],
+      names: symbols.map(symbol => symbol.name),
+      titleSymbol,
+      symbols
+    };
+  }
+
+  /**
+   * Find the reference pages for an identifier
+   * @param {string} text - Swift or Objective-C identifier
+   * @param {Object} options - { framework, limit, fuzzy } - fuzzy: false skips the typo pass over every name
+   * @returns {Object} { parsed, matches: [{ entry, matchType, score }], ambiguous, frameworks }
+   */
+  lookup(text, { framework = null, limit = 5, fuzzy = true } = {}) {
+    const parsed = parseSymbol(text);
+    if (!parsed) {
+      return { parsed: null, matches: [], ambiguous: false, frameworks: [] };
+    }
+
+    const wantedFramework = framework ? framework.toLowerCase().replace(/\s+/g, '') : null;
+    const inFramework = entry => !wantedFramework ||
+      entry.path[0] === wantedFramework ||
+      entry.framework.toLowerCase().replace(/\s+/g, '') === wantedFramework;
+
+    const candidates = (this.byName.get(parsed.name.toLowerCase()) || []).filter(inFramework);
+    let matches = candidates.map(entry => this.scoreEntry(parsed, entry));
+
+    // Typos: "NavigatonStack" - compare against every indexed name of similar length
+    if (matches.length === 0 && fuzzy) {
+      const name = parsed.name.toLowerCase();
+      for (const [indexed, entries] of this.byName) {
+        if (Math.abs(indexed.length - name.length) > 3) {
+          continue;
+        }
+        const similarity = nameSimilarity(name, indexed);
+        if (similarity < FUZZY_THRESHOLD) {
+          continue;
+        }
+        for (const entry of entries.filter(inFramework)) {
+          const match = this.scoreEntry({ ...parsed, name: indexed }, entry);
+          matches.push({ ...match, matchType: 'fuzzy', score: match.score * MATCH_SCORES.fuzzy * similarity });
+        }
+      }
+    }
+
+    // One entry per page (a URL can be stored twice), best first; shallower pages (types before members) win ties
+    const best = new Map();
+    for (const match of matches) {
+      const key = match.entry.path.join('/');
+      const current = best.get(key);
+      if (!current || match.score > current.score) {
+        best.set(key, match);
+      }
+    }
+    matches = [...best.values()].sort((a, b) =>
+      b.score - a.score ||
+      a.entry.path.length - b.entry.path.length ||
+      a.entry.meta.url.length - b.entry.meta.url.length
+    );
+
+    const topScore = matches.length > 0 ? matches[0].score : 0;
+    const frameworks = [...new Set(matches.filter(m => m.score === topScore).map(m => m.entry.framework))];
+    return {
+      parsed,
+      matches: matches.slice(0, limit),
+      ambiguous: frameworks.length > 1,
+      frameworks
+    };
+  }
+
+  // Score one page against the parsed identifier
+  scoreEntry(parsed, entry) {
+    const name = parsed.name;
+    const lowerName = name.toLowerCase();
+    // Case is judged against the title; the URL leaf is lower-case
+    const symbol = entry.symbols.find(s => s.name.toLowerCase() === lowerName);
+
+    let matchType = compareLabels(parsed, symbol);
+    if (matchType === 'exact' && (symbol !== entry.titleSymbol || symbol.name !== name)) {
+      matchType = 'case_insensitive';
+    }
+    let score = MATCH_SCORES[matchType];
+
+    // "UIViewController.viewDidLoad()": the container must be on the page's path
+    const parents = entry.path.slice(0, -1);
+    // Objective-C class names keep the NS prefix Swift drops: NSURLSession → URLSession
+    const containerMatches = parsed.container.every(segment => {
+      const wanted = segment.toLowerCase();
+      return parents.includes(wanted) || parents.includes(wanted.replace(/^ns/, '')) ||
+        entry.framework.toLowerCase() === wanted;
+    });
+    if (!containerMatches) {
+      score *= 0.5;
+    }
+    if (parseDocumentMetadata(entry.meta).type !== 'api_reference') {
+      score -= 0.05;
+    }
+
+    return { entry, matchType, score, containerMatches };
+  }
+
+  getStats() {
+    return { loaded: this.loaded, pages: this.size, names: this.byName.size };
+  }
+
+  clear() {
+    this.byName.clear();
+    this.size = 0;
+    this.loaded = false;
+  }
+}
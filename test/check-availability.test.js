@@ -0,0 +1,114 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { CompatibilityAnalyzer } from '../compatibility-analyzer.js';
+import { InvalidArgumentError } from '../errors.js';
+import { createCorpus, openEngine } from './fixtures.js';
+
+const analyzer = new CompatibilityAnalyzer();
+const entry = (introduced, { deprecated = null, obsoleted = null } = {}) => ({ introduced, deprecated, obsoleted, beta: false });
+
+const reference = (id, title, path, availabilityLine, technologies = ['SwiftUI']) => ({
+  id,
+  title,
+  url: `https://developer.apple.com/documentation/${path}`,
+  content: `# ${title}\n${availabilityLine}\n## Overview\n${title} reference.`,
+  technologies
+});
+
+let corpus;
+let engine;
+
+before(async () => {
+  corpus = createCorpus([
+    reference('navigation_stack', 'NavigationStack', 'swiftui/navigationstack', 'iOS 16.0+ iPadOS 16.0+ macOS 13.0+ visionOS 1.0+'),
+    reference('navigation_view', 'NavigationView', 'swiftui/navigationview', 'iOS 13.0–26.0 Deprecated iPadOS 13.0–26.0 Deprecated macOS 10.15–26.0 Deprecated'),
+    reference('scroll_target', 'scrollTargetBehavior(_:)', 'swiftui/view/scrolltargetbehavior(_:)', 'iOS 17.0+ iPadOS 17.0+ macOS 14.0+'),
+    reference('ns_window', 'NSWindow', 'appkit/nswindow', 'macOS 10.0+', ['AppKit'])
+  ]);
+  engine = await openEngine(corpus);
+});
+
+after(() => {
+  engine.close();
+  corpus.cleanup();
+});
+
+test('checkDeploymentTarget judges every targeted platform', () => {
+  const compatibility = {
+    availability: {
+      iOS: entry('17.0'),
+      iPadOS: entry('17.0'),
+      macOS: entry('10.15', { deprecated: '14.0' }),
+      watchOS: entry('6.0', { obsoleted: '9.0' })
+    },
+    deprecation: null
+  };
+  const cases = [
+    [{ iOS: '17.0' }, 'available', ['available']],
+    [{ iOS: '16.4' }, 'needs_guard', ['needs_guard']],
+    [{ iOS: '16.0', iPadOS: '16.0' }, 'needs_guard', ['needs_guard', 'needs_guard']],
+    [{ macOS: '13.0' }, 'deprecated', ['deprecated']],
+    [{ watchOS: '9.0' }, 'unavailable', ['obsoleted']],
+    [{ watchOS: '8.0' }, 'available', ['available']],
+    [{ tvOS: '17.0' }, 'unavailable', ['unsupported']],
+    [{ iOS: '17.0', tvOS: '17.0' }, 'available', ['available', 'unsupported']]
+  ];
+  for (const [target, status, platformStatuses] of cases) {
+    const verdict = analyzer.checkDeploymentTarget(compatibility, target);
+    assert.equal(verdict.status, status, JSON.stringify(target));
+    assert.deepEqual(verdict.platforms.map(p => p.status), platformStatuses, JSON.stringify(target));
+  }
+});
+
+test('a guard names Swift platform names once per version', () => {
+  const compatibility = { availability: { iOS: entry('17.0'), iPadOS: entry('17.0'), 'Mac Catalyst': entry('17.0') }, deprecation: null };
+  const verdict = analyzer.checkDeploymentTarget(compatibility, { iOS: '15.0', iPadOS: '15.0', 'Mac Catalyst': '15.0' });
+  assert.deepEqual(verdict.requires, { iOS: '17.0', iPadOS: '17.0', 'Mac Catalyst': '17.0' });
+  assert.equal(verdict.guard, '#available(iOS 17.0, macCatalyst 17.0, *)');
+});
+
+test('pages without availability are usable, deprecated pages are flagged', () => {
+  const unknown = analyzer.checkDeploymentTarget({ availability: {}, deprecation: null }, { iOS: '12.0' });
+  assert.equal(unknown.status, 'available');
+  assert.equal(unknown.platforms[0].status, 'unknown');
+
+  const superseded = analyzer.checkDeploymentTarget({ availability: { iOS: entry('13.0') }, deprecation: { status: 'superseded' } }, { iOS: '16.0' });
+  assert.equal(superseded.status, 'deprecated');
+});
+
+test('checkAvailability resolves names and judges them in request order', () => {
+  const { deploymentTarget, results } = engine.checkAvailability(
+    ['NavigationStack', 'scrollTargetBehavior(_:)', 'NavigationView', 'NSWindow', 'NoSuchThing'],
+    { ios: '16.0' }
+  );
+
+  assert.deepEqual(deploymentTarget, { iOS: '16.0' });
+  assert.deepEqual(results.map(result => [result.symbol, result.status]), [
+    ['NavigationStack', 'available'],
+    ['scrollTargetBehavior(_:)', 'needs_guard'],
+    ['NavigationView', 'deprecated'],
+    ['NSWindow', 'unavailable'],
+    ['NoSuchThing', 'not_found']
+  ]);
+  assert.equal(results[0].id, 'navigation_stack');
+  assert.equal(results[1].guard, '#available(iOS 17.0, *)');
+  assert.deepEqual(results[1].requires, { iOS: '17.0' });
+  assert.deepEqual(results[3].unsupportedPlatforms, ['iOS']);
+});
+
+test('a misspelled name is reported with a suggestion, not as available', () => {
+  const { results: [result] } = engine.checkAvailability(['NavigatonStack'], { iOS: '17.0' });
+  assert.equal(result.status, 'not_found');
+  assert.equal(result.suggestion, 'NavigationStack');
+  assert.equal(result.id, undefined);
+});
+
+test('the deployment target must name a known platform and version', () => {
+  for (const target of [{}, null, { PalmOS: '5.0' }, { iOS: 'latest' }]) {
+    assert.throws(
+      () => engine.checkAvailability(['NavigationStack'], target),
+      error => error instanceof InvalidArgumentError && error.details.argument === 'deploymentTarget',
+      JSON.stringify(target)
+    );
+  }
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CompatibilityAnalyzer, canonicalPlatform, compareVersions } from '../compatibility-analyzer.js';
+
+const analyzer = new CompatibilityAnalyzer();
+const entry = (introduced, { deprecated = null, obsoleted = null, beta = false } = {}) => ({ introduced, deprecated, obsoleted, beta });
+
+test('canonicalPlatform maps display, Swift and legacy spellings', () => {
+  const cases = [
+    ['iOS', 'iOS'],
+    ['ios', 'iOS'],
+    ['iPadOS', 'iPadOS'],
+    ['Mac Catalyst', 'Mac Catalyst'],
+    ['macCatalyst', 'Mac Catalyst'],
+    ['mac_catalyst', 'Mac Catalyst'],
+    ['OSX', 'macOS'],
+    ['xrOS', 'visionOS'],
+    ['iOSApplicationExtension', 'iOS'],
+    ['*', null],
+    ['PalmOS', null],
+    ['', null],
+    [undefined, null]
+  ];
+  for (const [name, expected] of cases) {
+    assert.equal(canonicalPlatform(name), expected, String(name));
+  }
+});
+
+test('compareVersions compares components numerically', () => {
+  const cases = [
+    ['13.0', '13', 0],
+    ['13', '13.0.0', 0],
+    ['16.4', '16.10', -1],
+    ['17', '16.4', 1],
+    ['10.15', '11', -1],
+    ['2.0', '100000', -1]
+  ];
+  for (const [a, b, sign] of cases) {
+    assert.equal(Math.sign(compareVersions(a, b)), sign, `${a} vs ${b}`);
+    assert.equal(Math.sign(compareVersions(b, a)), sign === 0 ? 0 : -sign, `${b} vs ${a}`);
+  }
+});
+
+test('the availability line gives introduced, deprecated and beta per platform', () => {
+  const content = [
+    '# NavigationView',
+    'iOS 13.0–16.0 Deprecated iPadOS 13.0–16.0 Deprecated Mac Catalyst 13.0–16.0 Deprecated macOS 10.15+ visionOS 1.0+ Beta',
+    '## Overview',
+    'iOS 99.0+'
+  ].join('\n');
+  const availability = analyzer.parseAvailability(content, null);
+
+  assert.deepEqual(Object.keys(availability), ['iOS', 'iPadOS', 'macOS', 'Mac Catalyst', 'visionOS']);
+  assert.deepEqual(availability.iOS, entry('13.0', { deprecated: '16.0' }));
+  assert.deepEqual(availability.iPadOS, entry('13.0', { deprecated: '16.0' }));
+  assert.deepEqual(availability['Mac Catalyst'], entry('13.0', { deprecated: '16.0' }));
+  assert.deepEqual(availability.macOS, entry('10.15'));
+  assert.deepEqual(availability.visionOS, entry('1.0', { beta: true }));
+});
+
+test('prose mentioning versions is not an availability line', () => {
+  const content = '# Article\nThis sample requires iOS 17.0 or later.\nmacOS 14.0+';
+  assert.deepEqual(analyzer.parseAvailability(content, null), { macOS: entry('14.0') });
+});
+
+test('platforms without a version come from the platforms column', () => {
+  const availability = analyzer.parseAvailability('# Page\niOS 16.0+', JSON.stringify(['iOS', 'watchOS', 'Linux']));
+  assert.deepEqual(availability, { iOS: entry('16.0'), watchOS: entry(null) });
+  assert.deepEqual(analyzer.parseAvailability(null, null), {});
+});
+
+test('@available attributes in the declaration fill the gaps', () => {
+  const content = [
+    '# oldAPI()',
+    '```swift',
+    '@available(iOS, introduced: 13.0, deprecated: 16.0, obsoleted: 17.0)',
+    '@available(macOS 11, tvOS 14.0, *)',
+    '@available(watchOS, unavailable)',
+    '@available(visionOS, deprecated: 100000)',
+    '@available(*, deprecated)',
+    'func oldAPI()',
+    '```'
+  ].join('\n');
+  const availability = analyzer.parseAvailability(content, JSON.stringify(['watchOS', 'visionOS']));
+
+  assert.deepEqual(availability, {
+    iOS: entry('13.0', { deprecated: '16.0', obsoleted: '17.0' }),
+    macOS: entry('11'),
+    tvOS: entry('14.0'),
+    // "Deprecated in a future release" is not a deprecation yet
+    visionOS: entry(null)
+  });
+});
+
+test('the availability line wins over @available attributes', () => {
+  const content = '# View\niOS 14.0+\n```swift\n@available(iOS 13.0, *)\nstruct V {}\n```';
+  assert.deepEqual(analyzer.parseAvailability(content, null).iOS, entry('14.0'));
+});
+
+test('isAvailableAt needs one targeted platform introduced and not obsoleted', () => {
+  const availability = {
+    iOS: entry('13.0', { obsoleted: '17.0' }),
+    iPadOS: entry('13.0'),
+    macOS: entry('10.15'),
+    watchOS: entry(null)
+  };
+  const cases = [
+    [{ iOS: '13' }, true],
+    [{ iOS: '12.4' }, false],
+    [{ iOS: '16.4' }, true],
+    [{ iOS: '17.0' }, false],
+    [{ iOS: '17.0', macOS: '11.0' }, true],
+    [{ iPadOS: '17.0' }, true],
+    [{ watchOS: '1.0' }, true],
+    [{ tvOS: '17.0' }, false],
+    [{ 'Mac Catalyst': '13.0' }, false]
+  ];
+  for (const [target, expected] of cases) {
+    assert.equal(analyzer.isAvailableAt(availability, target), expected, JSON.stringify(target));
+  }
+  // Articles and videos carry no availability
+  assert.equal(analyzer.isAvailableAt({}, { iOS: '12.0' }), true);
+});
@@ -0,0 +1,111 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { CompatibilityAnalyzer } from '../compatibility-analyzer.js';
+import { CompatibilityTable } from '../compatibility-table.js';
+import { createCorpus, openEngine } from './fixtures.js';
+
+const DOCUMENTS = Array.from({ length: 6 }, (_, i) => ({
+  id: `doc_${i}`,
+  title: `API${i}`,
+  content: `# API${i}\niOS ${13 + i}.0+ macOS ${10 + i}.0+\n## Overview\nReference.`,
+  platforms: ['iOS', 'macOS']
+}));
+
+let corpus;
+let engine;
+
+before(async () => {
+  corpus = createCorpus(DOCUMENTS);
+  engine = await openEngine(corpus);
+});
+
+after(() => {
+  engine.close();
+  corpus.cleanup();
+});
+
+test('the analyzer cache is bounded and evicts the least recently used analysis', () => {
+  const analyzer = new CompatibilityAnalyzer({ cacheSize: 3 });
+  for (const doc of DOCUMENTS.slice(0, 3)) {
+    analyzer.analyze(doc);
+  }
+  // Reading doc_0 makes doc_1 the least recently used
+  analyzer.analyze(DOCUMENTS[0]);
+  analyzer.analyze(DOCUMENTS[3]);
+
+  assert.deepEqual([...analyzer.cache.keys()], ['doc_2', 'doc_0', 'doc_3']);
+  const stats = analyzer.getCacheStats();
+  assert.equal(stats.size, 3);
+  assert.equal(stats.maxSize, 3);
+  assert.equal(stats.evictions, 1);
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 4);
+
+  for (const doc of DOCUMENTS) {
+    analyzer.analyze(doc);
+  }
+  assert.equal(analyzer.getCacheStats().size, 3);
+});
+
+test('COMPATIBILITY_CACHE_SIZE sets the default bound', () => {
+  process.env.COMPATIBILITY_CACHE_SIZE = '2';
+  try {
+    const analyzer = new CompatibilityAnalyzer();
+    DOCUMENTS.forEach(doc => analyzer.analyze(doc));
+    assert.equal(analyzer.getCacheStats().maxSize, 2);
+    assert.deepEqual([...analyzer.cache.keys()], ['doc_4', 'doc_5']);
+  } finally {
+    delete process.env.COMPATIBILITY_CACHE_SIZE;
+  }
+});
+
+test('searches never build the table; build-index does', () => {
+  const table = engine.getCompatibilityTable();
+  assert.equal(table.available, false);
+  assert.equal(engine.compatibilityAnalyzer.getCacheStats().precomputed, false);
+
+  engine.buildCompatibilityTable();
+  assert.equal(table.available, true);
+  assert.equal(table.getStats().documents, DOCUMENTS.length);
+  assert.deepEqual(table.get('doc_2').availability.iOS.introduced, '15.0');
+  assert.equal(table.get('missing'), null);
+
+  engine.compatibilityAnalyzer.clearCache();
+  engine.compatibilityAnalyzer.analyze({ id: 'doc_2', content: null });
+  assert.equal(engine.compatibilityAnalyzer.getCacheStats().precomputedHits, 1);
+});
+
+test('a table built for another corpus or analyzer version is ignored', () => {
+  const db = new Database(corpus.dbPath, { readonly: true });
+  const indexDb = new Database(corpus.indexPath);
+  const analyzer = new CompatibilityAnalyzer();
+  try {
+    assert.equal(new CompatibilityTable(db, indexDb, analyzer).load(), true);
+    assert.equal(new CompatibilityTable(db, indexDb, analyzer, { fingerprint: '6:deadbeef' }).load(), false);
+
+    const { value } = indexDb.prepare("SELECT value FROM document_compatibility_meta WHERE key = 'version'").get();
+    indexDb.prepare("UPDATE document_compatibility_meta SET value = ? WHERE key = 'version'").run(value.replace(/^\d+:/, '0:'));
+    assert.equal(new CompatibilityTable(db, indexDb, analyzer).load(), false);
+    assert.equal(new CompatibilityTable(db, null, analyzer).load(), false);
+  } finally {
+    indexDb.close();
+    db.close();
+  }
+});
+
+test('the corpus is fingerprinted once for every derived index', async t => {
+  const other = createCorpus(DOCUMENTS);
+  const fresh = await openEngine(other);
+  try {
+    const prepare = t.mock.method(fresh.db, 'prepare');
+    fresh.getLexicalIndex();
+    fresh.getCompatibilityTable();
+    fresh.getReplacementGraph();
+    const scans = prepare.mock.calls.filter(call => call.arguments[0].includes('octet_length(content)'));
+    assert.equal(scans.length, 1);
+  } finally {
+    fresh.close();
+    other.cleanup();
+  }
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTableOfContents, findSection, sliceContent } from '../document-sections.js';
+
+const CONTENT = [
+  '# NavigationStack',
+  'A view that displays a root view.',
+  '## Overview',
+  'Use a navigation stack.',
+  '```swift',
+  '# not a heading',
+  'NavigationStack { }',
+  '```',
+  '### Navigate to different view types',
+  'Add navigationDestination modifiers.',
+  '## Parameters and return value',
+  'Details.',
+  '## Parameters ##',
+  'path: The navigation path.'
+].join('\n');
+
+const sectionText = entry => CONTENT.substring(entry.offset, entry.offset + entry.length);
+
+test('headings outside code blocks make up the table of contents', () => {
+  const toc = buildTableOfContents(CONTENT);
+  assert.deepEqual(toc.map(entry => [entry.title, entry.level]), [
+    ['NavigationStack', 1],
+    ['Overview', 2],
+    ['Navigate to different view types', 3],
+    ['Parameters and return value', 2],
+    ['Parameters', 2]
+  ]);
+  for (const entry of toc) {
+    assert.ok(CONTENT.startsWith('#', entry.offset), entry.title);
+  }
+  assert.deepEqual(buildTableOfContents(''), []);
+  assert.deepEqual(buildTableOfContents('No headings here.'), []);
+});
+
+test('a section runs to the next heading of the same or a higher level', () => {
+  const toc = buildTableOfContents(CONTENT);
+  assert.equal(toc[0].length, CONTENT.length);
+
+  const overview = sectionText(toc[1]);
+  assert.ok(overview.startsWith('## Overview'));
+  assert.ok(overview.includes('# not a heading'));
+  assert.ok(overview.includes('navigationDestination'));
+  assert.ok(!overview.includes('Parameters'));
+
+  assert.equal(sectionText(toc[4]), '## Parameters ##\npath: The navigation path.');
+});
+
+test('sections are found case-insensitively, exact titles before prefixes', () => {
+  const toc = buildTableOfContents(CONTENT);
+  assert.equal(findSection(toc, 'parameters').title, 'Parameters');
+  assert.equal(findSection(toc, '## Parameters: ').title, 'Parameters');
+  assert.equal(findSection(toc, 'Parameters and').title, 'Parameters and return value');
+  assert.equal(findSection(toc, 'navigate').title, 'Navigate to different view types');
+});
+
+test('a missing section resolves to null', () => {
+  const toc = buildTableOfContents(CONTENT);
+  assert.equal(findSection(toc, 'Discussion'), null);
+  assert.equal(findSection(toc, ''), null);
+  assert.equal(findSection(toc, '##'), null);
+  assert.equal(findSection([], 'Overview'), null);
+});
+
+test('pages follow each other through nextOffset', () => {
+  const pages = [];
+  let offset = 0;
+  while (offset !== null) {
+    const page = sliceContent(CONTENT, offset, 50);
+    assert.equal(page.offset, offset);
+    assert.equal(page.totalLength, CONTENT.length);
+    assert.ok(page.content.length <= 50);
+    pages.push(page.content);
+    offset = page.nextOffset;
+  }
+  assert.equal(pages.join(''), CONTENT);
+  assert.equal(pages.length, Math.ceil(CONTENT.length / 50));
+});
+
+test('slicing defaults to the whole text and clamps offsets past the end', () => {
+  assert.deepEqual(sliceContent('abc'), { content: 'abc', offset: 0, totalLength: 3, truncated: false, nextOffset: null });
+  assert.deepEqual(sliceContent('abc', 10, 5), { content: '', offset: 3, totalLength: 3, truncated: false, nextOffset: null });
+  assert.deepEqual(sliceContent('abcdef', 2, 2), { content: 'cd', offset: 2, totalLength: 6, truncated: true, nextOffset: 4 });
+});
+
+test('a page never ends inside a surrogate pair', () => {
+  const text = 'ab🍎cd';
+  const page = sliceContent(text, 0, 3);
+  assert.equal(page.content, 'ab');
+  assert.equal(page.nextOffset, 2);
+  assert.equal(sliceContent(text, page.nextOffset, 3).content, '🍎c');
+});
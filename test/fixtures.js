@@ -0,0 +1,90 @@
+/**
+ * Test fixtures: small corpus databases in temporary directories
+ * Same schema as embeddings.db (documents + embeddings), seeded random vectors
+ */
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AppleSearchEngine } from '../search.js';
+
+// Deterministic PRNG so vectors and graphs are the same on every run
+export function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function randomVector(random, dimensions) {
+  return Array.from({ length: dimensions }, () => random() * 2 - 1);
+}
+
+/**
+ * Write a corpus database
+ * @param {Array} documents - [{ id, title, url, content, type, description, platforms, technologies, embedding }]
+ *   platforms/technologies: arrays (stored as JSON like the real corpus); embedding: number[]
+ * @returns {Object} { dir, dbPath, indexPath, cleanup }
+ */
+export function createCorpus(documents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apple-docs-test-'));
+  const dbPath = path.join(dir, 'embeddings.db');
+  const db = new Database(dbPath);
+  db.exec(`
+    CREATE TABLE documents (id TEXT PRIMARY KEY, title TEXT, url TEXT, content TEXT, type TEXT, description TEXT, platforms TEXT, technologies TEXT);
+    CREATE TABLE embeddings (id TEXT PRIMARY KEY, embedding BLOB);
+  `);
+
+  const insertDocument = db.prepare(`
+    INSERT INTO documents (id, title, url, content, type, description, platforms, technologies)
+    VALUES (@id, @title, @url, @content, @type, @description, @platforms, @technologies)
+  `);
+  const insertEmbedding = db.prepare('INSERT INTO embeddings (id, embedding) VALUES (?, ?)');
+  db.transaction(() => {
+    for (const doc of documents) {
+      insertDocument.run({
+        id: doc.id,
+        title: doc.title || '',
+        url: doc.url || `https://developer.apple.com/documentation/test/${doc.id}`,
+        content: doc.content || '',
+        type: doc.type || 'documentation',
+        description: doc.description || '',
+        platforms: JSON.stringify(doc.platforms || []),
+        technologies: JSON.stringify(doc.technologies || [])
+      });
+      if (doc.embedding) {
+        insertEmbedding.run(doc.id, Buffer.from(Float32Array.from(doc.embedding).buffer));
+      }
+    }
+  })();
+  db.close();
+
+  return {
+    dir,
+    dbPath,
+    indexPath: path.join(dir, 'embeddings.index.db'),
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Initialize a search engine over a corpus in offline mode (no embedding provider, no query cache)
+ * @returns {Promise<AppleSearchEngine>}
+ */
+export async function openEngine(corpus) {
+  process.env.EMBEDDINGS_DB_PATH = corpus.dbPath;
+  process.env.INDEX_DB_PATH = corpus.indexPath;
+  process.env.QUERY_CACHE = 'off';
+  process.env.EMBEDDING_PROVIDER = 'openai';
+  delete process.env.OPENAI_API_KEY;
+  delete process.env.HNSW_INDEX_PATH;
+
+  const engine = new AppleSearchEngine();
+  await engine.init();
+  return engine;
+}
@@ -0,0 +1,150 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { VectorStore } from '../vector-store.js';
+import { HnswIndex } from '../hnsw-index.js';
+import { createCorpus, openEngine, mulberry32, randomVector } from './fixtures.js';
+
+const DIMENSIONS = 16;
+const DOCUMENTS = 400;
+
+let corpus;
+let store;
+let index;
+
+function loadStore(dbPath) {
+  const db = new Database(dbPath, { readonly: true });
+  const loaded = new VectorStore().load(db);
+  db.close();
+  return loaded;
+}
+
+before(() => {
+  const random = mulberry32(7);
+  corpus = createCorpus(Array.from({ length: DOCUMENTS }, (_, i) => ({
+    id: `doc_${String(i).padStart(4, '0')}`,
+    title: `Document ${i}`,
+    embedding: randomVector(random, DIMENSIONS)
+  })));
+  store = loadStore(corpus.dbPath);
+  index = new HnswIndex(store, { M: 8, efConstruction: 64 }).build();
+});
+
+after(() => corpus.cleanup());
+
+test('every stored vector is inserted', () => {
+  assert.equal(index.count, DOCUMENTS);
+  assert.ok(index.matches(store));
+});
+
+test('a stored vector finds itself first', () => {
+  for (const row of [0, 17, 250, DOCUMENTS - 1]) {
+    const [first] = index.search(store.rowVector(row), { limit: 1 });
+    assert.equal(first.id, store.ids[row]);
+    assert.ok(Math.abs(first.similarity - 1) < 1e-5);
+  }
+});
+
+test('recall@10 against exact search stays high', () => {
+  const random = mulberry32(99);
+  let hits = 0;
+  let total = 0;
+  for (let q = 0; q < 30; q++) {
+    const query = randomVector(random, DIMENSIONS);
+    const exact = new Set(store.rank(query, { limit: 10 }).map(r => r.id));
+    for (const result of index.search(store.normalize(query), { limit: 10 })) {
+      if (exact.has(result.id)) hits++;
+    }
+    total += exact.size;
+  }
+  assert.ok(hits / total >= 0.9, `recall ${hits / total}`);
+});
+
+test('results are sorted by decreasing similarity and respect accept', () => {
+  const query = store.rowVector(3);
+  const results = index.search(query, { limit: 10, accept: row => row % 2 === 0 });
+  assert.equal(results.length, 10);
+  for (let i = 1; i < results.length; i++) {
+    assert.ok(results[i - 1].similarity >= results[i].similarity);
+  }
+  assert.ok(results.every(result => result.row % 2 === 0));
+});
+
+test('save and load keep the graph', () => {
+  const indexPath = path.join(corpus.dir, 'embeddings.hnsw');
+  index.save(indexPath);
+  const loaded = HnswIndex.load(indexPath, store);
+
+  assert.equal(loaded.count, index.count);
+  assert.ok(loaded.matches(store));
+  const query = store.normalize(randomVector(mulberry32(5), DIMENSIONS));
+  assert.deepEqual(loaded.search(query, { limit: 10 }), index.search(query, { limit: 10 }));
+});
+
+test('an index built from another corpus does not match', () => {
+  const random = mulberry32(8);
+  const other = createCorpus(Array.from({ length: 20 }, (_, i) => ({
+    id: `other_${i}`,
+    embedding: randomVector(random, DIMENSIONS)
+  })));
+  try {
+    assert.equal(index.matches(loadStore(other.dbPath)), false);
+  } finally {
+    other.cleanup();
+  }
+});
+
+test('a filter that leaves few nodes still fills the results', () => {
+  const accept = row => row % 50 === 0;
+  const query = store.normalize(randomVector(mulberry32(11), DIMENSIONS));
+  const results = index.search(query, { limit: 8, efSearch: 8, accept });
+  assert.equal(results.length, 8);
+  assert.deepEqual(results.map(r => r.id), store.rank(query, { limit: 8, minSimilarity: -1, accept }).map(r => r.id));
+});
+
+test('the corpus fingerprint is kept in the header and checked', () => {
+  const indexPath = path.join(corpus.dir, 'fingerprinted.hnsw');
+  new HnswIndex(store, { M: 8, efConstruction: 32, corpusFingerprint: '400:abc' }).build().save(indexPath);
+  const loaded = HnswIndex.load(indexPath, store);
+
+  assert.equal(loaded.corpusFingerprint, '400:abc');
+  assert.equal(loaded.matches(store, '400:abc'), true);
+  assert.equal(loaded.matches(store, '400:def'), false);
+  // Indexes written before the header had it are stale for the engine
+  assert.equal(index.matches(store, '400:abc'), false);
+});
+
+test('the engine ranks exactly when the index comes back short', async t => {
+  const engine = await openEngine(corpus);
+  try {
+    new HnswIndex(engine.getVectorStore(), { M: 8, efConstruction: 32, corpusFingerprint: engine.getCorpusFingerprint() })
+      .build()
+      .save(engine.getIndexPath());
+    const annIndex = engine.getAnnIndex();
+    assert.ok(annIndex);
+
+    const query = randomVector(mulberry32(12), DIMENSIONS);
+    const excludeIds = new Set(['doc_0000']);
+    const exact = engine.getVectorStore().rank(query, { limit: 10, accept: row => store.ids[row] !== 'doc_0000' });
+    // A graph region cut off by the filter
+    t.mock.method(annIndex, 'search', () => []);
+    const ranked = await engine.rankByVector(query, { limit: 10, excludeIds });
+    assert.equal(annIndex.search.mock.callCount(), 1);
+    assert.deepEqual(ranked.map(r => r.id), exact.map(r => r.id));
+  } finally {
+    engine.close();
+  }
+});
+
+test('the engine ignores an index built for another corpus', async () => {
+  const engine = await openEngine(corpus);
+  try {
+    new HnswIndex(engine.getVectorStore(), { M: 8, efConstruction: 32, corpusFingerprint: '400:abc' })
+      .build()
+      .save(engine.getIndexPath());
+    assert.equal(engine.getAnnIndex(), null);
+  } finally {
+    engine.close();
+  }
+});
@@ -0,0 +1,163 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { McpHttpServer } from '../http-transport.js';
+
+const TOKEN = 'test-token';
+
+let httpServer;
+let baseUrl;
+let created = 0;
+
+before(async () => {
+  httpServer = new McpHttpServer({
+    // Stub MCP server: the protocol handshake and ping only
+    createServer: () => {
+      created++;
+      return new Server({ name: 'stub', version: '0.0.0' }, { capabilities: {} });
+    },
+    port: 0,
+    authToken: TOKEN,
+    sessionTimeoutMinutes: 1,
+    getHealth: () => ({ engine: 'stub' })
+  });
+  await httpServer.start();
+  baseUrl = `http://127.0.0.1:${httpServer.httpServer.address().port}`;
+});
+
+after(() => httpServer.close());
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+};
+
+function post(body, headers = {}) {
+  return fetch(`${baseUrl}/mcp`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${TOKEN}`,
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers
+    },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+// JSON-RPC messages of a response, sent as JSON or as server-sent events
+async function messages(response) {
+  const text = await response.text();
+  if ((response.headers.get('content-type') || '').includes('text/event-stream')) {
+    return text.split('\n').filter(line => line.startsWith('data: ')).map(line => JSON.parse(line.slice(6)));
+  }
+  return [JSON.parse(text)];
+}
+
+async function initialize() {
+  const response = await post(INITIALIZE);
+  assert.equal(response.status, 200);
+  const sessionId = response.headers.get('mcp-session-id');
+  const [message] = await messages(response);
+  return { sessionId, message };
+}
+
+test('health needs no token, everything else does', async () => {
+  const health = await fetch(`${baseUrl}/health`);
+  assert.equal(health.status, 200);
+  const body = await health.json();
+  assert.equal(body.status, 'ok');
+  assert.equal(body.authRequired, true);
+  assert.equal(body.engine, 'stub');
+
+  for (const authorization of [undefined, 'Bearer wrong-token', `Basic ${TOKEN}`]) {
+    const response = await fetch(`${baseUrl}/mcp`, {
+      method: 'POST',
+      headers: authorization ? { Authorization: authorization } : {},
+      body: JSON.stringify(INITIALIZE)
+    });
+    assert.equal(response.status, 401, String(authorization));
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  }
+});
+
+test('foreign Host and Origin headers are forbidden', async () => {
+  const cases = [
+    { Origin: 'https://attacker.example' },
+    { Origin: 'null' }
+  ];
+  for (const headers of cases) {
+    const response = await post(INITIALIZE, headers);
+    assert.equal(response.status, 403, JSON.stringify(headers));
+    assert.equal((await response.json()).error.code, -32000);
+  }
+
+  // fetch won't forge Host; ask the handler directly
+  assert.equal(httpServer.isAllowedOrigin({ headers: { host: 'attacker.example:3000' } }), false);
+  assert.equal(httpServer.isAllowedOrigin({ headers: { host: 'localhost:3000' } }), true);
+  assert.equal(httpServer.isAllowedOrigin({ headers: { host: '[::1]:3000', origin: 'http://127.0.0.1:8080' } }), true);
+});
+
+test('unknown paths and sessions are 404', async () => {
+  const path = await fetch(`${baseUrl}/nowhere`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+  assert.equal(path.status, 404);
+
+  const session = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': 'no-such-session' });
+  assert.equal(session.status, 404);
+  assert.deepEqual((await session.json()).error, { code: -32001, message: 'Session not found' });
+});
+
+test('bodies over the limit are rejected with 413', async () => {
+  const oversized = JSON.stringify({ ...INITIALIZE, padding: 'x'.repeat(4 * 1024 * 1024) });
+  const response = await post(oversized);
+  assert.equal(response.status, 413);
+  assert.equal((await response.json()).error.message, 'Request body too large');
+
+  const invalid = await post('{"jsonrpc":');
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).error.code, -32700);
+});
+
+test('initialize opens a session that later requests use', async () => {
+  const before = created;
+  const { sessionId, message } = await initialize();
+  assert.ok(sessionId);
+  assert.equal(created, before + 1);
+  assert.equal(message.id, 1);
+  assert.equal(message.result.serverInfo.name, 'stub');
+  assert.ok(httpServer.sessions.has(sessionId));
+
+  const initialized = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+  assert.equal(initialized.status, 202);
+
+  const ping = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+  assert.equal(ping.status, 200);
+  assert.deepEqual(await messages(ping), [{ jsonrpc: '2.0', id: 2, result: {} }]);
+  // One MCP server per session, not per request
+  assert.equal(created, before + 1);
+
+  // A request without a session must be an initialize
+  const orphan = await post({ jsonrpc: '2.0', id: 3, method: 'ping' });
+  assert.equal(orphan.status, 400);
+});
+
+test('idle sessions are closed, active ones kept', async () => {
+  const idle = await initialize();
+  const active = await initialize();
+  httpServer.sessions.get(idle.sessionId).lastSeen = Date.now() - 2 * 60 * 1000;
+
+  httpServer.closeIdleSessions();
+  assert.equal(httpServer.sessions.has(idle.sessionId), false);
+  assert.equal(httpServer.sessions.has(active.sessionId), true);
+
+  const response = await post({ jsonrpc: '2.0', id: 4, method: 'ping' }, { 'Mcp-Session-Id': idle.sessionId });
+  assert.equal(response.status, 404);
+});
+
+test('listening beyond loopback requires a token', async () => {
+  const open = new McpHttpServer({ createServer: () => null, host: '0.0.0.0', port: 0 });
+  await assert.rejects(open.start(), /without MCP_AUTH_TOKEN/);
+  assert.equal(open.httpServer, null);
+});
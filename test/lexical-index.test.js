@@ -0,0 +1,132 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { LexicalIndex } from '../lexical-index.js';
+import { createCorpus, openEngine, mulberry32, randomVector } from './fixtures.js';
+
+const random = mulberry32(3);
+const DOCUMENTS = [
+  { id: 'nav_stack', title: 'NavigationStack', description: 'A view that displays a root view and enables you to present additional views over the root view.', content: 'Use a navigation stack to present a stack of views over a root view.', technologies: ['SwiftUI'] },
+  { id: 'nav_view', title: 'NavigationView', description: 'A view for presenting a stack of views.', content: 'Deprecated. Use NavigationStack and NavigationSplitView instead.', technologies: ['SwiftUI'] },
+  { id: 'scroll_target', title: 'scrollTargetBehavior(_:)', description: 'Sets the scroll behavior of views scrollable in the provided axes.', content: 'A scroll target behavior determines where a scroll view settles.', technologies: ['SwiftUI'] },
+  { id: 'cloudkit_container', title: 'NSPersistentCloudKitContainer', description: 'A container that encapsulates the Core Data stack and mirrors stores to CloudKit.', content: 'Core Data with CloudKit sync.', technologies: ['Core Data'] },
+  { id: 'ui_nav', title: 'UINavigationController', description: 'A container view controller that defines a stack-based scheme for navigating hierarchical content.', content: 'Navigation stack of view controllers.', technologies: ['UIKit'] }
+].map(doc => ({ ...doc, embedding: randomVector(random, 8) }));
+
+let corpus;
+let engine;
+
+const checksum = file => crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+
+before(async () => {
+  corpus = createCorpus(DOCUMENTS);
+  engine = await openEngine(corpus);
+});
+
+after(() => {
+  engine.close();
+  corpus.cleanup();
+});
+
+test('the full-text index is built into the index database, not the corpus', () => {
+  const before = checksum(corpus.dbPath);
+  const index = engine.getLexicalIndex();
+  assert.equal(index.available, true);
+  index.search('navigation', 5);
+  assert.equal(checksum(corpus.dbPath), before);
+
+  const db = new Database(corpus.dbPath, { readonly: true });
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE name LIKE 'documents_fts%'").all();
+  db.close();
+  assert.deepEqual(tables, []);
+  assert.ok(fs.existsSync(corpus.indexPath));
+});
+
+test('exact API names rank first and are flagged', () => {
+  const index = engine.getLexicalIndex();
+  const [first] = index.search('scrollTargetBehavior(_:)', 5);
+  assert.equal(first.id, 'scroll_target');
+  assert.equal(first.exactTitle, true);
+
+  const [cloudKit] = index.search('NSPersistentCloudKitContainer', 5);
+  assert.equal(cloudKit.id, 'cloudkit_container');
+});
+
+test('queries are turned into safe MATCH expressions', () => {
+  const index = engine.getLexicalIndex();
+  assert.equal(index.buildMatchExpression('scrollTargetBehavior(_:)'), '"scrolltargetbehavior"');
+  assert.equal(index.buildMatchExpression('Core Data CloudKit'), '"core data cloudkit" OR "core" OR "data" OR "cloudkit"');
+  assert.equal(index.buildMatchExpression('"); DROP TABLE documents; --'), '"drop table documents" OR "drop" OR "table" OR "documents"');
+  assert.equal(index.buildMatchExpression('()'), null);
+  assert.deepEqual(index.search('()', 5), []);
+});
+
+test('the metadata filter is applied to lexical matches', () => {
+  const index = engine.getLexicalIndex();
+  const ids = index.search('navigation stack', 10, row => JSON.parse(row.technologies).includes('UIKit')).map(hit => hit.id);
+  assert.deepEqual(ids, ['ui_nav']);
+});
+
+test('a changed corpus rebuilds the index', () => {
+  const writable = new Database(corpus.dbPath);
+  writable.prepare("UPDATE documents SET title = 'NavigationSplitView' WHERE id = 'nav_view'").run();
+  writable.close();
+
+  const db = new Database(corpus.dbPath, { readonly: true });
+  const indexDb = new Database(corpus.indexPath);
+  try {
+    const index = new LexicalIndex(db, indexDb);
+    assert.equal(index.ensure(), true);
+    const [first] = index.search('NavigationSplitView', 5);
+    assert.equal(first.id, 'nav_view');
+    assert.equal(first.exactTitle, true);
+  } finally {
+    indexDb.close();
+    db.close();
+  }
+});
+
+test('without an index database lexical search is unavailable but titles still match', () => {
+  const db = new Database(corpus.dbPath, { readonly: true });
+  try {
+    const index = new LexicalIndex(db, null);
+    assert.equal(index.ensure(), false);
+    assert.throws(() => index.search('navigation'), /Lexical search unavailable/);
+    const [first] = index.searchTitles('NavigationStack', 5);
+    assert.equal(first.id, 'nav_stack');
+    assert.equal(first.exactTitle, true);
+  } finally {
+    db.close();
+  }
+});
+
+test('reciprocal rank fusion favours documents found by both rankings', () => {
+  const semantic = [
+    { id: 'nav_view', similarity: 0.9 },
+    { id: 'nav_stack', similarity: 0.8 },
+    { id: 'ui_nav', similarity: 0.7 }
+  ];
+  const lexical = [
+    { id: 'nav_stack', exactTitle: false },
+    { id: 'cloudkit_container', exactTitle: false }
+  ];
+  const fused = engine.fuseRankings(semantic, lexical, DOCUMENTS[0].embedding);
+
+  // Second place in the lexical list outscores third place in the semantic one
+  assert.deepEqual(fused.map(entry => entry.id), ['nav_stack', 'nav_view', 'cloudkit_container', 'ui_nav']);
+  assert.deepEqual(fused[0].matchedBy, ['semantic', 'lexical']);
+  assert.equal(fused[0].similarity, 0.8);
+  // Lexical-only hits get their cosine similarity from the vector store
+  assert.deepEqual(fused[2].matchedBy, ['lexical']);
+  assert.equal(typeof fused[2].similarity, 'number');
+});
+
+test('an exact title match gets an extra first-place vote', () => {
+  const semantic = [{ id: 'nav_view', similarity: 0.9 }, { id: 'ui_nav', similarity: 0.8 }];
+  const lexical = [{ id: 'ui_nav', exactTitle: false }, { id: 'scroll_target', exactTitle: true }];
+  const fused = engine.fuseRankings(semantic, lexical, DOCUMENTS[0].embedding);
+  assert.equal(fused[0].id, 'ui_nav');
+  assert.ok(fused.findIndex(entry => entry.id === 'scroll_target') < fused.findIndex(entry => entry.id === 'nav_view'));
+});
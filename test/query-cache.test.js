@@ -0,0 +1,122 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { QueryEmbeddingCache } from '../query-cache.js';
+
+const HOUR = 60 * 60 * 1000;
+const key = (query, extra = {}) => ({ provider: 'openai', model: 'text-embedding-3-large', dimensions: 4, query, ...extra });
+
+let dir;
+let cache;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apple-docs-cache-test-'));
+});
+
+afterEach(() => {
+  if (cache) {
+    cache.close();
+    cache = null;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const openCache = (options = {}) => {
+  cache = new QueryEmbeddingCache({ path: path.join(dir, 'query-embeddings.db'), enabled: true, ...options });
+  return cache;
+};
+
+test('a stored embedding is a hit for the same normalized query', () => {
+  openCache();
+  assert.equal(cache.get(key('SwiftUI navigation')), null);
+  cache.set(key('SwiftUI navigation'), [0.5, -1, 0.25, 2]);
+
+  assert.deepEqual(cache.get(key('  swiftui   NAVIGATION ')), [0.5, -1, 0.25, 2]);
+  assert.equal(cache.get(key('SwiftUI navigation', { model: 'text-embedding-3-small' })), null);
+  assert.equal(cache.get(key('SwiftUI navigation', { dimensions: 8 })), null);
+
+  const stats = cache.getStats();
+  assert.equal(stats.entries, 1);
+  assert.equal(stats.hits, 1);
+  assert.equal(stats.misses, 3);
+  assert.equal(stats.hitRate, 25);
+});
+
+test('each OpenAI-compatible endpoint has its own entries', () => {
+  openCache();
+  const ollama = key('navigation', { provider: 'openai-compatible', baseURL: 'http://localhost:11434/v1' });
+  const gateway = key('navigation', { provider: 'openai-compatible', baseURL: 'https://gateway.example/v1' });
+  cache.set(ollama, [1, 0, 0, 0]);
+
+  assert.deepEqual(cache.get(ollama), [1, 0, 0, 0]);
+  assert.equal(cache.get(gateway), null);
+  assert.equal(cache.get(key('navigation', { provider: 'openai-compatible' })), null);
+  assert.equal(cache.get(key('navigation')), null);
+});
+
+test('entries older than the TTL are dropped', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  openCache({ ttlHours: 2 });
+  cache.set(key('navigation'), [1, 2, 3, 4]);
+
+  t.mock.timers.tick(HOUR);
+  assert.deepEqual(cache.get(key('navigation')), [1, 2, 3, 4]);
+
+  // Reading refreshes last use, not age
+  t.mock.timers.tick(HOUR + 1);
+  assert.equal(cache.get(key('navigation')), null);
+  assert.equal(cache.getStats().entries, 0);
+  assert.equal(cache.getStats().evictions, 1);
+});
+
+test('the least recently used entries are evicted over maxEntries', t => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+  openCache({ maxEntries: 2 });
+  cache.set(key('first'), [1, 1, 1, 1]);
+  t.mock.timers.tick(1);
+  cache.set(key('second'), [2, 2, 2, 2]);
+  t.mock.timers.tick(1);
+  // Using "first" makes "second" the least recently used
+  cache.get(key('first'));
+  t.mock.timers.tick(1);
+  cache.set(key('third'), [3, 3, 3, 3]);
+
+  assert.equal(cache.getStats().entries, 2);
+  assert.equal(cache.getStats().evictions, 1);
+  assert.equal(cache.get(key('second')), null);
+  assert.deepEqual(cache.get(key('first')), [1, 1, 1, 1]);
+  assert.deepEqual(cache.get(key('third')), [3, 3, 3, 3]);
+});
+
+test('a SQLite error disables the cache for the rest of the process', t => {
+  openCache();
+  cache.set(key('navigation'), [1, 2, 3, 4]);
+  t.mock.method(cache.getStmt, 'get', () => {
+    throw new Error('database disk image is malformed');
+  });
+
+  assert.equal(cache.get(key('navigation')), null);
+  assert.equal(cache.db, null);
+  const stats = cache.getStats();
+  assert.equal(stats.enabled, false);
+  assert.equal(stats.error, 'database disk image is malformed');
+
+  // Not reopened per query: lookups and stores are skipped
+  assert.equal(cache.open(), false);
+  cache.set(key('other'), [1, 1, 1, 1]);
+  assert.equal(cache.get(key('other')), null);
+  assert.equal(cache.getStats().misses, 0);
+});
+
+test('a cache file that cannot be opened leaves searches uncached', () => {
+  const blocked = path.join(dir, 'not-a-directory');
+  fs.writeFileSync(blocked, '');
+  cache = new QueryEmbeddingCache({ path: path.join(blocked, 'query-embeddings.db'), enabled: true });
+
+  assert.equal(cache.get(key('navigation')), null);
+  cache.set(key('navigation'), [1, 2, 3, 4]);
+  assert.equal(cache.getStats().enabled, false);
+  assert.ok(cache.getStats().error);
+});
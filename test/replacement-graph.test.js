@@ -0,0 +1,112 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { CompatibilityAnalyzer } from '../compatibility-analyzer.js';
+import { ReplacementGraph } from '../replacement-graph.js';
+import { createCorpus, openEngine } from './fixtures.js';
+
+const page = (id, title, path, availabilityLine, note = '', technologies = ['SwiftUI']) => ({
+  id,
+  title,
+  url: `https://developer.apple.com/documentation/${path}`,
+  content: `# ${title}\n${availabilityLine}\n## Overview\n${note}`,
+  technologies
+});
+
+const DOCUMENTS = [
+  page('alpha_view', 'AlphaView', 'swiftui/alphaview', 'iOS 13.0–15.0 Deprecated', 'Use BetaView instead.'),
+  page('beta_view', 'BetaView', 'swiftui/betaview', 'iOS 15.0–17.0 Deprecated', 'Use GammaView instead.'),
+  page('gamma_view', 'GammaView', 'swiftui/gammaview', 'iOS 17.0+'),
+  page('loop_a', 'LoopA', 'swiftui/loopa', 'iOS 13.0–14.0 Deprecated', 'Use LoopB instead.'),
+  page('loop_b', 'LoopB', 'swiftui/loopb', 'iOS 14.0–15.0 Deprecated', 'Use LoopA instead.'),
+  page('old_picture', 'OldPicture', 'swiftui/oldpicture', 'iOS 13.0–16.0 Deprecated', 'Use Image instead.'),
+  page('swiftui_image', 'Image', 'swiftui/image', 'iOS 13.0+'),
+  page('realitykit_image', 'Image', 'realitykit/image', 'iOS 13.0+', '', ['RealityKit']),
+  page('orphan_view', 'OrphanView', 'swiftui/orphanview', 'iOS 13.0–16.0 Deprecated', 'Use MissingView instead.')
+];
+
+let corpus;
+let engine;
+
+before(async () => {
+  corpus = createCorpus(DOCUMENTS);
+  engine = await openEngine(corpus);
+});
+
+after(() => {
+  engine.close();
+  corpus.cleanup();
+});
+
+test('without a built graph replacements are resolved per document', () => {
+  const graph = engine.getReplacementGraph();
+  assert.equal(graph.available, false);
+  assert.equal(graph.get('alpha_view'), null);
+  // Loading never scans the corpus
+  assert.equal(engine.getIndexDatabase().prepare("SELECT name FROM sqlite_master WHERE name = 'deprecation_replacements'").get(), undefined);
+
+  const result = engine.findReplacement({ id: 'alpha_view' });
+  assert.equal(result.deprecated, true);
+  assert.deepEqual(
+    { name: result.replacement.name, id: result.replacement.id, latest: result.replacement.latest },
+    { name: 'BetaView', id: 'beta_view', latest: undefined }
+  );
+  assert.deepEqual(result.chain, []);
+  assert.deepEqual(result.replaces, []);
+});
+
+test('build-index resolves replacement names to documents', () => {
+  const graph = engine.buildReplacementGraph();
+  assert.equal(graph.available, true);
+  assert.deepEqual(graph.getStats(), { available: true, deprecated: 6, withReplacementName: 6, resolved: 5 });
+
+  assert.equal(graph.get('alpha_view').replacementId, 'beta_view');
+  // The deprecated page's framework picks between same-named pages
+  assert.equal(graph.get('old_picture').replacementId, 'swiftui_image');
+  assert.deepEqual(
+    { name: graph.get('orphan_view').replacementName, id: graph.get('orphan_view').replacementId },
+    { name: 'MissingView', id: null }
+  );
+  assert.equal(graph.get('gamma_view'), null);
+});
+
+test('chains follow deprecated replacements and predecessors point back', () => {
+  const graph = engine.getReplacementGraph();
+  assert.deepEqual(graph.chain('alpha_view'), ['beta_view', 'gamma_view']);
+  assert.deepEqual(graph.chain('gamma_view'), []);
+  assert.deepEqual(graph.predecessors('gamma_view'), ['beta_view']);
+  assert.deepEqual(graph.predecessors('beta_view'), ['alpha_view']);
+  assert.deepEqual(graph.predecessors('alpha_view'), []);
+
+  const result = engine.findReplacement({ name: 'AlphaView' });
+  assert.equal(result.replacement.id, 'beta_view');
+  assert.equal(result.replacement.latest.id, 'gamma_view');
+  assert.deepEqual(result.chain.map(doc => doc.id), ['beta_view', 'gamma_view']);
+  assert.deepEqual(engine.findReplacement({ id: 'gamma_view' }).replaces.map(doc => doc.id), ['beta_view']);
+});
+
+test('a replacement cycle stops before revisiting a document', () => {
+  const graph = engine.getReplacementGraph();
+  assert.deepEqual(graph.chain('loop_a'), ['loop_b']);
+  assert.deepEqual(graph.chain('loop_b'), ['loop_a']);
+});
+
+test('a graph built for another corpus is not loaded', () => {
+  const db = new Database(corpus.dbPath, { readonly: true });
+  const indexDb = new Database(corpus.indexPath);
+  const options = { analyzer: new CompatibilityAnalyzer(), resolve: () => assert.fail('not resolved at load') };
+  try {
+    const current = new ReplacementGraph(db, indexDb, options).ensure();
+    assert.equal(current.available, true);
+    assert.deepEqual(current.chain('alpha_view'), ['beta_view', 'gamma_view']);
+
+    const stale = new ReplacementGraph(db, indexDb, { ...options, fingerprint: '9:deadbeef' }).ensure();
+    assert.equal(stale.available, false);
+    assert.deepEqual(stale.chain('alpha_view'), []);
+
+    assert.equal(new ReplacementGraph(db, null, options).ensure().available, false);
+  } finally {
+    indexDb.close();
+    db.close();
+  }
+});
@@ -0,0 +1,150 @@
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchCursorCache } from '../search-cursors.js';
+import { InvalidArgumentError } from '../errors.js';
+import { createCorpus, openEngine } from './fixtures.js';
+
+const SETTINGS = {
+  mode: 'lexical',
+  minSimilarity: 0.3,
+  filters: { platforms: ['iOS'], types: ['api_reference'] },
+  deprecationPolicy: 'demote',
+  deploymentTarget: null
+};
+
+let corpus;
+let engine;
+
+before(async () => {
+  corpus = createCorpus(Array.from({ length: 30 }, (_, i) => ({
+    id: `scroll_${i}`,
+    title: `Scroll view topic ${i}`,
+    description: 'Scrolling content in a scroll view.',
+    content: `Scroll view ${'scroll '.repeat(i % 5)}`,
+    platforms: ['iOS'],
+    technologies: ['SwiftUI']
+  })));
+  engine = await openEngine(corpus);
+});
+
+after(() => {
+  engine.close();
+  corpus.cleanup();
+});
+
+test('cursors round-trip through encode and decode', () => {
+  const cursors = new SearchCursorCache();
+  const state = { listId: 'abc', offset: 10, query: 'scroll view', settings: SETTINGS };
+  const cursor = cursors.encode(state);
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(cursors.decode(cursor), state);
+});
+
+test('malformed cursors are rejected as invalid arguments', () => {
+  const cursors = new SearchCursorCache();
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const malformed = [
+    'not a cursor',
+    Buffer.from('{"query":').toString('base64url'),
+    encode(null),
+    encode({ offset: 10, settings: SETTINGS }),
+    encode({ query: 'scroll', offset: -1, settings: SETTINGS }),
+    encode({ query: 'scroll', offset: 1.5, settings: SETTINGS }),
+    encode({ query: 'scroll', offset: 10 })
+  ];
+  for (const cursor of malformed) {
+    assert.throws(() => cursors.decode(cursor), error => error instanceof InvalidArgumentError && error.details.argument === 'cursor', cursor);
+  }
+});
+
+test('stored lists expire after the TTL', () => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+  try {
+    const cursors = new SearchCursorCache({ ttlSeconds: 60 });
+    const id = cursors.store({ mode: 'lexical', ranked: [] });
+    mock.timers.tick(59 * 1000);
+    assert.ok(cursors.get(id));
+    mock.timers.tick(2 * 1000);
+    assert.equal(cursors.get(id), null);
+    assert.equal(cursors.getStats().activeLists, 0);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test('the oldest list is evicted beyond maxLists', () => {
+  const cursors = new SearchCursorCache({ maxLists: 2 });
+  const first = cursors.store({ ranked: [1] });
+  const second = cursors.store({ ranked: [2] });
+  const third = cursors.store({ ranked: [3] });
+  assert.equal(cursors.get(first), null);
+  assert.deepEqual(cursors.get(second).ranked, [2]);
+  assert.deepEqual(cursors.get(third).ranked, [3]);
+});
+
+test('cursor settings get the same checks as search_docs arguments', () => {
+  const tampered = [
+    null,
+    [],
+    { ...SETTINGS, mode: 'magic' },
+    { ...SETTINGS, minSimilarity: '0.3' },
+    { ...SETTINGS, minSimilarity: 2 },
+    { ...SETTINGS, deprecationPolicy: 'delete' },
+    { ...SETTINGS, filters: { platforms: 'iOS' } },
+    { ...SETTINGS, filters: { platforms: [42] } },
+    { ...SETTINGS, filters: { authors: ['me'] } },
+    { ...SETTINGS, filters: { types: ['novel'] } },
+    { ...SETTINGS, filters: null },
+    { ...SETTINGS, deploymentTarget: 'iOS 16' },
+    { ...SETTINGS, deploymentTarget: { iOS: 'latest' } },
+    { ...SETTINGS, deploymentTarget: { PalmOS: '5.0' } }
+  ];
+  for (const settings of tampered) {
+    assert.throws(
+      () => engine.resolveCursorSettings(settings),
+      error => error instanceof InvalidArgumentError && error.message.startsWith('Invalid cursor') && error.details.argument === 'cursor',
+      JSON.stringify(settings)
+    );
+  }
+});
+
+test('valid cursor settings are resolved again for this engine', () => {
+  const resolved = engine.resolveCursorSettings({ ...SETTINGS, deploymentTarget: { ios: '16.0' } });
+  assert.deepEqual(resolved.deploymentTarget, { iOS: '16.0' });
+  assert.deepEqual(resolved.filters, SETTINGS.filters);
+
+  // Offline, semantic and hybrid cursors from before a restart degrade to lexical
+  assert.equal(engine.resolveCursorSettings({ ...SETTINGS, mode: 'semantic' }).mode, 'lexical');
+  assert.equal(engine.resolveCursorSettings({ ...SETTINGS, mode: 'hybrid' }).mode, 'lexical');
+  assert.equal(engine.resolveCursorSettings({ ...SETTINGS, mode: 'title' }).mode, 'title');
+});
+
+test('pages continue from the cached list and after it expired', async () => {
+  const first = await engine.searchDocuments('scroll view', { limit: 10, paginate: true });
+  assert.equal(first.mode, 'lexical');
+  assert.equal(first.results.length, 10);
+  assert.ok(first.nextCursor);
+
+  const second = await engine.searchDocuments(null, { limit: 10, cursor: first.nextCursor });
+  assert.equal(second.offset, 10);
+  const firstIds = new Set(first.results.map(result => result.id));
+  assert.ok(second.results.every(result => !firstIds.has(result.id)));
+
+  engine.searchCursors.clear();
+  const again = await engine.searchDocuments('scroll view', { limit: 10, cursor: first.nextCursor });
+  assert.deepEqual(again.results.map(result => result.id), second.results.map(result => result.id));
+
+  await assert.rejects(
+    engine.searchDocuments('list view', { cursor: first.nextCursor }),
+    error => error instanceof InvalidArgumentError && error.details.cursorQuery === 'scroll view'
+  );
+});
+
+test('an expired cursor with tampered settings is rejected', async () => {
+  const first = await engine.searchDocuments('scroll view', { limit: 5, paginate: true });
+  const state = engine.searchCursors.decode(first.nextCursor);
+  const cursor = engine.searchCursors.encode({ ...state, settings: { ...state.settings, filters: { platforms: 'iOS' } } });
+  engine.searchCursors.clear();
+
+  await assert.rejects(engine.searchDocuments(null, { cursor }), InvalidArgumentError);
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SearchFilter, classifyDocumentType, computeFacets } from '../search-filters.js';
+
+const meta = ({ title = 'NavigationStack', type = 'documentation', url = 'https://developer.apple.com/documentation/swiftui/navigationstack', platforms = [], technologies = [] } = {}) => ({
+  title,
+  type,
+  url,
+  platforms: JSON.stringify(platforms),
+  technologies: JSON.stringify(technologies)
+});
+
+const NAVIGATION_STACK = meta({ platforms: ['iOS', 'macOS', 'visionOS'], technologies: ['SwiftUI'] });
+const UI_NAVIGATION = meta({ title: 'UINavigationController', platforms: ['iOS', 'tvOS'], technologies: ['UIKit'] });
+const WWDC_SESSION = meta({ title: 'Meet SwiftData', type: 'video', url: 'https://developer.apple.com/videos/play/wwdc2023/10187/', platforms: ['iOS'], technologies: ['SwiftData', 'SwiftUI'] });
+const HIG_PAGE = meta({ title: 'Navigation and search', url: 'https://developer.apple.com/design/human-interface-guidelines/navigation-and-search' });
+
+test('classifyDocumentType uses URL, raw type and title shape', () => {
+  assert.equal(classifyDocumentType(NAVIGATION_STACK), 'api_reference');
+  assert.equal(classifyDocumentType(meta({ title: 'init(_:content:)' })), 'api_reference');
+  assert.equal(classifyDocumentType(WWDC_SESSION), 'wwdc_transcript');
+  assert.equal(classifyDocumentType(HIG_PAGE), 'hig');
+  assert.equal(classifyDocumentType(meta({ title: 'Food Truck: Building a SwiftUI multiplatform app', url: 'https://developer.apple.com/documentation/swiftui/food_truck/sample-code' })), 'sample_code');
+  assert.equal(classifyDocumentType(meta({ title: 'Migrating to new navigation types', type: 'Article' })), 'article');
+  assert.equal(classifyDocumentType(meta({ title: 'Managing model data in your app' })), 'article');
+  assert.equal(classifyDocumentType({}), 'api_reference');
+});
+
+test('an empty filter accepts everything', () => {
+  const filter = new SearchFilter();
+  assert.equal(filter.active, false);
+  assert.ok(filter.matches(meta({ platforms: null })));
+  assert.deepEqual(filter.describe(), {});
+});
+
+test('platforms and frameworks match any requested value, case-insensitively', () => {
+  const filter = new SearchFilter({ platforms: ['VISIONOS', 'watchos'] });
+  assert.ok(filter.matches(NAVIGATION_STACK));
+  assert.equal(filter.matches(UI_NAVIGATION), false);
+
+  const frameworks = new SearchFilter({ frameworks: [' swiftui ', 'SwiftData'] });
+  assert.ok(frameworks.matches(NAVIGATION_STACK));
+  assert.ok(frameworks.matches(WWDC_SESSION));
+  assert.equal(frameworks.matches(UI_NAVIGATION), false);
+});
+
+test('excluded frameworks drop documents that also belong to an allowed one', () => {
+  const filter = new SearchFilter({ frameworks: ['SwiftUI'], excludeFrameworks: ['swiftdata'] });
+  assert.ok(filter.matches(NAVIGATION_STACK));
+  assert.equal(filter.matches(WWDC_SESSION), false);
+});
+
+test('all filter kinds must hold together', () => {
+  const filter = new SearchFilter({ platforms: ['iOS'], types: ['api_reference'] });
+  assert.ok(filter.matches(NAVIGATION_STACK));
+  assert.ok(filter.matches(UI_NAVIGATION));
+  assert.equal(filter.matches(WWDC_SESSION), false);
+  // HIG pages list no platforms
+  assert.equal(new SearchFilter({ platforms: ['iOS'], types: ['hig'] }).matches(HIG_PAGE), false);
+});
+
+test('malformed metadata columns match no platform or framework', () => {
+  const broken = { title: 'Broken', platforms: '{not json', technologies: '"SwiftUI"' };
+  assert.equal(new SearchFilter({ platforms: ['iOS'] }).matches(broken), false);
+  assert.equal(new SearchFilter({ frameworks: ['SwiftUI'] }).matches(broken), false);
+  assert.ok(new SearchFilter({ excludeFrameworks: ['SwiftUI'] }).matches(broken));
+});
+
+test('describe echoes only the filters that were set, in their original spelling', () => {
+  const filter = new SearchFilter({ platforms: ['iOS'], frameworks: [], types: ['API_Reference'] });
+  assert.deepEqual(filter.describe(), { platforms: ['iOS'], types: ['API_Reference'] });
+  assert.ok(filter.matches(NAVIGATION_STACK));
+});
+
+test('facets count types, platforms and frameworks, most frequent first', () => {
+  const facets = computeFacets([NAVIGATION_STACK, UI_NAVIGATION, WWDC_SESSION, HIG_PAGE]);
+  assert.equal(facets.basis, 4);
+  assert.deepEqual(facets.types, { api_reference: 2, wwdc_transcript: 1, hig: 1 });
+  assert.deepEqual(Object.entries(facets.platforms)[0], ['iOS', 3]);
+  assert.deepEqual(Object.entries(facets.frameworks)[0], ['SwiftUI', 2]);
+  assert.equal(facets.frameworks.UIKit, 1);
+});
+
+test('facets keep at most maxValues entries per dimension', () => {
+  const metas = Array.from({ length: 6 }, (_, i) => meta({ technologies: [`Framework${i}`, 'Foundation'] }));
+  const facets = computeFacets(metas, 3);
+  assert.equal(Object.keys(facets.frameworks).length, 3);
+  assert.equal(facets.frameworks.Foundation, 6);
+  assert.deepEqual(computeFacets([]), { basis: 0, types: {}, platforms: {}, frameworks: {} });
+});
@@ -0,0 +1,162 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { AppleSearchMCPServer } from '../server.js';
+import { AppleSearchEngine } from '../search.js';
+import { EmbeddingProviderError, InvalidArgumentError, OperationTimeoutError } from '../errors.js';
+import { createCorpus, openEngine } from './fixtures.js';
+
+const DOCUMENTS = [
+  {
+    id: 'navigation_stack',
+    title: 'NavigationStack',
+    url: 'https://developer.apple.com/documentation/swiftui/navigationstack',
+    content: `# NavigationStack\niOS 16.0+\n## Overview\n${'A navigation stack presents a root view and views on top of it. '.repeat(20)}`,
+    technologies: ['SwiftUI']
+  },
+  {
+    id: 'navigation_link',
+    title: 'NavigationLink',
+    url: 'https://developer.apple.com/documentation/swiftui/navigationlink',
+    content: '# NavigationLink\niOS 13.0+\n## Overview\nA view that controls a navigation presentation.',
+    technologies: ['SwiftUI']
+  }
+];
+
+let corpus;
+let server;
+
+before(async () => {
+  corpus = createCorpus(DOCUMENTS);
+  server = new AppleSearchMCPServer();
+  server.searchEngine = await openEngine(corpus);
+});
+
+after(() => {
+  server.searchEngine.close();
+  corpus.cleanup();
+});
+
+const parse = result => JSON.parse(result.content[0].text);
+
+const rejectsWith = (promise, code, pattern) => assert.rejects(promise, error => {
+  assert.ok(error instanceof McpError);
+  assert.equal(error.code, code);
+  assert.match(error.message, pattern);
+  assert.doesNotMatch(error.message, /^MCP error/);
+  return true;
+});
+
+test('arguments are checked against the tool inputSchema', () => {
+  const cases = [
+    ['search_docs', {}, /missing required argument "query"/],
+    ['search_docs', { query: 'navigation', limit: 0 }, /limit should be >= 1/],
+    ['search_docs', { query: 'navigation', sort: 'date' }, /unknown argument "sort"/],
+    ['search_docs', { query: 'navigation', mode: 'fuzzy' }, /mode should be one of: /],
+    ['get_doc', { id: [] }, /id should NOT have fewer than 1 items/],
+    ['get_doc', { id: Array.from({ length: 11 }, (_, i) => `doc_${i}`) }, /id should NOT have more than 10 items/],
+    ['no_such_tool', {}, /Unknown tool: no_such_tool/]
+  ];
+  for (const [tool, args, pattern] of cases) {
+    assert.throws(
+      () => server.toolArguments.validate(tool, args),
+      error => error instanceof InvalidArgumentError && pattern.test(error.message),
+      `${tool} ${JSON.stringify(args)}`
+    );
+  }
+});
+
+test('schema defaults are applied and scalars coerced', () => {
+  const args = { query: 'navigation', limit: '5' };
+  const validated = server.toolArguments.validate('search_docs', args);
+  assert.equal(validated.limit, 5);
+  assert.equal(validated.maxContentChars, 200);
+  assert.equal(validated.minSimilarity, 0.3);
+  assert.equal(validated.includeRelated, true);
+  // The request's arguments are left alone
+  assert.deepEqual(args, { query: 'navigation', limit: '5' });
+
+  assert.deepEqual(server.toolArguments.validate('search_docs', { query: 'q', platforms: 'iOS' }).platforms, ['iOS']);
+});
+
+test('array arguments sent as JSON strings are parsed once, before validation', () => {
+  const validate = args => server.toolArguments.validate('get_doc', args).id;
+  assert.deepEqual(validate({ id: '["navigation_stack", "navigation_link"]' }), ['navigation_stack', 'navigation_link']);
+  assert.equal(validate({ id: 'navigation_stack' }), 'navigation_stack');
+  // Not JSON: judged as the plain string it is
+  assert.equal(validate({ id: '[broken' }), '[broken');
+  assert.throws(() => validate({ id: JSON.stringify(Array.from({ length: 11 }, (_, i) => `doc_${i}`)) }), /more than 10 items/);
+  assert.deepEqual(server.toolArguments.validate('search_docs', { query: 'q', platforms: '["iOS","macOS"]' }).platforms, ['iOS', 'macOS']);
+});
+
+test('search snippets use the declared maxContentChars default', async () => {
+  const { results } = parse(await server.callTool('search_docs', { query: 'navigation stack', includeRelated: false }));
+  const result = results.find(r => r.id === 'navigation_stack');
+  assert.ok(result);
+  assert.equal(result.snippet.length, 200 + '...'.length);
+});
+
+test('get_doc takes a batch as an array or a JSON string', async () => {
+  for (const id of [['navigation_stack', 'navigation_link'], '["navigation_stack","navigation_link"]']) {
+    const result = await server.callTool('get_doc', { id });
+    assert.equal(result.isError, undefined);
+    assert.deepEqual(parse(result).documents.map(doc => doc.id).sort(), ['navigation_link', 'navigation_stack']);
+  }
+});
+
+test('missing documents are isError results, not protocol errors', async () => {
+  const result = await server.callTool('get_doc', { id: 'no_such_doc' });
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent, undefined);
+  const body = parse(result);
+  assert.match(body.error, /no_such_doc/);
+  assert.deepEqual(body.requested_ids, ['no_such_doc']);
+
+  const symbol = await server.callTool('find_symbol', { name: 'NoSuchSymbol' });
+  assert.equal(symbol.isError, true);
+});
+
+test('bad arguments are InvalidParams errors', async () => {
+  await rejectsWith(server.callTool('search_docs', { query: 'navigation', limit: 500 }), ErrorCode.InvalidParams, /limit should be <= 100/);
+  await rejectsWith(server.callTool('get_replacement', {}), ErrorCode.InvalidParams, /Pass either id or name \(argument: id\)/);
+});
+
+test('other failures are InternalError errors naming the reason', async t => {
+  t.mock.method(server.searchEngine, 'getDocuments', () => {
+    throw new Error('disk I/O error');
+  });
+  await rejectsWith(server.callTool('get_doc', { id: 'navigation_stack' }), ErrorCode.InternalError, /^disk I\/O error \(reason: internal\)$/);
+
+  const cases = [
+    [new EmbeddingProviderError('Rate limited', { reason: 'rate_limited', provider: 'openai', status: 429 }), /^Rate limited \(reason: embedding_rate_limited; provider: openai; status: 429\)$/],
+    [new OperationTimeoutError('Searching', 1000), /reason: timeout; operation: Searching; timeoutMs: 1000/]
+  ];
+  for (const [error, pattern] of cases) {
+    const converted = server.convertToMcpError(error);
+    assert.equal(converted.code, ErrorCode.InternalError);
+    assert.match(converted.message, pattern);
+  }
+  const mcpError = new McpError(ErrorCode.InvalidRequest, 'passed through');
+  assert.equal(server.convertToMcpError(mcpError), mcpError);
+});
+
+test('a failed engine initialization is retried by the next call', async t => {
+  const init = t.mock.method(AppleSearchEngine.prototype, 'init', async () => {
+    throw new Error('database is locked');
+  });
+  const fresh = new AppleSearchMCPServer();
+
+  await assert.rejects(fresh.initializeEngine(), /database is locked/);
+  // Never published half-initialized, and not stuck on the failed attempt
+  assert.equal(fresh.searchEngine, null);
+  assert.equal(fresh.initPromise, null);
+
+  init.mock.mockImplementation(async function () {
+    this.initialized = true;
+  });
+  const engine = await fresh.initializeEngine();
+  assert.ok(engine instanceof AppleSearchEngine);
+  assert.equal(fresh.searchEngine, engine);
+  assert.equal(await fresh.initializeEngine(), engine);
+  assert.equal(init.mock.callCount(), 2);
+});
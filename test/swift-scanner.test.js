@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stripCommentsAndStrings, scanSwiftSource, isGuarded } from '../swift-scanner.js';
+
+const reference = (scan, name, container = null) =>
+  scan.references.find(ref => ref.name === name && ref.container === container);
+
+const names = scan => scan.references.map(ref => (ref.container ? `${ref.container}.` : '') + ref.name);
+
+test('comments and strings are blanked without moving lines', () => {
+  const source = [
+    'let a = 1 // NavigationStack',
+    '/* outer /* nested */ still a comment: List */ let b = 2',
+    'let c = "Text(\\"quoted\\")"',
+    'let d = #"raw "VStack" string"#',
+    'let e = """',
+    'ScrollView',
+    '"""',
+    'let f = Color.red'
+  ].join('\n');
+  const stripped = stripCommentsAndStrings(source);
+
+  assert.equal(stripped.length, source.length);
+  assert.equal(stripped.split('\n').length, source.split('\n').length);
+  for (const word of ['NavigationStack', 'nested', 'List', 'Text', 'quoted', 'VStack', 'ScrollView']) {
+    assert.ok(!stripped.includes(word), word);
+  }
+  assert.ok(stripped.includes('let b = 2'));
+  assert.ok(stripped.includes('let f = Color.red'));
+});
+
+test('an unterminated string stops at the end of its line', () => {
+  const stripped = stripCommentsAndStrings('let s = "open\nlet t = Image(systemName: x)');
+  assert.ok(stripped.endsWith('let t = Image(systemName: x)'));
+});
+
+test('types, qualified calls, modifiers and property wrappers are told apart', () => {
+  const scan = scanSwiftSource([
+    'import SwiftUI',
+    '',
+    'struct ContentView: View {',
+    '    @State private var items: [String] = []',
+    '    var body: some View {',
+    '        NavigationStack {',
+    '            List(items, id: \\.self) { Text($0) }',
+    '        }',
+    '        .navigationTitle("Items")',
+    '        .task { try? await Task.sleep(for: .seconds(1)); items.append("x") }',
+    '    }',
+    '}'
+  ].join('\n'));
+
+  assert.deepEqual(scan.imports, ['SwiftUI']);
+  assert.equal(reference(scan, 'NavigationStack').kind, 'type');
+  assert.deepEqual(reference(scan, 'Text').lines, [7]);
+  assert.equal(reference(scan, 'State').kind, 'property_wrapper');
+  assert.equal(reference(scan, 'navigationTitle').kind, 'modifier');
+  assert.equal(reference(scan, 'task').kind, 'modifier');
+  assert.equal(reference(scan, 'sleep', 'Task').kind, 'method');
+  assert.equal(reference(scan, 'append').kind, 'method');
+  // The file's own type and the module name are not SDK references
+  assert.equal(reference(scan, 'ContentView'), undefined);
+  assert.equal(reference(scan, 'SwiftUI'), undefined);
+  // The member pass doesn't repeat a qualified call without its container
+  assert.equal(reference(scan, 'sleep'), undefined);
+});
+
+test('a variable named after an SDK method does not hide the call', () => {
+  const scan = scanSwiftSource([
+    'func load(from u: URL) async throws -> Data {',
+    '    let data = try await URLSession.shared.data(from: u)',
+    '    return data.0',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(reference(scan, 'data').lines, [2]);
+  assert.equal(reference(scan, 'load'), undefined);
+});
+
+test('calls on the file\'s own types and generic parameters are skipped', () => {
+  const scan = scanSwiftSource([
+    'enum Store { static func load() {} }',
+    'struct Box<Element: Sendable> { let value: Element }',
+    '@propertyWrapper struct Clamped { var wrappedValue: Int }',
+    'struct Model { @Clamped var level: Int }',
+    'let store = Store.load()',
+    'let date = Date.now.formatted(date: .abbreviated, time: .omitted)',
+    'let color = Color.accentColor.opacity(0.5)'
+  ].join('\n'));
+  const found = names(scan);
+
+  for (const local of ['Store', 'Store.load', 'load', 'Box', 'Element', 'Clamped', 'Model']) {
+    assert.ok(!found.includes(local), local);
+  }
+  assert.ok(found.includes('Sendable'));
+  assert.ok(found.includes('Date'));
+  assert.ok(found.includes('formatted'));
+  assert.ok(found.includes('opacity'));
+});
+
+test('import lines name modules, not types', () => {
+  const scan = scanSwiftSource('@preconcurrency import CoreData\nimport struct Foundation.Date\nlet x = NSPersistentContainer(name: "M")');
+  assert.deepEqual(scan.imports, ['CoreData', 'Foundation']);
+  assert.deepEqual(names(scan), ['NSPersistentContainer']);
+});
+
+test('availability checks guard their block, the rest of the scope or the declaration', () => {
+  const source = [
+    'func a() {',                                  // 1
+    '    if #available(iOS 17, macOS 14, *) {',    // 2
+    '        view.scrollTargetBehavior(.paging)',  // 3
+    '    }',                                       // 4
+    '    view.padding()',                          // 5
+    '}',                                           // 6
+    'func b() {',                                  // 7
+    '    guard #available(iOS 16.4, *) else {',    // 8
+    '        return',                              // 9
+    '    }',                                       // 10
+    '    view.presentationBackground(.clear)',     // 11
+    '}',                                           // 12
+    '@available(visionOS 1, *)',                   // 13
+    'struct Immersive {',                          // 14
+    '    let space = ImmersiveSpace { }',          // 15
+    '}',                                           // 16
+    'if #available(*) { }'                         // 17
+  ].join('\n');
+  const { guards } = scanSwiftSource(source);
+
+  assert.deepEqual(guards, [
+    { startLine: 2, endLine: 4, versions: { iOS: '17', macOS: '14' } },
+    { startLine: 8, endLine: 12, versions: { iOS: '16.4' } },
+    { startLine: 13, endLine: 16, versions: { visionOS: '1' } }
+  ]);
+
+  assert.ok(isGuarded(guards, 3, { iOS: '17.0' }));
+  assert.ok(isGuarded(guards, 3, { iOS: '16.0', macOS: '14.0' }));
+  assert.equal(isGuarded(guards, 3, { iOS: '18.0' }), false);
+  assert.equal(isGuarded(guards, 3, { watchOS: '10.0' }), false);
+  assert.equal(isGuarded(guards, 5, { iOS: '17.0' }), false);
+  assert.ok(isGuarded(guards, 11, { iOS: '16.4' }));
+  assert.ok(isGuarded(guards, 15, { visionOS: '1.0' }));
+});
+
+test('empty or missing source scans to nothing', () => {
+  assert.deepEqual(scanSwiftSource(''), { imports: [], references: [], guards: [] });
+  assert.deepEqual(scanSwiftSource(null), { imports: [], references: [], guards: [] });
+});
@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { SymbolIndex, parseSymbol } from '../symbol-index.js';
+import { createCorpus } from './fixtures.js';
+
+const page = (id, title, path, technologies) => ({
+  id,
+  title,
+  url: `https://developer.apple.com/documentation/${path}`,
+  technologies
+});
+
+const DOCUMENTS = [
+  page('navigation_stack', 'NavigationStack', 'swiftui/navigationstack', ['SwiftUI']),
+  page('navigation_split_view', 'Navigation split view', 'swiftui/navigationsplitview', ['SwiftUI']),
+  page('uiview_init_frame', 'init(frame:)', 'uikit/uiview/init(frame:)', ['UIKit']),
+  page('uiview_init_coder', 'init(coder:)', 'uikit/uiview/init(coder:)', ['UIKit']),
+  page('uiview_set_needs_layout', 'setNeedsLayout()', 'uikit/uiview/setneedslayout()', ['UIKit']),
+  page('view_did_load', 'viewDidLoad()', 'uikit/uiviewcontroller/1621495-viewdidload', ['UIKit']),
+  page('urlsession_data', 'data(for:delegate:)', 'foundation/urlsession/data(for:delegate:)', ['Foundation']),
+  page('table_view_cell', 'tableView(_:cellForRowAt:)', 'uikit/uitableviewdatasource/tableview(_:cellforrowat:)', ['UIKit']),
+  page('swiftui_image', 'Image', 'swiftui/image', ['SwiftUI']),
+  page('realitykit_image', 'Image', 'realitykit/image', ['RealityKit']),
+  { id: 'wwdc', title: 'NavigationStack', url: 'https://developer.apple.com/videos/play/wwdc2022/10054/' }
+];
+
+let corpus;
+let index;
+
+before(() => {
+  corpus = createCorpus(DOCUMENTS);
+  const db = new Database(corpus.dbPath, { readonly: true });
+  index = new SymbolIndex().load(db);
+  db.close();
+});
+
+after(() => corpus.cleanup());
+
+const best = (text, options) => index.lookup(text, options).matches[0];
+
+test('Swift and Objective-C identifiers are parsed into container, name and labels', () => {
+  const cases = [
+    ['NavigationStack', { container: [], name: 'NavigationStack', labels: null, selector: false }],
+    ['`Binding<Value>`', { container: [], name: 'Binding', labels: null, selector: false }],
+    ['URLSession.data(for:)', { container: ['URLSession'], name: 'data', labels: ['for'], selector: false }],
+    ['UIView.init(frame:)', { container: ['UIView'], name: 'init', labels: ['frame'], selector: false }],
+    ['String.Index.utf16Offset(in:)', { container: ['String', 'Index'], name: 'utf16Offset', labels: ['in'], selector: false }],
+    ['viewDidLoad()', { container: [], name: 'viewDidLoad', labels: [], selector: false }],
+    ['-[UIView setNeedsLayout]', { container: ['UIView'], name: 'setNeedsLayout', labels: null, selector: true }],
+    ['-[UIView initWithFrame:]', { container: ['UIView'], name: 'init', labels: ['frame'], selector: true }],
+    ['+ [NSURLSession sessionWithConfiguration: delegate: delegateQueue:]', { container: ['NSURLSession'], name: 'session', labels: ['with', 'delegate', 'delegateQueue'], selector: true }],
+    ['tableView:cellForRowAtIndexPath:', { container: [], name: 'tableView', labels: ['_', 'cellForRowAtIndexPath'], selector: true }]
+  ];
+  for (const [text, expected] of cases) {
+    assert.deepEqual(parseSymbol(text), expected, text);
+  }
+  assert.equal(parseSymbol('  '), null);
+  assert.equal(parseSymbol(null), null);
+});
+
+test('an exact title is an exact match', () => {
+  const match = best('NavigationStack');
+  assert.equal(match.entry.meta.id, 'navigation_stack');
+  assert.equal(match.matchType, 'exact');
+  assert.equal(match.score, 1);
+});
+
+test('pages are found by their URL path when the title is prose', () => {
+  const match = best('NavigationSplitView');
+  assert.equal(match.entry.meta.id, 'navigation_split_view');
+  assert.equal(match.matchType, 'case_insensitive');
+
+  // Older URLs prefix the leaf with a numeric id
+  assert.equal(best('UIViewController.viewDidLoad()').entry.meta.id, 'view_did_load');
+  // Non-reference URLs are not indexed
+  assert.ok(index.lookup('NavigationStack').matches.every(m => m.entry.meta.id !== 'wwdc'));
+});
+
+test('labels pick the overload', () => {
+  const match = best('UIView.init(frame:)');
+  assert.equal(match.entry.meta.id, 'uiview_init_frame');
+  assert.equal(match.matchType, 'exact');
+  assert.equal(match.containerMatches, true);
+
+  const { matches } = index.lookup('init(frame:)');
+  assert.deepEqual(matches.map(m => [m.entry.meta.id, m.matchType]), [
+    ['uiview_init_frame', 'exact'],
+    ['uiview_init_coder', 'overload']
+  ]);
+
+  // A label prefix still finds the longer signature
+  const data = best('URLSession.data(for:)');
+  assert.equal(data.entry.meta.id, 'urlsession_data');
+  assert.equal(data.matchType, 'labels_prefix');
+});
+
+test('a name without labels matches every overload', () => {
+  const { matches, ambiguous } = index.lookup('UIView.init');
+  assert.deepEqual(matches.map(m => m.matchType), ['name_only', 'name_only']);
+  assert.deepEqual(new Set(matches.map(m => m.entry.meta.id)), new Set(['uiview_init_frame', 'uiview_init_coder']));
+  // Both overloads live in one framework: nothing to disambiguate
+  assert.equal(ambiguous, false);
+});
+
+test('Objective-C methods resolve to their Swift pages', () => {
+  const layout = best('-[UIView setNeedsLayout]');
+  assert.equal(layout.entry.meta.id, 'uiview_set_needs_layout');
+  assert.equal(layout.matchType, 'exact');
+
+  assert.equal(best('-[UIView initWithFrame:]').entry.meta.id, 'uiview_init_frame');
+  assert.equal(best('tableView:cellForRowAtIndexPath:').entry.meta.id, 'table_view_cell');
+  assert.equal(best('-[UIView layoutIfNeeded]'), undefined);
+});
+
+test('a wrong container halves the score', () => {
+  const match = best('UIButton.setNeedsLayout()');
+  assert.equal(match.entry.meta.id, 'uiview_set_needs_layout');
+  assert.equal(match.containerMatches, false);
+  assert.equal(match.score, 0.5);
+});
+
+test('the same name in several frameworks is ambiguous until one is chosen', () => {
+  const lookup = index.lookup('Image');
+  assert.equal(lookup.ambiguous, true);
+  assert.deepEqual(lookup.frameworks.sort(), ['RealityKit', 'SwiftUI']);
+
+  const scoped = index.lookup('Image', { framework: 'realitykit' });
+  assert.equal(scoped.ambiguous, false);
+  assert.deepEqual(scoped.matches.map(m => m.entry.meta.id), ['realitykit_image']);
+  assert.equal(best('SwiftUI.Image').entry.meta.id, 'swiftui_image');
+});
+
+test('typos match only above the 0.8 name similarity threshold', () => {
+  const typo = best('NavigatonStack');
+  assert.equal(typo.entry.meta.id, 'navigation_stack');
+  assert.equal(typo.matchType, 'fuzzy');
+  assert.ok(typo.score < 1);
+
+  // Three edits in fifteen characters is exactly 0.8, four fall below it
+  assert.equal(best('NavigationStxxx').entry.meta.id, 'navigation_stack');
+  assert.equal(best('NavigationSxxxx'), undefined);
+  assert.deepEqual(index.lookup('CompletelyUnknownSymbol').matches, []);
+});
+
+test('stats count reference pages and names', () => {
+  assert.deepEqual(index.getStats(), { loaded: true, pages: DOCUMENTS.length - 1, names: 8 });
+});
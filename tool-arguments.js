@@ -0,0 +1,93 @@
+/**
+ * Tool Argument Validation for the MCP tools
+ * Validates tools/call arguments against each tool's declared inputSchema and
+ * fills in schema defaults, so handlers receive complete, well-typed arguments
+ * Failures become MCP InvalidParams errors listing every problem
+ */
+
+import Ajv from 'ajv';
+import { InvalidArgumentError } from './errors.js';
+
+export class ToolArgumentValidator {
+  /**
+   * @param {Array} tools - Tool definitions as listed by tools/list
+   */
+  constructor(tools) {
+    // coerceTypes 'array': "5" → 5, "true" → true, "SwiftUI" → ["SwiftUI"]
+    // (some clients send scalars as strings or a single value for a list)
+    this.ajv = new Ajv({ allErrors: true, useDefaults: true, coerceTypes: 'array', jsonPointers: true });
+    this.validators = new Map(tools.map(tool => [tool.name, this.ajv.compile(tool.inputSchema)]));
+    this.arrayArguments = new Map(tools.map(tool => [tool.name, arrayArguments(tool.inputSchema)]));
+  }
+
+  has(name) {
+    return this.validators.has(name);
+  }
+
+  /**
+   * Validate a tool call
+   * @param {string} name - Tool name
+   * @param {Object} args - Arguments from the request (not modified)
+   * @returns {Object} Arguments with defaults applied and scalars coerced
+   * @throws {InvalidArgumentError} With { tool, errors: [{ path, message, params }] } as details
+   */
+  validate(name, args = {}) {
+    const validator = this.validators.get(name);
+    if (!validator) {
+      throw new InvalidArgumentError(`Unknown tool: ${name}`, { tool: name, knownTools: [...this.validators.keys()] });
+    }
+
+    const validated = structuredClone(args ?? {});
+    this.parseJsonArrays(name, validated);
+    if (validator(validated)) {
+      return validated;
+    }
+
+    const errors = validator.errors.map(error => ({
+      path: error.dataPath || '/',
+      message: this.describe(error),
+      params: error.params
+    }));
+    const summary = errors.map(error => error.path === '/' ? error.message : `${error.path.substring(1)} ${error.message}`);
+    throw new InvalidArgumentError(`Invalid arguments for ${name}: ${summary.join('; ')}`, { tool: name, errors });
+  }
+
+  // Some clients send an array argument as its JSON string: "[\"id1\", \"id2\"]"
+  parseJsonArrays(name, args) {
+    for (const key of this.arrayArguments.get(name)) {
+      const value = args[key];
+      if (typeof value !== 'string' || !value.startsWith('[') || !value.endsWith(']')) {
+        continue;
+      }
+      try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) {
+          args[key] = parsed;
+        }
+      } catch {
+        // Not JSON - left for the schema to judge
+      }
+    }
+  }
+
+  // Ajv's messages leave out the offending name or the allowed values
+  describe(error) {
+    if (error.keyword === 'additionalProperties') {
+      return `unknown argument "${error.params.additionalProperty}"`;
+    }
+    if (error.keyword === 'required') {
+      return `missing required argument "${error.params.missingProperty}"`;
+    }
+    if (error.keyword === 'enum') {
+      return `should be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+    return error.message;
+  }
+}
+
+// Top-level arguments whose schema accepts an array
+function arrayArguments(schema) {
+  return Object.entries(schema.properties || {})
+    .filter(([, property]) => [].concat(property.type).includes('array'))
+    .map(([key]) => key);
+}
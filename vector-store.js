@@ -0,0 +1,279 @@
+/**
+ * Resident Vector Store for Apple Documentation
+ * Loads every embedding once into a contiguous Float32 matrix with
+ * pre-normalized rows, plus lightweight metadata (no content)
+ * Full document content is fetched from SQLite only for the final top-k
+ */
+
+import { throwIfAborted } from './errors.js';
+
+// Rows scored between two checks for cancellation (~0.1s of work each)
+const SCAN_CHUNK_ROWS = 4096;
+
+export class VectorStore {
+  constructor() {
+    this.ids = [];
+    this.metadata = [];
+    this.indexById = new Map();
+    this.matrix = null;
+    this.dimensions = 0;
+    this.size = 0;
+    this.loaded = false;
+  }
+
+  /**
+   * Load embeddings and lightweight metadata from the database
+   * @param {Database} db - better-sqlite3 database handle
+   * @returns {VectorStore} this
+   */
+  load(db) {
+    const startTime = Date.now();
+
+    const { count } = db.prepare(`
+      SELECT COUNT(*) as count
+      FROM documents d
+      JOIN embeddings e ON d.id = e.id
+    `).get();
+
+    const rows = db.prepare(`
+      SELECT d.id, d.title, d.url, d.type, d.platforms, d.technologies, e.embedding
+      FROM documents d
+      JOIN embeddings e ON d.id = e.id
+      ORDER BY d.id
+    `).iterate();
+
+    let row = 0;
+    for (const doc of rows) {
+      const vector = this.blobToFloat32Array(doc.embedding);
+
+      // Allocate the matrix once we know the dimensionality
+      if (!this.matrix) {
+        this.dimensions = vector.length;
+        this.matrix = new Float32Array(count * this.dimensions);
+      }
+
+      if (vector.length !== this.dimensions) {
+        console.error(`⚠️  Skipping ${doc.id}: embedding has ${vector.length} dims, expected ${this.dimensions}`);
+        continue;
+      }
+
+      this.writeNormalizedRow(row, vector);
+      this.ids.push(doc.id);
+      this.metadata.push({
+        id: doc.id,
+        title: doc.title,
+        url: doc.url,
+        type: doc.type,
+        platforms: doc.platforms,
+        technologies: doc.technologies
+      });
+      this.indexById.set(doc.id, row);
+      row++;
+    }
+
+    this.size = row;
+    this.loaded = true;
+
+    const sizeMB = ((this.size * this.dimensions * 4) / (1024 * 1024)).toFixed(1);
+    console.error(`✅ Vector store loaded: ${this.size} vectors × ${this.dimensions} dims (${sizeMB} MB) in ${Date.now() - startTime}ms`);
+    return this;
+  }
+
+  // Copy a vector into the matrix, scaled to unit length
+  writeNormalizedRow(row, vector) {
+    const offset = row * this.dimensions;
+    let norm = 0;
+    for (let i = 0; i < this.dimensions; i++) {
+      norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+
+    // Zero vectors stay zero and score 0 against everything
+    const scale = norm === 0 ? 0 : 1 / norm;
+    for (let i = 0; i < this.dimensions; i++) {
+      this.matrix[offset + i] = vector[i] * scale;
+    }
+  }
+
+  /**
+   * Return a unit-length Float32Array copy of a query vector
+   */
+  normalize(vector) {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Query vector has ${vector.length} dimensions, but stored embeddings have ${this.dimensions}`);
+    }
+
+    const normalized = new Float32Array(this.dimensions);
+    let norm = 0;
+    for (let i = 0; i < this.dimensions; i++) {
+      norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm === 0) {
+      return normalized;
+    }
+
+    for (let i = 0; i < this.dimensions; i++) {
+      normalized[i] = vector[i] / norm;
+    }
+    return normalized;
+  }
+
+  /**
+   * Dot product of a normalized query with one stored row (= cosine similarity)
+   */
+  dot(normalizedQuery, row) {
+    const matrix = this.matrix;
+    const offset = row * this.dimensions;
+    let sum = 0;
+    for (let i = 0; i < this.dimensions; i++) {
+      sum += normalizedQuery[i] * matrix[offset + i];
+    }
+    return sum;
+  }
+
+  /**
+   * Rank stored vectors by cosine similarity to a query vector
+   * @param {Array|Float32Array} queryVector - Raw (unnormalized) query vector
+   * @param {Object} options - { limit, minSimilarity, accept }
+   *   accept: optional (row) => boolean pre-filter; rejected rows are never scored
+   * @returns {Array} [{ id, row, similarity }] sorted by decreasing similarity
+   */
+  rank(queryVector, { limit = 10, minSimilarity = 0, accept = null } = {}) {
+    if (!this.loaded) {
+      throw new Error('Vector store not loaded. Call load() first.');
+    }
+
+    const matches = this.scanRows(this.normalize(queryVector), 0, this.size, minSimilarity, accept);
+    return this.topMatches(matches, limit);
+  }
+
+  /**
+   * rank() in chunks of SCAN_CHUNK_ROWS, yielding to the event loop in between
+   * so a cancelled request stops the scan instead of holding the process
+   * @param {Object} options - rank() options plus { signal, onProgress(scanned, total) }
+   */
+  async rankAsync(queryVector, { limit = 10, minSimilarity = 0, accept = null, signal = null, onProgress = null } = {}) {
+    if (!this.loaded) {
+      throw new Error('Vector store not loaded. Call load() first.');
+    }
+
+    const query = this.normalize(queryVector);
+    const matches = [];
+    for (let start = 0; start < this.size; start += SCAN_CHUNK_ROWS) {
+      throwIfAborted(signal);
+      const end = Math.min(start + SCAN_CHUNK_ROWS, this.size);
+      matches.push(...this.scanRows(query, start, end, minSimilarity, accept));
+      if (onProgress) {
+        onProgress(end, this.size);
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    throwIfAborted(signal);
+
+    return this.topMatches(matches, limit);
+  }
+
+  // Score rows [start, end) against a normalized query
+  scanRows(query, start, end, minSimilarity, accept) {
+    const matches = [];
+    for (let row = start; row < end; row++) {
+      if (accept && !accept(row)) {
+        continue;
+      }
+      const similarity = this.dot(query, row);
+      if (similarity >= minSimilarity) {
+        matches.push({ id: this.ids[row], row, similarity });
+      }
+    }
+    return matches;
+  }
+
+  topMatches(matches, limit) {
+    matches.sort((a, b) => b.similarity - a.similarity);
+    return limit === Infinity ? matches : matches.slice(0, limit);
+  }
+
+  /**
+   * Get the stored (normalized) vector at a matrix row
+   */
+  rowVector(row) {
+    const offset = row * this.dimensions;
+    return this.matrix.subarray(offset, offset + this.dimensions);
+  }
+
+  /**
+   * Get the stored (normalized) vector for a document, or null
+   */
+  getVector(id) {
+    const row = this.indexById.get(id);
+    if (row === undefined) {
+      return null;
+    }
+    return this.rowVector(row);
+  }
+
+  getMetadata(id) {
+    const row = this.indexById.get(id);
+    return row === undefined ? null : this.metadata[row];
+  }
+
+  // BLOB to Float32Array conversion (copy-free when the Buffer is aligned)
+  blobToFloat32Array(blob) {
+    if (blob.byteOffset % 4 === 0) {
+      return new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4);
+    }
+    return new Float32Array(new Uint8Array(blob).buffer);
+  }
+
+  /**
+   * Fingerprint of the loaded corpus (row order, ids and sampled vector values)
+   * Used to detect derived indexes that were built from a different database
+   */
+  fingerprint() {
+    // FNV-1a over ids and a sample of matrix values
+    let hash = 0x811c9dc5;
+    const mix = (value) => {
+      hash ^= value;
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    };
+
+    for (const id of this.ids) {
+      const key = String(id);
+      for (let i = 0; i < key.length; i++) {
+        mix(key.charCodeAt(i));
+      }
+      mix(0);
+    }
+
+    const step = Math.max(1, Math.floor(this.size / 64));
+    const bits = new Uint32Array(this.matrix ? this.matrix.buffer : new ArrayBuffer(0));
+    for (let row = 0; row < this.size; row += step) {
+      const offset = row * this.dimensions;
+      for (let i = 0; i < Math.min(8, this.dimensions); i++) {
+        mix(bits[offset + i]);
+      }
+    }
+
+    return `${this.size}:${this.dimensions}:${hash.toString(16)}`;
+  }
+
+  getStats() {
+    return {
+      loaded: this.loaded,
+      vectors: this.size,
+      dimensions: this.dimensions,
+      memoryMB: Math.round((this.size * this.dimensions * 4) / (1024 * 1024))
+    };
+  }
+
+  clear() {
+    this.ids = [];
+    this.metadata = [];
+    this.indexById.clear();
+    this.matrix = null;
+    this.dimensions = 0;
+    this.size = 0;
+    this.loaded = false;
+  }
+}
@@ -0,0 +1,193 @@
+/**
+ * Workflow Prompts for Apple development
+ * MCP prompt templates for recurring tasks (UIKit → SwiftUI migration, API adoption,
+ * HIG review, topic exploration). Each template declares the searches it needs;
+ * the server runs them and the prompt is pre-populated with the matching excerpts
+ */
+
+// Characters of cleaned content quoted per document
+const EXCERPT_CHARS = 600;
+
+// UIKit/AppKit type names in pasted code or prose: "UITableView", "NSCollectionViewItem"
+function extractTypeNames(text, prefixes = ['UI', 'NS']) {
+  const pattern = new RegExp(`\\b(?:${prefixes.join('|')})[A-Z][A-Za-z]+\\b`, 'g');
+  return [...new Set(text.match(pattern) || [])];
+}
+
+// Free text of any length → short search query
+function toQuery(text, maxLength = 120) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength ? singleLine.substring(0, maxLength) : singleLine;
+}
+
+// "iOS 16" / "iOS 16, macOS 13" → ["iOS"] / ["iOS", "macOS"]
+function platformsOf(deploymentTarget) {
+  return (deploymentTarget || '').match(/iOS|iPadOS|macOS|Mac Catalyst|watchOS|tvOS|visionOS/gi) || [];
+}
+
+export const WORKFLOW_PROMPTS = [
+  {
+    name: 'migrate_uikit_to_swiftui',
+    title: 'Migrate a UIKit screen to SwiftUI',
+    description: 'Plan and write the SwiftUI version of a UIKit screen, grounded in the SwiftUI reference pages for the UIKit types it uses.',
+    arguments: [
+      { name: 'screen', description: 'UIKit code or a description of the screen to migrate', required: true },
+      { name: 'deploymentTarget', description: 'Minimum OS version, e.g. "iOS 16"', required: false }
+    ],
+    searches(args) {
+      const uikitTypes = extractTypeNames(args.screen, ['UI']).slice(0, 4);
+      const searches = uikitTypes.map(type => ({
+        query: `SwiftUI replacement for ${type}`,
+        filters: { frameworks: ['SwiftUI'] },
+        limit: 2
+      }));
+      searches.push({ query: `SwiftUI ${toQuery(args.screen, 80)}`, filters: { frameworks: ['SwiftUI'] }, limit: 3 });
+      searches.push({ query: 'UIHostingController integrate SwiftUI views into UIKit app', limit: 2 });
+      return searches;
+    },
+    render(args, excerpts) {
+      const target = args.deploymentTarget ? ` The app's deployment target is ${args.deploymentTarget}; only use APIs available there.` : '';
+      return `Migrate this UIKit screen to SwiftUI.${target}
+
+Screen:
+${args.screen}
+
+Steps:
+1. Map every UIKit type and delegate/data-source pattern to its SwiftUI counterpart using the documentation below.
+2. Move state into @State/@Observable models instead of view controller properties.
+3. Write the SwiftUI view, then list what must stay in UIKit (wrap it with UIViewRepresentable) and how to embed the new view (UIHostingController) during an incremental migration.
+4. If something here is not covered, use search_docs, then get_doc on the best result, before writing code.
+
+Relevant Apple documentation:
+${excerpts}`;
+    }
+  },
+  {
+    name: 'adopt_api',
+    title: 'Adopt an Apple API',
+    description: 'Adopt an API in an existing app, checking availability against the deployment target and following Apple\'s sample usage.',
+    arguments: [
+      { name: 'api', description: 'API, type or framework to adopt, e.g. "NavigationStack" or "SwiftData"', required: true },
+      { name: 'deploymentTarget', description: 'Minimum OS version(s), e.g. "iOS 16" or "iOS 16, macOS 13"', required: false },
+      { name: 'goal', description: 'What the API should do in the app', required: false }
+    ],
+    searches(args) {
+      const platforms = platformsOf(args.deploymentTarget);
+      const filters = platforms.length > 0 ? { platforms } : {};
+      const searches = [
+        { query: args.api, filters, limit: 3 },
+        { query: `${args.api} example`, filters: { ...filters, types: ['sample_code', 'article'] }, limit: 2 }
+      ];
+      if (args.goal) {
+        searches.push({ query: `${args.api} ${toQuery(args.goal, 80)}`, filters, limit: 2 });
+      }
+      return searches;
+    },
+    render(args, excerpts) {
+      const target = args.deploymentTarget || 'the app\'s current deployment target';
+      const goal = args.goal ? `\nGoal: ${args.goal}\n` : '';
+      return `Adopt ${args.api} with deployment target ${target}.
+${goal}
+Steps:
+1. Check the availability shown in the documentation below against ${target}. If the API is newer, guard it with #available / @available and describe the fallback.
+2. If the documentation marks the API as deprecated, use the replacement it names instead.
+3. Follow Apple's recommended usage from the articles and sample code, then write the integration code.
+4. Use get_doc on a result for the full page when an excerpt is not enough.
+
+Relevant Apple documentation:
+${excerpts}`;
+    }
+  },
+  {
+    name: 'review_against_hig',
+    title: 'Review UI against the Human Interface Guidelines',
+    description: 'Review UI code or a screen description against the Human Interface Guidelines for one platform.',
+    arguments: [
+      { name: 'platform', description: 'Target platform: iOS, iPadOS, macOS, watchOS, tvOS or visionOS', required: true },
+      { name: 'subject', description: 'UI code or a description of the screen to review', required: true }
+    ],
+    searches(args) {
+      const components = extractTypeNames(args.subject, ['UI', 'NS'])
+        .concat(args.subject.match(/\b(?:Button|List|NavigationStack|TabView|Toggle|Picker|Sheet|Alert|Menu|Form|TextField)\b/g) || []);
+      const topics = [...new Set(components)].slice(0, 3);
+      const filters = { types: ['hig'] };
+      return [
+        { query: `${args.platform} ${toQuery(args.subject, 80)}`, filters, limit: 3 },
+        ...topics.map(topic => ({ query: `${topic} design guidelines ${args.platform}`, filters, limit: 2 })),
+        { query: `${args.platform} accessibility layout design`, filters, limit: 2 }
+      ];
+    },
+    render(args, excerpts) {
+      return `Review this UI against Apple's Human Interface Guidelines for ${args.platform}.
+
+UI to review:
+${args.subject}
+
+For each issue, quote the guideline it violates, explain the impact on ${args.platform} users and propose a concrete fix (code when the input is code). Cover layout, navigation, controls, typography, color and dark mode, and accessibility. Note what already follows the guidelines.
+
+Relevant Human Interface Guidelines:
+${excerpts}`;
+    }
+  },
+  {
+    name: 'explore_topic',
+    title: 'Research an Apple development topic',
+    description: 'Broad-to-narrow research of a topic with search_docs and get_doc, starting from the best matching pages.',
+    arguments: [
+      { name: 'topic', description: 'Topic or question, e.g. "Core Data CloudKit sync conflicts"', required: true },
+      { name: 'platform', description: 'Restrict to one platform', required: false }
+    ],
+    searches(args) {
+      const filters = args.platform ? { platforms: [args.platform] } : {};
+      return [{ query: args.topic, filters, limit: 5 }];
+    },
+    render(args, excerpts) {
+      const platform = args.platform ? ` on ${args.platform}` : '';
+      return `Research "${args.topic}"${platform} in Apple's documentation.
+
+Workflow:
+1. Start from the pages below; call get_doc on the most relevant ones for full content and get_code_examples for code.
+2. Narrow down with search_docs using the exact API names you find (they match lexically), and follow relatedDocuments.
+3. Check facets in search_docs responses to pivot to WWDC sessions (types: ["wwdc_transcript"]) or sample code.
+4. Summarize the recommended approach with links to the documents you used.
+
+Starting points:
+${excerpts}`;
+    }
+  }
+];
+
+/**
+ * Look up a prompt template
+ * @returns {Object|null} Template, or null for an unknown name
+ */
+export function findPrompt(name) {
+  return WORKFLOW_PROMPTS.find(prompt => prompt.name === name) || null;
+}
+
+/**
+ * Names of required arguments that are missing or empty
+ */
+export function missingArguments(prompt, args = {}) {
+  return prompt.arguments
+    .filter(arg => arg.required && (typeof args[arg.name] !== 'string' || args[arg.name].trim() === ''))
+    .map(arg => arg.name);
+}
+
+/**
+ * Format documents as numbered excerpts for a prompt
+ * @param {Array} docs - [{ title, url, uri, content }] with cleaned content
+ * @returns {string} Markdown block
+ */
+export function formatExcerpts(docs) {
+  if (docs.length === 0) {
+    return '(No matching documents found - search with search_docs before answering.)';
+  }
+
+  return docs.map((doc, i) => {
+    const excerpt = doc.content.length > EXCERPT_CHARS
+      ? doc.content.substring(0, EXCERPT_CHARS) + '...'
+      : doc.content;
+    return `[${i + 1}] ${doc.title}\n${doc.url}\nResource: ${doc.uri}\n\n${excerpt}`;
+  }).join('\n\n---\n\n');
+}